@@ -0,0 +1,238 @@
+/**
+ * Articles and newsletters, from their Open Graph tags
+ */
+
+const DESCRIPTION_EXCERPT_CHARS = 300; // Article/video descriptions on a card, same
+
+module.exports = helpers => {
+  const {
+    cardWidth,
+    cheerio,
+    escapeHtml,
+    excerptCss,
+    excerptOptions,
+    fetchHTML,
+    imageToBase64,
+    renderRichText,
+    themeCss,
+    themeTokens,
+    fonts: { standard: FONT_STANDARD, bento: FONT_BENTO },
+  } = helpers;
+
+  /**
+   * Article/Newsletter Scraper
+   */
+  async function scrapeArticle(url) {
+    const html = await fetchHTML(url);
+    const $ = cheerio.load(html);
+
+    const title = $('meta[property="og:title"]').attr('content') ||
+                  $('title').text() || 'Article';
+    const description = $('meta[property="og:description"]').attr('content') ||
+                        $('meta[name="description"]').attr('content') || '';
+    const image = $('meta[property="og:image"]').attr('content') || '';
+    const siteName = $('meta[property="og:site_name"]').attr('content') ||
+                     new URL(url).hostname;
+    const favicon = $('link[rel="icon"]').attr('href') ||
+                    $('link[rel="shortcut icon"]').attr('href') || '';
+
+    const imageBase64 = await imageToBase64(image);
+    let faviconBase64 = null;
+    let faviconUrl = '';
+    if (favicon) {
+      faviconUrl = favicon.startsWith('http') ? favicon : new URL(favicon, url).href;
+      faviconBase64 = await imageToBase64(faviconUrl);
+    }
+
+    return {
+      platform: 'article',
+      siteName: siteName,
+      title: title,
+      description: description,
+      image: imageBase64,
+      imageUrl: image,
+      originalImageUrls: image ? [image] : [], // Original image URL for download
+      favicon: faviconBase64,
+      faviconUrl: faviconUrl,
+      url: url,
+    };
+  }
+
+  /**
+   * Article Card Template
+   */
+  function renderArticleCard(data, options = {}) {
+    const tokens = themeTokens(options, 'light', {
+      base: { font: FONT_STANDARD, radius: '12px' },
+      dark: { page: '#000', card: '#1c1c1e', text: '#f5f5f7', muted: '#a1a1a6' },
+      light: { page: '#f2f3f5', card: '#fff', text: '#212529', muted: '#6c757d' },
+    });
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <style>
+          * { margin: 0; padding: 0; box-sizing: border-box; }
+          body {
+            font-family: var(--font);
+            background: var(--page);
+            padding: 20px;
+          }
+          .card {
+            background: var(--card);
+            border-radius: var(--radius);
+            overflow: hidden;
+            max-width: ${cardWidth(options)}px;
+          }
+          .image {
+            width: 100%;
+            height: 200px;
+            object-fit: cover;
+          }
+          .content {
+            padding: 16px;
+          }
+          .site {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            margin-bottom: 8px;
+          }
+          .favicon {
+            width: 20px;
+            height: 20px;
+            border-radius: 4px;
+          }
+          .site-name {
+            color: var(--muted);
+            font-size: 13px;
+          }
+          .title {
+            color: var(--text);
+            font-size: 18px;
+            font-weight: 600;
+            line-height: 1.3;
+            margin-bottom: 8px;
+          }
+          .description {
+            color: var(--muted);
+            font-size: 14px;
+            line-height: 1.4;
+          }
+          ${excerptCss()}
+          ${themeCss(tokens, options)}
+        </style>
+      </head>
+      <body>
+        <div class="card">
+          ${data.image ? `<img class="image" src="${data.image}" alt="Article image">` : ''}
+          <div class="content">
+            <div class="site">
+              ${data.favicon ? `<img class="favicon" src="${data.favicon}" alt="">` : ''}
+              <span class="site-name">${escapeHtml(data.siteName)}</span>
+            </div>
+            <div class="title">${escapeHtml(data.title)}</div>
+            <div class="description">${renderRichText(null, data.description, excerptOptions(options, DESCRIPTION_EXCERPT_CHARS))}</div>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Bento Article Card Template
+   */
+  function renderBentoArticleCard(data, options = {}) {
+    const tokens = themeTokens(options, 'dark', {
+      base: { font: FONT_BENTO, radius: '24px' },
+      dark: { card: '#1c1c1e', text: '#fff', muted: 'rgba(255,255,255,0.55)', placeholder: '#2c2c2e', border: 'rgba(255,255,255,0.12)', secondary: 'rgba(255,255,255,0.7)' },
+      light: { card: '#f5f5f7', text: '#1d1d1f', muted: 'rgba(0,0,0,0.55)', placeholder: '#e5e5ea', border: 'rgba(0,0,0,0.1)', secondary: 'rgba(0,0,0,0.7)' },
+    });
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <style>
+          * { margin: 0; padding: 0; box-sizing: border-box; }
+          body {
+            font-family: var(--font);
+            background: transparent;
+            padding: 0;
+          }
+          .card {
+            background: var(--card);
+            border-radius: var(--radius);
+            overflow: hidden;
+            max-width: ${cardWidth(options)}px;
+          }
+          .image {
+            width: 100%;
+            height: 200px;
+            object-fit: cover;
+          }
+          .content {
+            padding: 24px;
+          }
+          .site {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            margin-bottom: 12px;
+          }
+          .favicon {
+            width: 20px;
+            height: 20px;
+            border-radius: 4px;
+          }
+          .site-name {
+            color: var(--muted);
+            font-size: 13px;
+          }
+          .title {
+            color: var(--text);
+            font-size: 20px;
+            font-weight: 600;
+            line-height: 1.3;
+            margin-bottom: 8px;
+            letter-spacing: -0.02em;
+          }
+          .description {
+            color: var(--secondary);
+            font-size: 15px;
+            line-height: 1.45;
+            letter-spacing: -0.01em;
+          }
+          ${excerptCss()}
+          ${themeCss(tokens, options)}
+        </style>
+      </head>
+      <body>
+        <div class="card">
+          ${data.image ? `<img class="image" src="${data.image}" alt="Article image">` : ''}
+          <div class="content">
+            <div class="site">
+              ${data.favicon ? `<img class="favicon" src="${data.favicon}" alt="">` : ''}
+              <span class="site-name">${escapeHtml(data.siteName)}</span>
+            </div>
+            <div class="title">${escapeHtml(data.title)}</div>
+            <div class="description">${renderRichText(null, data.description, excerptOptions(options, DESCRIPTION_EXCERPT_CHARS))}</div>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  return {
+    name: 'article',
+    match: url => url.toLowerCase().includes('cultofmac.com') || url.toLowerCase().includes('newsletters.'),
+    scrape: url => scrapeArticle(url),
+    render: renderArticleCard,
+    renderBento: renderBentoArticleCard,
+  };
+};
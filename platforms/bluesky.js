@@ -0,0 +1,487 @@
+/**
+ * Bluesky posts from the public AppView API
+ */
+
+module.exports = helpers => {
+  const {
+    buildLinkCard,
+    cardWidth,
+    escapeHtml,
+    excerptCss,
+    excerptOptions,
+    fetchJSON,
+    formatNumber,
+    formatRelativeTime,
+    imageToBase64,
+    linkCardCss,
+    quotedCardCss,
+    renderLinkCardHtml,
+    renderQuotedHtml,
+    renderRichText,
+    themeCss,
+    themeTokens,
+    fonts: { standard: FONT_STANDARD, bento: FONT_BENTO },
+  } = helpers;
+
+  // Post bodies are kept as a list of segments so templates can colour mentions,
+  // hashtags and links: { type: 'text' | 'mention' | 'hashtag' | 'link', text, href? }
+  // Paragraph breaks stay in the text as '\n'.
+
+  /**
+   * Build rich text from Bluesky text + facets (facet offsets are UTF-8 byte ranges)
+   */
+  function richTextFromFacets(text, facets) {
+    if (!text) return [];
+
+    const bytes = Buffer.from(text, 'utf8');
+    const sorted = (facets || [])
+      .filter(facet => facet.index && facet.features && facet.features.length > 0)
+      .sort((a, b) => a.index.byteStart - b.index.byteStart);
+
+    const segments = [];
+    let cursor = 0;
+    for (const facet of sorted) {
+      const { byteStart, byteEnd } = facet.index;
+      if (byteStart < cursor || byteEnd > bytes.length || byteEnd <= byteStart) continue;
+
+      if (byteStart > cursor) {
+        segments.push({ type: 'text', text: bytes.slice(cursor, byteStart).toString('utf8') });
+      }
+
+      const feature = facet.features[0];
+      const slice = bytes.slice(byteStart, byteEnd).toString('utf8');
+      if (feature.$type === 'app.bsky.richtext.facet#link') {
+        segments.push({ type: 'link', text: slice, href: feature.uri });
+      } else if (feature.$type === 'app.bsky.richtext.facet#mention') {
+        segments.push({ type: 'mention', text: slice, href: `https://bsky.app/profile/${feature.did}` });
+      } else if (feature.$type === 'app.bsky.richtext.facet#tag') {
+        segments.push({ type: 'hashtag', text: slice, href: `https://bsky.app/hashtag/${encodeURIComponent(feature.tag)}` });
+      } else {
+        segments.push({ type: 'text', text: slice });
+      }
+      cursor = byteEnd;
+    }
+
+    if (cursor < bytes.length) {
+      segments.push({ type: 'text', text: bytes.slice(cursor).toString('utf8') });
+    }
+    return segments;
+  }
+
+  /**
+   * Bluesky Scraper - Uses public API
+   */
+  async function scrapeBluesky(url) {
+    // Extract handle and post ID from URL
+    // Format: https://bsky.app/profile/handle/post/postid
+    const match = url.match(/profile\/([^\/]+)\/post\/([^\/\?]+)/);
+    if (!match) throw new Error('Invalid Bluesky URL');
+
+    const handle = match[1];
+    const postId = match[2];
+
+    // Resolve the handle to get the DID
+    const resolveUrl = `https://public.api.bsky.app/xrpc/com.atproto.identity.resolveHandle?handle=${handle}`;
+
+    try {
+      // For bridged accounts, we need to handle them differently
+      let did;
+      if (handle.includes('.ap.brid.gy')) {
+        // This is a bridged Mastodon account - try to get the post anyway
+        const apiUrl = `https://public.api.bsky.app/xrpc/app.bsky.feed.getPostThread?uri=at://${handle}/app.bsky.feed.post/${postId}&depth=0`;
+        try {
+          const threadData = await fetchJSON(apiUrl);
+          const post = threadData.thread?.post;
+          if (post) {
+            return await formatBlueskyPost(post, url);
+          }
+        } catch (e) {
+          // Fall through to other methods
+        }
+      }
+
+      const resolveData = await fetchJSON(resolveUrl);
+      did = resolveData.did;
+
+      // Fetch the post
+      const postUri = `at://${did}/app.bsky.feed.post/${postId}`;
+      const threadUrl = `https://public.api.bsky.app/xrpc/app.bsky.feed.getPostThread?uri=${encodeURIComponent(postUri)}&depth=0`;
+      const threadData = await fetchJSON(threadUrl);
+
+      const post = threadData.thread?.post;
+      if (!post) throw new Error('Post not found');
+
+      return await formatBlueskyPost(post, url);
+    } catch (e) {
+      throw new Error(`Could not fetch Bluesky post: ${e.message}`);
+    }
+  }
+
+  /**
+   * Convert an at:// post URI to its bsky.app URL
+   */
+  function blueskyPostUrl(uri, handle) {
+    const match = (uri || '').match(/^at:\/\/([^\/]+)\/app\.bsky\.feed\.post\/([^\/]+)$/);
+    if (!match) return '';
+    return `https://bsky.app/profile/${handle || match[1]}/post/${match[2]}`;
+  }
+
+  /**
+   * Quoted post from an embed.record / embed.recordWithMedia view
+   */
+  async function formatBlueskyQuote(embed) {
+    const type = embed?.$type || '';
+    let record = null;
+    if (type.startsWith('app.bsky.embed.recordWithMedia')) {
+      record = embed.record?.record;
+    } else if (type.startsWith('app.bsky.embed.record')) {
+      record = embed.record;
+    }
+    if (!record) return null;
+
+    // Deleted, blocked or detached quotes still show a placeholder, like the app does
+    const recordType = record.$type || '';
+    if (/#view(NotFound|Blocked|Detached)$/.test(recordType)) {
+      return { unavailable: true, content: 'Quoted post unavailable' };
+    }
+    // Feeds, lists and starter packs can be embedded too; only posts are quotes
+    if (recordType && recordType !== 'app.bsky.embed.record#viewRecord') return null;
+
+    const media = record.embeds?.[0]?.media || record.embeds?.[0];
+    const images = (media?.images || []).map(img => img.fullsize || img.thumb);
+    const imagesBase64 = [];
+    for (const imgUrl of images) {
+      const base64 = await imageToBase64(imgUrl);
+      if (base64) imagesBase64.push(base64);
+    }
+
+    const avatarUrl = record.author?.avatar || '';
+
+    return {
+      author: {
+        name: record.author?.displayName || record.author?.handle || 'Unknown',
+        handle: record.author?.handle || 'unknown',
+        avatar: await imageToBase64(avatarUrl),
+        avatarUrl: avatarUrl,
+      },
+      content: record.value?.text || '',
+      images: imagesBase64,
+      originalImageUrls: images,
+      timestamp: record.value?.createdAt || record.indexedAt,
+      url: blueskyPostUrl(record.uri, record.author?.handle),
+    };
+  }
+
+  async function formatBlueskyPost(post, url) {
+    // Get avatar
+    const avatarUrl = post.author?.avatar || '';
+    const avatarBase64 = await imageToBase64(avatarUrl);
+
+    // recordWithMedia keeps the post's own media under embed.media
+    const mediaEmbed = post.embed?.media || post.embed;
+
+    // Get embedded images
+    const images = [];
+    if (mediaEmbed?.images) {
+      for (const img of mediaEmbed.images) {
+        images.push(img.fullsize || img.thumb);
+      }
+    }
+
+    // External links become a link preview, not a photo
+    const external = mediaEmbed?.external;
+    const linkCard = external ? await buildLinkCard({
+      url: external.uri,
+      title: external.title,
+      description: external.description,
+      thumbnailUrl: external.thumb,
+    }) : null;
+
+    const imagesBase64 = [];
+    for (const imgUrl of images) {
+      const base64 = await imageToBase64(imgUrl);
+      if (base64) imagesBase64.push(base64);
+    }
+
+    return {
+      platform: 'bluesky',
+      author: {
+        name: post.author?.displayName || post.author?.handle || 'Unknown',
+        handle: post.author?.handle || 'unknown',
+        avatar: avatarBase64,
+        avatarUrl: avatarUrl,
+      },
+      content: post.record?.text || '',
+      richText: richTextFromFacets(post.record?.text, post.record?.facets),
+      images: imagesBase64,
+      originalImageUrls: images, // Original URLs for download
+      quoted: await formatBlueskyQuote(post.embed),
+      linkCard: linkCard,
+      timestamp: post.record?.createdAt || post.indexedAt,
+      metrics: {
+        replies: post.replyCount || 0,
+        reposts: post.repostCount || 0,
+        likes: post.likeCount || 0,
+      },
+      url: url,
+    };
+  }
+
+  /**
+   * Bluesky Card Template
+   */
+  function renderBlueskyCard(data, options = {}) {
+    const tokens = themeTokens(options, 'dark', {
+      base: { font: FONT_STANDARD, radius: '12px', padding: '16px' },
+      dark: { page: '#000', card: '#161e27', border: '#2a3f54', text: '#fff', muted: '#7b8d9d', link: '#208bfe' },
+      light: { page: '#f1f3f5', card: '#fff', border: '#d4dbe2', text: '#0b0f14', muted: '#6f869f', link: '#1083fe' },
+    });
+
+    const imagesHtml = data.images.length > 0 ? `
+      <div class="images ${data.images.length > 1 ? 'grid' : ''}">
+        ${data.images.map(img => `<img src="${img}" alt="Post image">`).join('')}
+      </div>
+    ` : '';
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <style>
+          * { margin: 0; padding: 0; box-sizing: border-box; }
+          body {
+            font-family: var(--font);
+            background: var(--page);
+            padding: 20px;
+          }
+          .card {
+            background: var(--card);
+            border-radius: var(--radius);
+            padding: var(--padding);
+            max-width: ${cardWidth(options)}px;
+            border: 1px solid var(--border);
+          }
+          .header {
+            display: flex;
+            align-items: center;
+            margin-bottom: 12px;
+          }
+          .avatar {
+            width: 44px;
+            height: 44px;
+            border-radius: 50%;
+            margin-right: 12px;
+            object-fit: cover;
+          }
+          .author-info { flex: 1; }
+          .name {
+            color: var(--text);
+            font-weight: 600;
+            font-size: 15px;
+          }
+          .handle {
+            color: var(--muted);
+            font-size: 14px;
+          }
+          .content {
+            color: var(--text);
+            font-size: 15px;
+            line-height: 1.4;
+            margin-bottom: 12px;
+            white-space: pre-wrap;
+          }
+          .images {
+            border-radius: 12px;
+            overflow: hidden;
+            margin-bottom: 12px;
+          }
+          .images.grid {
+            display: grid;
+            grid-template-columns: repeat(2, 1fr);
+            gap: 2px;
+          }
+          .images img {
+            width: 100%;
+            display: block;
+            max-height: 280px;
+            object-fit: cover;
+          }
+          .metrics {
+            display: flex;
+            gap: 24px;
+            color: var(--muted);
+            font-size: 13px;
+          }
+          .metric {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+          }
+          .timestamp {
+            color: var(--muted);
+            font-size: 13px;
+            margin-top: 8px;
+          }
+          .content .rt {
+            color: var(--link);
+          }
+          ${linkCardCss({ border: 'var(--border)', title: 'var(--text)', muted: 'var(--muted)' })}
+          ${quotedCardCss({ border: 'var(--border)', name: 'var(--text)', muted: 'var(--muted)', text: 'var(--text)', placeholder: 'var(--border)' })}
+          ${excerptCss()}
+          ${themeCss(tokens, options)}
+        </style>
+      </head>
+      <body>
+        <div class="card">
+          <div class="header">
+            ${data.author.avatar ? `<img class="avatar" src="${data.author.avatar}" alt="Avatar">` : `<div class="avatar" style="background:var(--border);"></div>`}
+            <div class="author-info">
+              <div class="name">${escapeHtml(data.author.name)}</div>
+              <div class="handle">@${escapeHtml(data.author.handle)}</div>
+            </div>
+          </div>
+          <div class="content">${renderRichText(data.richText, data.content, excerptOptions(options))}</div>
+          ${imagesHtml}
+          ${renderLinkCardHtml(data.linkCard)}
+          ${renderQuotedHtml(data.quoted)}
+          <div class="metrics">
+            <span class="metric">💬 ${formatNumber(data.metrics.replies)}</span>
+            <span class="metric">🔄 ${formatNumber(data.metrics.reposts)}</span>
+            <span class="metric">❤️ ${formatNumber(data.metrics.likes)}</span>
+          </div>
+          <div class="timestamp">${formatRelativeTime(data.timestamp)}</div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Bento Bluesky Card Template
+   */
+  function renderBentoBlueskyCard(data, options = {}) {
+    const tokens = themeTokens(options, 'dark', {
+      base: { font: FONT_BENTO, radius: '24px', padding: '24px' },
+      dark: { card: '#1c1c1e', text: '#fff', muted: 'rgba(255,255,255,0.55)', placeholder: '#2c2c2e', border: 'rgba(255,255,255,0.12)', link: '#208bfe' },
+      light: { card: '#f5f5f7', text: '#1d1d1f', muted: 'rgba(0,0,0,0.55)', placeholder: '#e5e5ea', border: 'rgba(0,0,0,0.1)', link: '#1083fe' },
+    });
+
+    const imagesHtml = data.images.length > 0 ? `
+      <div class="images ${data.images.length > 1 ? 'grid' : ''}">
+        ${data.images.map(img => `<img src="${img}" alt="Post image">`).join('')}
+      </div>
+    ` : '';
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <style>
+          * { margin: 0; padding: 0; box-sizing: border-box; }
+          body {
+            font-family: var(--font);
+            background: transparent;
+            padding: 0;
+          }
+          .card {
+            background: var(--card);
+            border-radius: var(--radius);
+            padding: var(--padding);
+            max-width: ${cardWidth(options)}px;
+          }
+          .header {
+            display: flex;
+            align-items: center;
+            margin-bottom: 16px;
+          }
+          .avatar {
+            width: 44px;
+            height: 44px;
+            border-radius: 50%;
+            margin-right: 12px;
+            object-fit: cover;
+          }
+          .author-info { flex: 1; }
+          .name {
+            color: var(--text);
+            font-weight: 600;
+            font-size: 16px;
+            letter-spacing: -0.01em;
+          }
+          .handle {
+            color: var(--muted);
+            font-size: 14px;
+          }
+          .content {
+            color: var(--text);
+            font-size: 17px;
+            line-height: 1.45;
+            margin-bottom: 16px;
+            white-space: pre-wrap;
+            letter-spacing: -0.01em;
+          }
+          .images {
+            border-radius: 16px;
+            overflow: hidden;
+            margin-bottom: 16px;
+          }
+          .images.grid {
+            display: grid;
+            grid-template-columns: repeat(2, 1fr);
+            gap: 2px;
+          }
+          .images img {
+            width: 100%;
+            display: block;
+            max-height: 280px;
+            object-fit: cover;
+          }
+          .metrics {
+            display: flex;
+            gap: 24px;
+            color: var(--muted);
+            font-size: 14px;
+          }
+          .content .rt {
+            color: var(--link);
+          }
+          ${linkCardCss({ border: 'var(--border)', title: 'var(--text)', muted: 'var(--muted)', radius: 16, margin: '0 0 16px' })}
+          ${quotedCardCss({ border: 'var(--border)', name: 'var(--text)', muted: 'var(--muted)', text: 'var(--text)', placeholder: 'var(--placeholder)', radius: 16, margin: '0 0 16px' })}
+          ${excerptCss()}
+          ${themeCss(tokens, options)}
+        </style>
+      </head>
+      <body>
+        <div class="card">
+          <div class="header">
+            ${data.author.avatar ? `<img class="avatar" src="${data.author.avatar}" alt="Avatar">` : `<div class="avatar" style="background:var(--placeholder);"></div>`}
+            <div class="author-info">
+              <div class="name">${escapeHtml(data.author.name)}</div>
+              <div class="handle">@${escapeHtml(data.author.handle)}</div>
+            </div>
+          </div>
+          <div class="content">${renderRichText(data.richText, data.content, excerptOptions(options))}</div>
+          ${imagesHtml}
+          ${renderLinkCardHtml(data.linkCard)}
+          ${renderQuotedHtml(data.quoted)}
+          <div class="metrics">
+            <span class="metric">${formatNumber(data.metrics.replies)} replies</span>
+            <span class="metric">${formatNumber(data.metrics.reposts)} reposts</span>
+            <span class="metric">${formatNumber(data.metrics.likes)} likes</span>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  return {
+    name: 'bluesky',
+    match: url => url.toLowerCase().includes('bsky.app'),
+    scrape: url => scrapeBluesky(url),
+    render: renderBlueskyCard,
+    renderBento: renderBentoBlueskyCard,
+  };
+};
@@ -0,0 +1,432 @@
+/**
+ * Discourse forums: posts read from the topic JSON, headers in the forum's own colours
+ */
+
+module.exports = helpers => {
+  const {
+    cardWidth,
+    cheerio,
+    escapeHtml,
+    excerptCss,
+    excerptOptions,
+    fetchJSON,
+    formatNumber,
+    formatRelativeTime,
+    forumAssetUrl,
+    forumSoftwareFor,
+    imageToBase64,
+    renderRichText,
+    richTextFromHtml,
+    richTextToPlain,
+    themeCss,
+    themeTokens,
+    fonts: { standard: FONT_STANDARD, bento: FONT_BENTO },
+  } = helpers;
+
+  /**
+   * Discourse Forum Scraper - Uses the topic JSON (/t/<slug>/<id>/<post>.json)
+   * Forum name, logo and header colours come from /site/basic-info.json
+   */
+  async function scrapeDiscourse(url) {
+    const match = url.match(/^(https?:\/\/[^\/]+(?:\/[^?#]*?)?)\/t\/(?:[^\/?#]+\/)?(\d+)(?:\/(\d+))?/);
+    if (!match) throw new Error('Invalid Discourse URL');
+    const [, base, topicId, postNumberRaw] = match;
+    const postNumber = parseInt(postNumberRaw || '1', 10);
+
+    const topic = await fetchJSON(`${base}/t/${topicId}/${postNumber}.json`);
+    if (!topic?.post_stream) throw new Error('Discourse topic not found');
+    // Long topics only include posts near the one asked for; fetch it on its own if needed
+    const post = topic.post_stream.posts.find(entry => entry.post_number === postNumber) ||
+                 await fetchJSON(`${base}/posts/by_number/${topicId}/${postNumber}.json`);
+    if (!post?.cooked) throw new Error('Discourse post not found');
+
+    let site = {};
+    try {
+      site = await fetchJSON(`${base}/site/basic-info.json`);
+    } catch (e) {
+      // Older forums don't have basic-info; the card falls back to the host name
+    }
+    const logoUrl = forumAssetUrl(site.logo_url || site.apple_touch_icon_url || site.favicon_url, base);
+
+    // Quotes and link previews are asides; images sit in lightbox wrappers
+    const $ = cheerio.load(`<div id="cooked">${post.cooked}</div>`);
+    const cooked = $('#cooked');
+    const images = [];
+    cooked.find('img').each((i, el) => {
+      const img = $(el);
+      if (img.is('.emoji, .avatar, .site-icon, .thumbnail') || img.closest('aside').length > 0) return;
+      const src = img.closest('a.lightbox').attr('href') || img.attr('src');
+      if (src && !src.startsWith('data:')) images.push(forumAssetUrl(src, base));
+    });
+    cooked.find('img.emoji').each((i, el) => $(el).replaceWith($(el).attr('alt') || ''));
+    cooked.find('aside, .lightbox-wrapper, img').remove();
+    const richText = richTextFromHtml(cooked.html());
+
+    const imagesBase64 = [];
+    for (const imgUrl of images.slice(0, 4)) { // Max 4 images
+      const base64 = await imageToBase64(imgUrl);
+      if (base64) imagesBase64.push(base64);
+    }
+
+    const avatarUrl = forumAssetUrl((post.avatar_template || '').replace('{size}', '90'), base);
+    const hex = value => (/^[0-9a-f]{3,6}$/i.test(value || '') ? `#${value}` : '');
+    const likes = post.reaction_users_count ??
+                  (post.actions_summary || []).find(action => action.id === 2)?.count ?? 0;
+
+    return {
+      platform: 'discourse',
+      siteName: site.title || new URL(base).hostname.replace(/^www\./, ''),
+      favicon: await imageToBase64(logoUrl),
+      faviconUrl: logoUrl,
+      brand: { header: hex(site.header_background_color), headerText: hex(site.header_primary_color) },
+      title: topic.fancy_title ? cheerio.load(topic.fancy_title).text() : topic.title || '',
+      tags: (topic.tags || []).map(tag => (typeof tag === 'string' ? tag : tag.name)).filter(Boolean),
+      author: {
+        name: post.name || post.username,
+        handle: post.username,
+        title: post.user_title || '',
+        avatar: await imageToBase64(avatarUrl),
+        avatarUrl: avatarUrl,
+      },
+      content: richTextToPlain(richText),
+      richText: richText,
+      images: imagesBase64,
+      originalImageUrls: images, // Original URLs for download
+      postNumber: String(post.post_number),
+      timestamp: post.created_at,
+      metrics: {
+        likes: likes,
+        replies: post.reply_count || 0,
+      },
+      url: url,
+    };
+  }
+
+  /**
+   * Discourse Forum Card Template (site header in the forum's own colours)
+   */
+  function renderDiscourseCard(data, options = {}) {
+    const tokens = themeTokens(options, 'light', {
+      base: { font: FONT_STANDARD, radius: '8px', padding: '16px' },
+      light: { page: '#f3f3f3', card: '#fff', border: '#e9e9e9', text: '#222', muted: '#646464', link: '#0088cc', secondary: '#fff', accent: '#e45735' },
+      dark: { page: '#000', card: '#111', border: '#2e2e2e', text: '#ddd', muted: '#a0a0a0', link: '#3ab0ff', secondary: '#111', accent: '#e45735' },
+    });
+
+    const headerStyle = [
+      data.brand?.header && `background:${data.brand.header}`,
+      data.brand?.headerText && `color:${data.brand.headerText}`,
+    ].filter(Boolean).join(';');
+
+    const imagesHtml = data.images.length > 0 ? `
+      <div class="images">
+        ${data.images.map(img => `<img src="${img}" alt="Post image">`).join('')}
+      </div>
+    ` : '';
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <style>
+          * { margin: 0; padding: 0; box-sizing: border-box; }
+          body {
+            font-family: var(--font);
+            background: var(--page);
+            padding: 20px;
+          }
+          .card {
+            background: var(--card);
+            border-radius: var(--radius);
+            overflow: hidden;
+            max-width: ${cardWidth(options)}px;
+            border: 1px solid var(--border);
+          }
+          .site-header {
+            display: flex;
+            align-items: center;
+            gap: 10px;
+            padding: 10px 16px;
+            background: var(--secondary);
+            color: var(--text);
+            border-bottom: 1px solid var(--border);
+            font-size: 15px;
+            font-weight: 600;
+          }
+          .site-logo {
+            height: 28px;
+            max-width: 200px;
+            object-fit: contain;
+          }
+          .topic {
+            padding: var(--padding);
+            padding-bottom: 0;
+          }
+          .topic-title {
+            color: var(--text);
+            font-size: 20px;
+            font-weight: 600;
+            line-height: 1.3;
+          }
+          .tags {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 8px;
+            margin-top: 6px;
+            color: var(--muted);
+            font-size: 12px;
+          }
+          .post {
+            display: flex;
+            gap: 12px;
+            padding: var(--padding);
+          }
+          .avatar {
+            width: 45px;
+            height: 45px;
+            border-radius: 50%;
+            object-fit: cover;
+            flex-shrink: 0;
+          }
+          .avatar.placeholder {
+            background: var(--border);
+          }
+          .post-main {
+            flex: 1;
+            min-width: 0;
+            border-top: 1px solid var(--border);
+            padding-top: 12px;
+          }
+          .names {
+            display: flex;
+            align-items: baseline;
+            gap: 6px;
+            margin-bottom: 8px;
+            font-size: 14px;
+          }
+          .username {
+            color: var(--text);
+            font-weight: 700;
+          }
+          .full-name, .user-title {
+            color: var(--muted);
+          }
+          .date {
+            margin-left: auto;
+            color: var(--muted);
+            font-size: 13px;
+          }
+          .content {
+            color: var(--text);
+            font-size: 15px;
+            line-height: 1.5;
+            white-space: pre-wrap;
+            word-wrap: break-word;
+          }
+          .content .rt {
+            color: var(--link);
+          }
+          .images {
+            margin-top: 12px;
+          }
+          .images img {
+            max-width: 100%;
+            border-radius: 4px;
+            margin-bottom: 8px;
+            display: block;
+          }
+          .actions {
+            display: flex;
+            justify-content: flex-end;
+            gap: 16px;
+            margin-top: 12px;
+            color: var(--muted);
+            font-size: 13px;
+          }
+          .like {
+            color: var(--accent);
+          }
+          ${excerptCss()}
+          ${themeCss(tokens, options)}
+        </style>
+      </head>
+      <body>
+        <div class="card">
+          <div class="site-header" style="${headerStyle}">
+            ${data.favicon ? `<img class="site-logo" src="${data.favicon}" alt="Forum logo">` : ''}
+            ${data.favicon ? '' : `<span>${escapeHtml(data.siteName || 'Discourse')}</span>`}
+          </div>
+          ${data.title ? `
+            <div class="topic">
+              <div class="topic-title">${escapeHtml(data.title)}</div>
+              ${(data.tags || []).length > 0 ? `<div class="tags">${data.tags.map(tag => `<span>#${escapeHtml(tag)}</span>`).join('')}</div>` : ''}
+            </div>
+          ` : ''}
+          <div class="post">
+            ${data.author.avatar ? `<img class="avatar" src="${data.author.avatar}" alt="Avatar">` : '<div class="avatar placeholder"></div>'}
+            <div class="post-main">
+              <div class="names">
+                <span class="username">${escapeHtml(data.author.handle || data.author.name)}</span>
+                ${data.author.name && data.author.name !== data.author.handle ? `<span class="full-name">${escapeHtml(data.author.name)}</span>` : ''}
+                ${data.author.title ? `<span class="user-title">${escapeHtml(data.author.title)}</span>` : ''}
+                <span class="date">${formatRelativeTime(data.timestamp)}</span>
+              </div>
+              <div class="content">${renderRichText(data.richText, data.content, excerptOptions(options))}</div>
+              ${imagesHtml}
+              <div class="actions">
+                ${data.metrics?.replies ? `<span>${formatNumber(data.metrics.replies)} ${data.metrics.replies === 1 ? 'reply' : 'replies'}</span>` : ''}
+                <span class="like">❤ ${formatNumber(data.metrics?.likes)}</span>
+              </div>
+            </div>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Bento Discourse Forum Card Template
+   */
+  function renderBentoDiscourseCard(data, options = {}) {
+    const tokens = themeTokens(options, 'dark', {
+      base: { font: FONT_BENTO, radius: '24px', padding: '24px' },
+      dark: { card: '#1c1c1e', text: '#fff', muted: 'rgba(255,255,255,0.55)', placeholder: '#2c2c2e', border: 'rgba(255,255,255,0.12)', link: '#3ab0ff' },
+      light: { card: '#f5f5f7', text: '#1d1d1f', muted: 'rgba(0,0,0,0.55)', placeholder: '#e5e5ea', border: 'rgba(0,0,0,0.1)', link: '#0088cc' },
+    });
+
+    const imagesHtml = data.images.length > 0 ? `
+      <div class="images">
+        ${data.images.map(img => `<img src="${img}" alt="Post image">`).join('')}
+      </div>
+    ` : '';
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <style>
+          * { margin: 0; padding: 0; box-sizing: border-box; }
+          body {
+            font-family: var(--font);
+            background: transparent;
+            padding: 0;
+          }
+          .card {
+            background: var(--card);
+            border-radius: var(--radius);
+            padding: var(--padding);
+            max-width: ${cardWidth(options)}px;
+          }
+          .forum {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            color: var(--muted);
+            font-size: 13px;
+            font-weight: 600;
+            margin-bottom: 16px;
+          }
+          .forum-logo {
+            height: 18px;
+            max-width: 140px;
+            object-fit: contain;
+          }
+          .topic-title {
+            color: var(--text);
+            font-size: 20px;
+            font-weight: 600;
+            line-height: 1.3;
+            letter-spacing: -0.02em;
+            margin-bottom: 16px;
+          }
+          .header {
+            display: flex;
+            align-items: center;
+            margin-bottom: 16px;
+          }
+          .avatar {
+            width: 48px;
+            height: 48px;
+            border-radius: 50%;
+            margin-right: 14px;
+            object-fit: cover;
+          }
+          .author-info { flex: 1; }
+          .name {
+            color: var(--text);
+            font-weight: 600;
+            font-size: 16px;
+            letter-spacing: -0.01em;
+          }
+          .handle {
+            color: var(--muted);
+            font-size: 13px;
+          }
+          .content {
+            color: var(--text);
+            font-size: 16px;
+            line-height: 1.5;
+            white-space: pre-wrap;
+            word-wrap: break-word;
+            letter-spacing: -0.01em;
+          }
+          .content .rt {
+            color: var(--link);
+          }
+          .images {
+            margin-top: 16px;
+          }
+          .images img {
+            max-width: 100%;
+            border-radius: 12px;
+            margin-bottom: 8px;
+            display: block;
+          }
+          .metrics {
+            display: flex;
+            gap: 24px;
+            margin-top: 16px;
+            color: var(--muted);
+            font-size: 14px;
+          }
+          ${excerptCss()}
+          ${themeCss(tokens, options)}
+        </style>
+      </head>
+      <body>
+        <div class="card">
+          <div class="forum">
+            ${data.favicon ? `<img class="forum-logo" src="${data.favicon}" alt="Forum logo">` : ''}
+            <span>${escapeHtml(data.siteName || 'Discourse')}</span>
+          </div>
+          ${data.title ? `<div class="topic-title">${escapeHtml(data.title)}</div>` : ''}
+          <div class="header">
+            ${data.author.avatar ? `<img class="avatar" src="${data.author.avatar}" alt="Avatar">` : `<div class="avatar" style="background:var(--placeholder);"></div>`}
+            <div class="author-info">
+              <div class="name">${escapeHtml(data.author.name)}</div>
+              <div class="handle">@${escapeHtml(data.author.handle || data.author.name)} · ${formatRelativeTime(data.timestamp)}</div>
+            </div>
+          </div>
+          <div class="content">${renderRichText(data.richText, data.content, excerptOptions(options))}</div>
+          ${imagesHtml}
+          <div class="metrics">
+            <span class="metric">${formatNumber(data.metrics?.likes)} likes</span>
+            <span class="metric">${formatNumber(data.metrics?.replies)} replies</span>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  return {
+    name: 'discourse',
+    match: url => forumSoftwareFor(url) === 'discourse' && /\/t\/[^?#]*\d/.test(url),
+    scrape: url => scrapeDiscourse(url),
+    render: renderDiscourseCard,
+    renderBento: renderBentoDiscourseCard,
+    metadata: data => ({ brand: data.brand, tags: data.tags && data.tags.length > 0 ? data.tags : undefined }),
+  };
+};
@@ -0,0 +1,827 @@
+/**
+ * GitHub issues, pull requests, discussions, releases and their comments
+ */
+
+const GITHUB_API = 'https://api.github.com';
+const GITHUB_MAX_IMAGES = 4; // Images from a GitHub markdown body inlined into the card
+// Tags kept from GitHub's rendered markdown; anything else is unwrapped to its text
+const GITHUB_HTML_TAGS = [
+  'p', 'br', 'hr', 'strong', 'b', 'em', 'i', 'del', 's', 'code', 'pre', 'blockquote', 'a',
+  'ul', 'ol', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'table', 'thead', 'tbody', 'tr', 'th', 'td', 'img',
+];
+const GITHUB_REACTIONS = {
+  '+1': '👍', '-1': '👎', laugh: '😄', hooray: '🎉', confused: '😕', heart: '❤️', rocket: '🚀', eyes: '👀',
+};
+const GITHUB_GRAPHQL_REACTIONS = {
+  THUMBS_UP: '+1', THUMBS_DOWN: '-1', LAUGH: 'laugh', HOORAY: 'hooray', CONFUSED: 'confused', HEART: 'heart', ROCKET: 'rocket', EYES: 'eyes',
+};
+const GITHUB_DISCUSSION_QUERY = `query($owner: String!, $name: String!, $number: Int!) {
+  repository(owner: $owner, name: $name) {
+    discussion(number: $number) {
+      title number bodyHTML body createdAt url upvoteCount
+      author { login avatarUrl }
+      category { name }
+      labels(first: 10) { nodes { name color } }
+      reactionGroups { content reactors { totalCount } }
+      comments(first: 100) {
+        totalCount
+        nodes {
+          databaseId bodyHTML body createdAt
+          author { login avatarUrl }
+          reactionGroups { content reactors { totalCount } }
+        }
+      }
+    }
+  }
+}`;
+// Octicon mark-github (16px viewBox)
+const GITHUB_MARK_PATH = 'M8 0C3.58 0 0 3.58 0 8c0 3.54 2.29 6.53 5.47 7.59.4.07.55-.17.55-.38 0-.19-.01-.82-.01-1.49-2.01.37-2.53-.49-2.69-.94-.09-.23-.48-.94-.82-1.13-.28-.15-.68-.52-.01-.53.63-.01 1.08.58 1.23.82.72 1.21 1.87.87 2.33.66.07-.52.28-.87.51-1.07-1.78-.2-3.64-.89-3.64-3.95 0-.87.31-1.59.82-2.15-.08-.2-.36-1.02.08-2.12 0 0 .67-.21 2.2.82.64-.18 1.32-.27 2-.27.68 0 1.36.09 2 .27 1.53-1.04 2.2-.82 2.2-.82.44 1.1.16 1.92.08 2.12.51.56.82 1.27.82 2.15 0 3.07-1.87 3.75-3.65 3.95.29.25.54.73.54 1.48 0 1.07-.01 1.93-.01 2.2 0 .21.15.46.55.38A8.013 8.013 0 0016 8c0-4.42-3.58-8-8-8z';
+// Text in different blocks is a paragraph apart when excerpting; whitespace between container children isn't text
+const GITHUB_BLOCK_TAGS = ['p', 'pre', 'blockquote', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'th', 'td'];
+const GITHUB_CONTAINER_TAGS = ['ul', 'ol', 'blockquote', 'table', 'thead', 'tbody', 'tr'];
+
+module.exports = helpers => {
+  const {
+    cardWidth,
+    cheerio,
+    escapeHtml,
+    excerptCss,
+    excerptOptions,
+    excerptRange,
+    fetchJSON,
+    formatNumber,
+    formatRelativeTime,
+    highlightText,
+    imageToBase64,
+    passageRanges,
+    postJSON,
+    renderRichText,
+    themeCss,
+    themeTokens,
+    fonts: { standard: FONT_STANDARD, bento: FONT_BENTO },
+  } = helpers;
+
+  /**
+   * GitHub REST (or GraphQL) request; GITHUB_TOKEN / GH_TOKEN raise the rate limit
+   * and are needed for discussions, which only the GraphQL API serves
+   */
+  async function fetchGitHub(endpoint, graphql = null) {
+    const token = process.env.GITHUB_TOKEN || process.env.GH_TOKEN;
+    const headers = {
+      // `full` adds body_html: GitHub renders the markdown for us
+      'Accept': 'application/vnd.github.full+json',
+      'X-GitHub-Api-Version': '2022-11-28',
+      ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+    };
+
+    const data = graphql
+      ? await postJSON(`${GITHUB_API}/graphql`, graphql, headers)
+      : await fetchJSON(`${GITHUB_API}${endpoint}`, headers);
+    if (data?.errors?.length) throw new Error(`GitHub: ${data.errors[0].message}`);
+    if (data?.message && !data.id) throw new Error(`GitHub: ${data.message}`);
+    return data;
+  }
+
+  /**
+   * Reduce GitHub's body_html to plain tags without attributes (safe to drop into a card)
+   * Images become <img data-image="N"> and are returned as URLs, so they can be inlined
+   * and downloaded like other post images
+   */
+  function sanitizeGitHubHtml(html) {
+    const imageUrls = [];
+    if (!html) return { html: '', imageUrls };
+
+    const $ = cheerio.load(`<div id="gh-root">${html}</div>`);
+    const root = $('#gh-root');
+    root.find('script, style, iframe, object, embed, svg, template, video').remove();
+    // Task list checkboxes
+    root.find('input[type="checkbox"]').each((i, el) => {
+      $(el).replaceWith($(el).attr('checked') !== undefined ? '☑ ' : '☐ ');
+    });
+
+    // Deepest first, so unwrapping a parent never skips its children
+    root.find('*').get().reverse().forEach(el => {
+      const node = $(el);
+      if (el.tagName === 'img') {
+        const src = node.attr('data-canonical-src') || node.attr('src') || '';
+        if (!/^https?:\/\//.test(src) || imageUrls.length >= GITHUB_MAX_IMAGES) {
+          node.remove();
+          return;
+        }
+        node.replaceWith(`<img data-image="${imageUrls.length}">`);
+        imageUrls.push(src);
+        return;
+      }
+      if (!GITHUB_HTML_TAGS.includes(el.tagName)) {
+        node.replaceWith(node.contents());
+        return;
+      }
+      Object.keys(el.attribs || {}).forEach(name => node.removeAttr(name));
+    });
+
+    return { html: root.html().trim(), imageUrls };
+  }
+
+  /**
+   * [{ emoji, count }] from a REST `reactions` object or GraphQL `reactionGroups`
+   */
+  function githubReactions(reactions, reactionGroups) {
+    const counts = reactionGroups
+      ? Object.fromEntries(reactionGroups.map(group => [GITHUB_GRAPHQL_REACTIONS[group.content], group.reactors?.totalCount || 0]))
+      : reactions || {};
+    return Object.entries(GITHUB_REACTIONS)
+      .filter(([key]) => counts[key] > 0)
+      .map(([key, emoji]) => ({ emoji, count: counts[key] }));
+  }
+
+  /**
+   * Label with its colour and a readable text colour
+   */
+  function githubLabel(label) {
+    const color = /^[0-9a-f]{6}$/i.test(label.color || '') ? label.color : 'ededed';
+    const [r, g, b] = [0, 2, 4].map(i => parseInt(color.slice(i, i + 2), 16));
+    const light = (r * 299 + g * 587 + b * 114) / 1000 > 150;
+    return { name: label.name, color: `#${color}`, textColor: light ? '#1f2328' : '#fff' };
+  }
+
+  /**
+   * Issue or pull request state as GitHub shows it
+   */
+  function githubState(issue) {
+    if (issue.pull_request) {
+      if (issue.pull_request.merged_at) return 'merged';
+      if (issue.draft && issue.state === 'open') return 'draft';
+      return issue.state;
+    }
+    if (issue.state === 'closed' && issue.state_reason === 'not_planned') return 'not-planned';
+    return issue.state;
+  }
+
+  /**
+   * GitHub issue, pull request, comment (#issuecomment-, #discussion_r), discussion
+   * (and #discussioncomment-) or release card
+   */
+  async function scrapeGitHub(url) {
+    const match = url.match(/github\.com\/([^\/]+)\/([^\/]+)\/(issues|pull|discussions|releases\/tag)\/([^\/?#]+)/i);
+    if (!match) throw new Error('Unsupported GitHub URL (use an issue, pull request, discussion or release)');
+    const [, owner, repo, section, ref] = match;
+    const anchor = url.match(/#(issuecomment-|discussion_r|discussioncomment-)(\d+)/);
+    const repoPath = `/repos/${owner}/${repo}`;
+
+    let item;
+    let parent = null;
+    let kind;
+
+    if (section === 'releases/tag') {
+      const release = await fetchGitHub(`${repoPath}/releases/tags/${ref}`);
+      kind = 'release';
+      item = {
+        user: release.author,
+        title: release.name || release.tag_name,
+        body: release.body,
+        body_html: release.body_html,
+        created_at: release.published_at || release.created_at,
+        reactions: release.reactions,
+        release: { tag: release.tag_name, prerelease: release.prerelease },
+      };
+    } else if (section === 'discussions') {
+      if (!process.env.GITHUB_TOKEN && !process.env.GH_TOKEN) {
+        throw new Error('GitHub discussions need a token: set GITHUB_TOKEN');
+      }
+      const data = await fetchGitHub(null, {
+        query: GITHUB_DISCUSSION_QUERY,
+        variables: { owner, name: repo, number: parseInt(ref, 10) },
+      });
+      const discussion = data.data?.repository?.discussion;
+      if (!discussion) throw new Error('GitHub discussion not found');
+
+      const asItem = node => ({
+        user: { login: node.author?.login || 'ghost', avatar_url: node.author?.avatarUrl },
+        body: node.body,
+        body_html: node.bodyHTML,
+        created_at: node.createdAt,
+        reactionGroups: node.reactionGroups,
+      });
+      if (anchor && anchor[1] === 'discussioncomment-') {
+        const comment = discussion.comments.nodes.find(node => String(node.databaseId) === anchor[2]);
+        if (!comment) throw new Error('GitHub discussion comment not found (only top-level comments are searched)');
+        kind = 'discussion-comment';
+        item = asItem(comment);
+        parent = { kind: 'discussion', number: discussion.number, title: discussion.title };
+      } else {
+        kind = 'discussion';
+        item = {
+          ...asItem(discussion),
+          title: discussion.title,
+          number: discussion.number,
+          labels: discussion.labels?.nodes || [],
+          comments: discussion.comments.totalCount,
+          category: discussion.category?.name,
+        };
+      }
+    } else {
+      // The issues endpoint serves pull requests too (with a `pull_request` field)
+      const issue = await fetchGitHub(`${repoPath}/issues/${ref}`);
+      const issueKind = issue.pull_request ? 'pull' : 'issue';
+      if (anchor && anchor[1] !== 'discussioncomment-') {
+        const endpoint = anchor[1] === 'issuecomment-' ? 'issues/comments' : 'pulls/comments';
+        item = await fetchGitHub(`${repoPath}/${endpoint}/${anchor[2]}`);
+        kind = anchor[1] === 'issuecomment-' ? 'comment' : 'review-comment';
+        parent = { kind: issueKind, number: issue.number, title: issue.title, state: githubState(issue) };
+      } else {
+        kind = issueKind;
+        item = { ...issue, state: githubState(issue) };
+      }
+    }
+
+    const avatarUrl = item.user?.avatar_url || '';
+    const { html, imageUrls } = sanitizeGitHubHtml(item.body_html);
+
+    // Only images that could be fetched stay numbered, so data-image="N" matches images[N]
+    const images = [];
+    const originalImageUrls = [];
+    let bodyHtml = html;
+    for (let i = 0; i < imageUrls.length; i++) {
+      const base64 = await imageToBase64(imageUrls[i]);
+      bodyHtml = bodyHtml.replace(`<img data-image="${i}">`, base64 ? `<img data-image="${images.length}">` : '');
+      if (base64) {
+        images.push(base64);
+        originalImageUrls.push(imageUrls[i]);
+      }
+    }
+
+    return {
+      platform: 'github',
+      kind,
+      repo: `${owner}/${repo}`,
+      number: item.number || null,
+      title: item.title || '',
+      state: item.state || null,
+      category: item.category || null,
+      release: item.release || null,
+      path: item.path || null, // File a review comment is on
+      parent,
+      author: {
+        name: item.user?.login || 'ghost',
+        handle: item.user?.login || 'ghost',
+        avatar: await imageToBase64(avatarUrl),
+        avatarUrl: avatarUrl,
+      },
+      content: item.body || '',
+      bodyHtml,
+      labels: (item.labels || []).map(githubLabel),
+      reactions: githubReactions(item.reactions, item.reactionGroups),
+      images,
+      originalImageUrls, // Original URLs for download
+      timestamp: item.created_at,
+      metrics: { comments: typeof item.comments === 'number' ? item.comments : null },
+      url: url,
+    };
+  }
+
+  /**
+   * GitHub markdown body with its images put back in (see sanitizeGitHubHtml),
+   * excerpted and highlighted the same way renderRichText does plain text
+   */
+  function renderGitHubBody(data, excerpt = null) {
+    if (!data.bodyHtml) {
+      return data.content ? `<p>${renderRichText(null, data.content, excerpt)}</p>` : '<p class="empty">No description provided.</p>';
+    }
+    return excerptGitHubHtml(data.bodyHtml, excerpt).replace(/<img data-image="(\d+)">/g, (tag, index) => (
+      data.images?.[index] ? `<img src="${data.images[index]}" alt="Image">` : ''
+    ));
+  }
+
+  /**
+   * Sanitized GitHub HTML trimmed to excerptRange() of its text: text outside the range,
+   * images and rules past the cut, and blocks left empty are dropped; passages get <mark>ed
+   */
+  function excerptGitHubHtml(html, excerpt) {
+    if (!excerpt || (!excerpt.maxChars && !excerpt.maxLines && !(excerpt.highlights || []).length)) return html;
+
+    const $ = cheerio.load(`<div id="gh-root">${html}</div>`);
+    const root = $('#gh-root');
+    const hasContent = el => ['img', 'hr', 'br'].includes(el.name) || $(el).text().trim() !== '' || $(el).find('img, hr').length > 0;
+    const filled = root.find('*').toArray().filter(hasContent);
+
+    // Text in document order, with the offset of every text node and void element
+    const pieces = [];
+    let text = '';
+    let block = null;
+    const walk = node => {
+      if (node.type === 'text') {
+        const parent = node.parent === root[0] ? 'root' : node.parent.name;
+        if (!node.data.trim() && (parent === 'root' || GITHUB_CONTAINER_TAGS.includes(parent))) return;
+        const owner = $(node).closest(GITHUB_BLOCK_TAGS.join(', '))[0] || root[0];
+        if (text && owner !== block) text += '\n';
+        block = owner;
+        pieces.push({ node, start: text.length });
+        text += node.data;
+      } else if (['img', 'hr', 'br'].includes(node.name)) {
+        pieces.push({ node, start: text.length });
+      } else {
+        (node.children || []).forEach(walk);
+      }
+    };
+    walk(root[0]);
+
+    const range = excerptRange(text, excerpt);
+    const clipped = range.end < text.length;
+    const marks = passageRanges(text, excerpt.highlights);
+    const style = { mark: `hl hl-${excerpt.highlightStyle || 'marker'}`, dim: Boolean(excerpt.dim) && marks.length > 0 };
+    const kept = [];
+    pieces.forEach(piece => {
+      if (piece.node.type !== 'text') {
+        if (piece.start < range.start || (clipped && piece.start >= range.end)) $(piece.node).remove();
+        return;
+      }
+      const from = Math.max(piece.start, range.start);
+      const to = Math.min(piece.start + piece.node.data.length, range.end);
+      if (from >= to) {
+        $(piece.node).remove();
+        return;
+      }
+      kept.push({ node: piece.node, html: highlightText(piece.node.data.slice(from - piece.start, to - piece.start), from, marks, style) });
+    });
+
+    if (kept.length > 0) {
+      if (range.start > 0) kept[0].html = `… ${kept[0].html}`;
+      if (clipped) {
+        kept[kept.length - 1].html += [
+          range.sentence ? ' …' : '…',
+          excerpt.readMore ? ' <span class="read-more">Read more</span>' : '',
+        ].join('');
+      }
+    }
+    kept.forEach(piece => $(piece.node).replaceWith(piece.html));
+    filled.reverse().forEach(el => {
+      if (!hasContent(el)) $(el).remove();
+    });
+
+    return root.html().trim();
+  }
+
+  /**
+   * Label and colour of GitHub's state pill for an issue, pull request or release
+   */
+  function githubStateBadge(data) {
+    if (data.kind === 'release') {
+      return data.release?.prerelease ? { label: 'Pre-release', color: '#9a6700' } : { label: 'Release', color: '#1f883d' };
+    }
+    const isPull = data.kind === 'pull';
+    switch (data.state) {
+      case 'open':
+        return { label: 'Open', color: '#1f883d' };
+      case 'merged':
+        return { label: 'Merged', color: '#8250df' };
+      case 'draft':
+        return { label: 'Draft', color: '#59636e' };
+      case 'not-planned':
+        return { label: 'Closed', color: '#59636e' };
+      case 'closed':
+        return { label: 'Closed', color: isPull ? '#cf222e' : '#8250df' };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Rendered-markdown styles (GitHub's .markdown-body), sized per template
+   */
+  function githubMarkdownCss({ text, muted, border, code, link, fontSize = 14 }) {
+    return `
+          .markdown-body {
+            color: ${text};
+            font-size: ${fontSize}px;
+            line-height: 1.5;
+            word-wrap: break-word;
+          }
+          .markdown-body > *:first-child { margin-top: 0; }
+          .markdown-body > *:last-child { margin-bottom: 0; }
+          .markdown-body p, .markdown-body ul, .markdown-body ol, .markdown-body pre,
+          .markdown-body blockquote, .markdown-body table {
+            margin: 0 0 ${Math.round(fontSize * 0.85)}px;
+          }
+          .markdown-body h1, .markdown-body h2, .markdown-body h3,
+          .markdown-body h4, .markdown-body h5, .markdown-body h6 {
+            font-weight: 600;
+            line-height: 1.25;
+            margin: ${fontSize * 1.5}px 0 ${fontSize}px;
+          }
+          .markdown-body h1, .markdown-body h2 {
+            padding-bottom: 0.3em;
+            border-bottom: 1px solid ${border};
+          }
+          .markdown-body h1 { font-size: 1.6em; }
+          .markdown-body h2 { font-size: 1.35em; }
+          .markdown-body h3 { font-size: 1.15em; }
+          .markdown-body ul, .markdown-body ol { padding-left: 2em; }
+          .markdown-body a { color: ${link}; }
+          .markdown-body code {
+            font-family: ui-monospace, SFMono-Regular, "SF Mono", Menlo, Consolas, monospace;
+            font-size: 85%;
+            background: ${code};
+            border-radius: 6px;
+            padding: 0.2em 0.4em;
+          }
+          .markdown-body pre {
+            background: ${code};
+            border-radius: 6px;
+            padding: 12px 16px;
+            overflow: hidden;
+            white-space: pre-wrap;
+          }
+          .markdown-body pre code {
+            background: transparent;
+            padding: 0;
+            font-size: 85%;
+          }
+          .markdown-body blockquote {
+            color: ${muted};
+            border-left: 0.25em solid ${border};
+            padding: 0 1em;
+          }
+          .markdown-body hr {
+            border: none;
+            border-top: 2px solid ${border};
+            margin: ${fontSize}px 0;
+          }
+          .markdown-body table { border-collapse: collapse; }
+          .markdown-body th, .markdown-body td {
+            border: 1px solid ${border};
+            padding: 4px 10px;
+          }
+          .markdown-body img {
+            max-width: 100%;
+            max-height: 320px;
+            border-radius: 6px;
+            display: block;
+          }
+          .markdown-body .empty {
+            color: ${muted};
+            font-style: italic;
+          }
+    `;
+  }
+
+  /**
+   * GitHub Card Template (issues, pull requests, comments, discussions and releases)
+   */
+  function renderGitHubCard(data, options = {}) {
+    const tokens = themeTokens(options, 'light', {
+      base: { font: FONT_STANDARD, radius: '6px', padding: '16px' },
+      light: { page: '#f6f8fa', card: '#fff', border: '#d0d7de', text: '#1f2328', muted: '#59636e', link: '#0969da', thumb: '#f6f8fa', secondary: '#f6f8fa' },
+      dark: { page: '#010409', card: '#0d1117', border: '#3d444d', text: '#f0f6fc', muted: '#9198a1', link: '#4493f8', thumb: '#151b23', secondary: '#151b23' },
+    });
+
+    const badge = githubStateBadge(data);
+    const isComment = Boolean(data.parent);
+    const verb = data.kind === 'release' ? 'released' : isComment || data.kind === 'discussion' ? 'commented' : 'opened';
+
+    const labelsHtml = (data.labels || []).length > 0 ? `
+      <div class="labels">
+        ${data.labels.map(label => `<span class="label" style="background:${label.color};color:${label.textColor};">${escapeHtml(label.name)}</span>`).join('')}
+      </div>
+    ` : '';
+    const reactionsHtml = (data.reactions || []).length > 0 ? `
+      <div class="reactions">
+        ${data.reactions.map(reaction => `<span class="reaction">${reaction.emoji} ${formatNumber(reaction.count)}</span>`).join('')}
+      </div>
+    ` : '';
+
+    const headingHtml = isComment ? `
+      <div class="context">on ${data.parent.kind === 'pull' ? 'pull request' : data.parent.kind} <span class="parent-title">${escapeHtml(data.parent.title)}</span> <span class="number">#${data.parent.number}</span></div>
+    ` : `
+      <div class="title">${escapeHtml(data.title)}${data.number ? ` <span class="number">#${data.number}</span>` : ''}</div>
+      <div class="state-row">
+        ${badge ? `<span class="state" style="background:${badge.color};">${badge.label}</span>` : ''}
+        ${data.release ? `<span class="tag">${escapeHtml(data.release.tag)}</span>` : ''}
+        ${data.category ? `<span class="category">${escapeHtml(data.category)}</span>` : ''}
+        ${data.metrics?.comments !== null && data.metrics?.comments !== undefined ? `<span class="comments">${formatNumber(data.metrics.comments)} comments</span>` : ''}
+      </div>
+    `;
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <style>
+          * { margin: 0; padding: 0; box-sizing: border-box; }
+          body {
+            font-family: var(--font);
+            background: var(--page);
+            padding: 20px;
+          }
+          .card {
+            background: var(--card);
+            border-radius: var(--radius);
+            padding: var(--padding);
+            max-width: ${cardWidth(options)}px;
+            border: 1px solid var(--border);
+          }
+          .repo {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            color: var(--muted);
+            font-size: 13px;
+            margin-bottom: 10px;
+          }
+          .repo svg {
+            width: 16px;
+            height: 16px;
+            fill: var(--text);
+          }
+          .title {
+            color: var(--text);
+            font-size: 20px;
+            font-weight: 600;
+            line-height: 1.3;
+            margin-bottom: 8px;
+          }
+          .number {
+            color: var(--muted);
+            font-weight: 400;
+          }
+          .context {
+            color: var(--muted);
+            font-size: 13px;
+            margin-bottom: 12px;
+          }
+          .parent-title {
+            color: var(--text);
+            font-weight: 600;
+          }
+          .state-row {
+            display: flex;
+            align-items: center;
+            flex-wrap: wrap;
+            gap: 8px;
+            color: var(--muted);
+            font-size: 13px;
+            padding-bottom: 12px;
+            margin-bottom: 12px;
+            border-bottom: 1px solid var(--border);
+          }
+          .state {
+            color: #fff;
+            font-weight: 500;
+            border-radius: 999px;
+            padding: 4px 10px;
+          }
+          .tag {
+            font-family: ui-monospace, SFMono-Regular, Menlo, monospace;
+            color: var(--text);
+          }
+          .comment-box {
+            border: 1px solid var(--border);
+            border-radius: var(--radius);
+            overflow: hidden;
+          }
+          .comment-header {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            background: var(--secondary);
+            border-bottom: 1px solid var(--border);
+            color: var(--muted);
+            font-size: 13px;
+            padding: 8px 12px;
+          }
+          .avatar {
+            width: 20px;
+            height: 20px;
+            border-radius: 50%;
+            object-fit: cover;
+          }
+          .avatar.placeholder {
+            background: var(--border);
+          }
+          .login {
+            color: var(--text);
+            font-weight: 600;
+          }
+          .path {
+            font-family: ui-monospace, SFMono-Regular, Menlo, monospace;
+            font-size: 12px;
+          }
+          .comment-body {
+            padding: 12px;
+          }
+          .reactions {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 6px;
+            padding: 0 12px 12px;
+          }
+          .reaction {
+            border: 1px solid var(--border);
+            border-radius: 999px;
+            color: var(--muted);
+            font-size: 12px;
+            padding: 2px 8px;
+          }
+          .labels {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 6px;
+            margin-top: 12px;
+          }
+          .label {
+            font-size: 12px;
+            font-weight: 500;
+            border-radius: 999px;
+            padding: 2px 8px;
+          }
+          ${githubMarkdownCss({ text: 'var(--text)', muted: 'var(--muted)', border: 'var(--border)', code: 'var(--thumb)', link: 'var(--link)' })}
+          ${excerptCss()}
+          ${themeCss(tokens, options)}
+        </style>
+      </head>
+      <body>
+        <div class="card">
+          <div class="repo">
+            <svg viewBox="0 0 16 16"><path d="${GITHUB_MARK_PATH}"/></svg>
+            <span>${escapeHtml(data.repo || 'GitHub')}</span>
+          </div>
+          ${headingHtml}
+          <div class="comment-box">
+            <div class="comment-header">
+              ${data.author.avatar ? `<img class="avatar" src="${data.author.avatar}" alt="Avatar">` : '<div class="avatar placeholder"></div>'}
+              <span class="login">${escapeHtml(data.author.name)}</span>
+              <span>${verb} ${formatRelativeTime(data.timestamp)}</span>
+              ${data.path ? `<span class="path">${escapeHtml(data.path)}</span>` : ''}
+            </div>
+            <div class="comment-body markdown-body">${renderGitHubBody(data, excerptOptions(options))}</div>
+            ${reactionsHtml}
+          </div>
+          ${labelsHtml}
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Bento GitHub Card Template
+   */
+  function renderBentoGitHubCard(data, options = {}) {
+    const tokens = themeTokens(options, 'dark', {
+      base: { font: FONT_BENTO, radius: '24px', padding: '24px' },
+      dark: { card: '#1c1c1e', text: '#fff', muted: 'rgba(255,255,255,0.55)', placeholder: '#2c2c2e', border: 'rgba(255,255,255,0.12)', link: '#4493f8', thumb: 'rgba(255,255,255,0.08)' },
+      light: { card: '#f5f5f7', text: '#1d1d1f', muted: 'rgba(0,0,0,0.55)', placeholder: '#e5e5ea', border: 'rgba(0,0,0,0.1)', link: '#0969da', thumb: 'rgba(0,0,0,0.05)' },
+    });
+
+    const badge = githubStateBadge(data);
+    const isComment = Boolean(data.parent);
+    const reference = isComment
+      ? `${data.repo} #${data.parent.number}`
+      : `${data.repo}${data.number ? ` #${data.number}` : ''}${data.release ? ` · ${data.release.tag}` : ''}`;
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <style>
+          * { margin: 0; padding: 0; box-sizing: border-box; }
+          body {
+            font-family: var(--font);
+            background: transparent;
+            padding: 0;
+          }
+          .card {
+            background: var(--card);
+            border-radius: var(--radius);
+            padding: var(--padding);
+            max-width: ${cardWidth(options)}px;
+          }
+          .header {
+            display: flex;
+            align-items: center;
+            margin-bottom: 16px;
+          }
+          .avatar {
+            width: 44px;
+            height: 44px;
+            border-radius: 50%;
+            margin-right: 12px;
+            object-fit: cover;
+          }
+          .author-info { flex: 1; min-width: 0; }
+          .name {
+            color: var(--text);
+            font-weight: 600;
+            font-size: 16px;
+            letter-spacing: -0.01em;
+          }
+          .handle {
+            color: var(--muted);
+            font-size: 14px;
+          }
+          .header svg {
+            width: 24px;
+            height: 24px;
+            fill: var(--muted);
+          }
+          .context {
+            color: var(--muted);
+            font-size: 14px;
+            margin-bottom: 12px;
+          }
+          .title {
+            color: var(--text);
+            font-size: 22px;
+            font-weight: 600;
+            line-height: 1.3;
+            letter-spacing: -0.02em;
+            margin-bottom: 12px;
+          }
+          .state {
+            display: inline-block;
+            color: #fff;
+            font-size: 13px;
+            font-weight: 500;
+            border-radius: 999px;
+            padding: 3px 10px;
+            margin-bottom: 16px;
+          }
+          .markdown-body {
+            margin-bottom: 16px;
+            letter-spacing: -0.01em;
+          }
+          .labels, .reactions {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 8px;
+            margin-bottom: 16px;
+          }
+          .label {
+            font-size: 13px;
+            font-weight: 500;
+            border-radius: 999px;
+            padding: 3px 10px;
+          }
+          .reaction {
+            background: var(--placeholder);
+            border-radius: 999px;
+            color: var(--text);
+            font-size: 14px;
+            padding: 3px 10px;
+          }
+          .metrics {
+            color: var(--muted);
+            font-size: 14px;
+          }
+          ${githubMarkdownCss({ text: 'var(--text)', muted: 'var(--muted)', border: 'var(--border)', code: 'var(--thumb)', link: 'var(--link)', fontSize: 16 })}
+          ${excerptCss()}
+          ${themeCss(tokens, options)}
+        </style>
+      </head>
+      <body>
+        <div class="card">
+          <div class="header">
+            ${data.author.avatar ? `<img class="avatar" src="${data.author.avatar}" alt="Avatar">` : `<div class="avatar" style="background:var(--placeholder);"></div>`}
+            <div class="author-info">
+              <div class="name">${escapeHtml(data.author.name)}</div>
+              <div class="handle">${escapeHtml(reference)}</div>
+            </div>
+            <svg viewBox="0 0 16 16"><path d="${GITHUB_MARK_PATH}"/></svg>
+          </div>
+          ${isComment
+            ? `<div class="context">on “${escapeHtml(data.parent.title)}”${data.path ? ` · ${escapeHtml(data.path)}` : ''}</div>`
+            : `<div class="title">${escapeHtml(data.title)}</div>${badge ? `<span class="state" style="background:${badge.color};">${badge.label}</span>` : ''}`}
+          <div class="markdown-body">${renderGitHubBody(data, excerptOptions(options))}</div>
+          ${(data.labels || []).length > 0 ? `<div class="labels">${data.labels.map(label => `<span class="label" style="background:${label.color};color:${label.textColor};">${escapeHtml(label.name)}</span>`).join('')}</div>` : ''}
+          ${(data.reactions || []).length > 0 ? `<div class="reactions">${data.reactions.map(reaction => `<span class="reaction">${reaction.emoji} ${formatNumber(reaction.count)}</span>`).join('')}</div>` : ''}
+          <div class="metrics">${formatRelativeTime(data.timestamp)}</div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  return {
+    name: 'github',
+    match: url => /github\.com\/[^\/]+\/[^\/]+\/(issues|pull|discussions|releases\/tag)\//i.test(url),
+    scrape: url => scrapeGitHub(url),
+    render: renderGitHubCard,
+    renderBento: renderBentoGitHubCard,
+    metadata: (data, assetFiles = {}) => ({
+      kind: data.kind,
+      repo: data.repo,
+      number: data.number || undefined,
+      state: data.state || undefined,
+      category: data.category || undefined,
+      release: data.release || undefined,
+      path: data.path || undefined,
+      parent: data.parent || undefined,
+      bodyHtml: data.bodyHtml || undefined,
+      labels: data.labels,
+      // data-image="N" -> saved file (null if that download failed), so one miss doesn't shift the rest
+      imageFiles: (data.originalImageUrls || []).map(imgUrl => assetFiles[imgUrl] || null),
+    }),
+    restore: (payload, localImage) => (payload.imageFiles ? { images: payload.imageFiles.map(localImage) } : {}),
+  };
+};
@@ -0,0 +1,411 @@
+/**
+ * Hacker News stories and comments from the Firebase API
+ */
+
+const HN_CHAIN_DEPTH = 8; // Parent comments shown above a Hacker News comment in --thread mode
+const HN_MAX_PARENTS = 40; // Hacker News comments further than this from their story are shown without it
+
+module.exports = helpers => {
+  const {
+    cardWidth,
+    contextExcerptOptions,
+    escapeHtml,
+    excerptCss,
+    excerptOptions,
+    fetchJSON,
+    formatNumber,
+    formatRelativeTime,
+    renderRichText,
+    richTextFromHtml,
+    richTextToPlain,
+    themeCss,
+    themeTokens,
+    fonts: { bento: FONT_BENTO },
+  } = helpers;
+
+  /**
+   * Hacker News item from the Firebase API
+   */
+  async function fetchHackerNewsItem(id) {
+    const item = await fetchJSON(`https://hacker-news.firebaseio.com/v0/item/${id}.json`);
+    if (!item) throw new Error('Hacker News item not found');
+    return item;
+  }
+
+  function hackerNewsDomain(link) {
+    try {
+      return new URL(link).hostname.replace(/^www\./, '');
+    } catch (e) {
+      return '';
+    }
+  }
+
+  function formatHackerNewsComment(item) {
+    const richText = richTextFromHtml(item.text);
+    return {
+      author: { name: item.by || '[deleted]', handle: item.by || '' },
+      content: richTextToPlain(richText),
+      richText,
+      timestamp: new Date(item.time * 1000).toISOString(),
+    };
+  }
+
+  /**
+   * Hacker News story or comment (news.ycombinator.com/item?id=)
+   * Comments walk up to their story for the title; the direct parent comment is shown
+   * above them, or the whole chain (up to HN_CHAIN_DEPTH) with `options.thread`
+   */
+  async function scrapeHackerNews(url, options = {}) {
+    const id = url.match(/[?&]id=(\d+)/)?.[1];
+    if (!id) throw new Error('Invalid Hacker News URL');
+
+    const item = await fetchHackerNewsItem(id);
+    if (item.deleted) throw new Error('Hacker News item was deleted');
+
+    const parents = [];
+    let story = item;
+    while (story.type === 'comment' && story.parent && parents.length < HN_MAX_PARENTS) {
+      story = await fetchHackerNewsItem(story.parent);
+      if (story.type === 'comment') parents.unshift(story);
+    }
+    const chain = parents.slice(-(options.thread ? HN_CHAIN_DEPTH : 1)).map(formatHackerNewsComment);
+
+    const richText = richTextFromHtml(item.text);
+    const isComment = item.type === 'comment';
+
+    return {
+      platform: 'hackernews',
+      kind: item.type,
+      author: { name: item.by || '[deleted]', handle: item.by || '' },
+      title: isComment ? '' : item.title || '',
+      link: isComment ? '' : item.url || '',
+      domain: isComment ? '' : hackerNewsDomain(item.url),
+      content: richTextToPlain(richText),
+      richText,
+      images: [],
+      originalImageUrls: [],
+      // The story a comment belongs to, shown above it
+      story: isComment && story.type !== 'comment' ? {
+        id: story.id,
+        title: story.title || '',
+        url: `https://news.ycombinator.com/item?id=${story.id}`,
+      } : null,
+      chain: isComment ? chain : [],
+      timestamp: new Date(item.time * 1000).toISOString(),
+      metrics: isComment ? {} : {
+        points: item.score || 0,
+        comments: item.descendants || 0,
+      },
+      url: url,
+    };
+  }
+
+  /**
+   * Hacker News Card Template (orange bar, like the site)
+   */
+  function renderHackerNewsCard(data, options = {}) {
+    const tokens = themeTokens(options, 'light', {
+      base: { font: 'Verdana, Geneva, sans-serif', radius: '4px', padding: '12px 14px' },
+      light: { page: '#fff', card: '#f6f6ef', border: '#e0e0d6', text: '#000', muted: '#828282', link: '#000', accent: '#ff6600', line: '#e0e0d6' },
+      dark: { page: '#000', card: '#1d1d1d', border: '#333', text: '#dcdcdc', muted: '#8c8c8c', link: '#dcdcdc', accent: '#ff6600', line: '#3a3a3a' },
+    });
+
+    const commentHtml = (comment, isTarget) => `
+      <div class="comment ${isTarget ? 'target' : 'parent'}">
+        <div class="comhead">${isTarget ? '<span class="vote">▲</span>' : ''}<span class="user">${escapeHtml(comment.author.name)}</span> ${formatRelativeTime(comment.timestamp)}</div>
+        <div class="commtext">${renderRichText(comment.richText, comment.content, isTarget ? excerptOptions(options) : contextExcerptOptions(options))}</div>
+      </div>
+    `;
+
+    const bodyHtml = data.kind === 'comment' ? `
+      ${data.story ? `<div class="context">on: <span class="story">${escapeHtml(data.story.title)}</span></div>` : ''}
+      ${(data.chain || []).map(comment => commentHtml(comment, false)).join('')}
+      ${commentHtml(data, true)}
+    ` : `
+      <div class="title"><span class="vote">▲</span>${escapeHtml(data.title)}${data.domain ? ` <span class="domain">(${escapeHtml(data.domain)})</span>` : ''}</div>
+      <div class="subtext">${formatNumber(data.metrics?.points)} points by ${escapeHtml(data.author.name)} ${formatRelativeTime(data.timestamp)} | ${formatNumber(data.metrics?.comments)} comments</div>
+      ${data.content ? `<div class="commtext story-text">${renderRichText(data.richText, data.content, excerptOptions(options))}</div>` : ''}
+    `;
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <style>
+          * { margin: 0; padding: 0; box-sizing: border-box; }
+          body {
+            font-family: var(--font);
+            background: var(--page);
+            padding: 20px;
+          }
+          .card {
+            background: var(--card);
+            border-radius: var(--radius);
+            overflow: hidden;
+            max-width: ${cardWidth(options)}px;
+            border: 1px solid var(--border);
+          }
+          .bar {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            background: var(--accent);
+            padding: 3px 4px;
+          }
+          .logo {
+            width: 18px;
+            height: 18px;
+            border: 1px solid #fff;
+            color: #fff;
+            font-weight: 700;
+            font-size: 13px;
+            line-height: 16px;
+            text-align: center;
+          }
+          .site {
+            color: #000;
+            font-weight: 700;
+            font-size: 13px;
+          }
+          .body {
+            padding: var(--padding);
+          }
+          .vote {
+            color: var(--muted);
+            font-size: 10px;
+            margin-right: 6px;
+          }
+          .title {
+            color: var(--link);
+            font-size: 15px;
+            line-height: 1.35;
+            margin-bottom: 4px;
+          }
+          .domain {
+            color: var(--muted);
+            font-size: 11px;
+          }
+          .subtext, .comhead, .context {
+            color: var(--muted);
+            font-size: 11px;
+          }
+          .context {
+            margin-bottom: 10px;
+          }
+          .story {
+            color: var(--text);
+          }
+          .comment.parent {
+            border-left: 2px solid var(--line);
+            padding-left: 10px;
+            margin-bottom: 10px;
+          }
+          .comment.parent .commtext {
+            color: var(--muted);
+          }
+          .comhead {
+            margin-bottom: 4px;
+          }
+          .user {
+            color: var(--muted);
+          }
+          .commtext {
+            color: var(--text);
+            font-size: 13px;
+            line-height: 1.45;
+            white-space: pre-wrap;
+            word-wrap: break-word;
+          }
+          .story-text {
+            margin-top: 10px;
+          }
+          .commtext .rt {
+            color: var(--text);
+            text-decoration: underline;
+          }
+          ${excerptCss()}
+          ${themeCss(tokens, options)}
+        </style>
+      </head>
+      <body>
+        <div class="card">
+          <div class="bar">
+            <span class="logo">Y</span>
+            <span class="site">Hacker News</span>
+          </div>
+          <div class="body">
+            ${bodyHtml}
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Bento Hacker News Card Template
+   */
+  function renderBentoHackerNewsCard(data, options = {}) {
+    const tokens = themeTokens(options, 'dark', {
+      base: { font: FONT_BENTO, radius: '24px', padding: '24px' },
+      dark: { card: '#1c1c1e', text: '#fff', muted: 'rgba(255,255,255,0.55)', border: 'rgba(255,255,255,0.12)', link: '#ff8a3d', accent: '#ff6600' },
+      light: { card: '#f5f5f7', text: '#1d1d1f', muted: 'rgba(0,0,0,0.55)', border: 'rgba(0,0,0,0.1)', link: '#d35400', accent: '#ff6600' },
+    });
+
+    const commentHtml = (comment, isTarget) => `
+      <div class="comment ${isTarget ? 'target' : ''}">
+        <div class="comment-meta"><span class="user">${escapeHtml(comment.author.name)}</span> · ${formatRelativeTime(comment.timestamp)}</div>
+        <div class="content">${renderRichText(comment.richText, comment.content, isTarget ? excerptOptions(options) : contextExcerptOptions(options))}</div>
+      </div>
+    `;
+
+    const bodyHtml = data.kind === 'comment' ? `
+      ${data.story ? `<div class="context">on “${escapeHtml(data.story.title)}”</div>` : ''}
+      ${(data.chain || []).length > 0 ? `<div class="chain">${data.chain.map(comment => commentHtml(comment, false)).join('')}</div>` : ''}
+      ${commentHtml(data, true)}
+    ` : `
+      <div class="title">${escapeHtml(data.title)}</div>
+      ${data.domain ? `<div class="domain">${escapeHtml(data.domain)}</div>` : ''}
+      ${data.content ? `<div class="content">${renderRichText(data.richText, data.content, excerptOptions(options))}</div>` : ''}
+      <div class="metrics">
+        <span class="metric">${formatNumber(data.metrics?.points)} points</span>
+        <span class="metric">${formatNumber(data.metrics?.comments)} comments</span>
+        <span class="metric">${escapeHtml(data.author.name)} · ${formatRelativeTime(data.timestamp)}</span>
+      </div>
+    `;
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <style>
+          * { margin: 0; padding: 0; box-sizing: border-box; }
+          body {
+            font-family: var(--font);
+            background: transparent;
+            padding: 0;
+          }
+          .card {
+            background: var(--card);
+            border-radius: var(--radius);
+            padding: var(--padding);
+            max-width: ${cardWidth(options)}px;
+          }
+          .header {
+            display: flex;
+            align-items: center;
+            gap: 10px;
+            margin-bottom: 16px;
+          }
+          .logo {
+            width: 28px;
+            height: 28px;
+            border-radius: 7px;
+            background: var(--accent);
+            color: #fff;
+            font-weight: 700;
+            font-size: 17px;
+            line-height: 28px;
+            text-align: center;
+          }
+          .site {
+            color: var(--muted);
+            font-size: 14px;
+            font-weight: 600;
+          }
+          .title {
+            color: var(--text);
+            font-size: 22px;
+            font-weight: 600;
+            line-height: 1.3;
+            letter-spacing: -0.02em;
+            margin-bottom: 6px;
+          }
+          .domain {
+            color: var(--link);
+            font-size: 14px;
+            margin-bottom: 16px;
+          }
+          .context {
+            color: var(--muted);
+            font-size: 14px;
+            margin-bottom: 16px;
+          }
+          .chain {
+            border-left: 2px solid var(--border);
+            padding-left: 16px;
+            margin-bottom: 16px;
+          }
+          .chain .content {
+            color: var(--muted);
+            font-size: 15px;
+            margin-bottom: 12px;
+          }
+          .chain .comment:last-child .content {
+            margin-bottom: 0;
+          }
+          .comment-meta {
+            color: var(--muted);
+            font-size: 14px;
+            margin-bottom: 6px;
+          }
+          .user {
+            color: var(--text);
+            font-weight: 600;
+          }
+          .content {
+            color: var(--text);
+            font-size: 17px;
+            line-height: 1.45;
+            margin-bottom: 16px;
+            white-space: pre-wrap;
+            word-wrap: break-word;
+            letter-spacing: -0.01em;
+          }
+          .comment.target .content {
+            margin-bottom: 0;
+          }
+          .metrics {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 24px;
+            color: var(--muted);
+            font-size: 14px;
+          }
+          .content .rt {
+            color: var(--link);
+          }
+          ${excerptCss()}
+          ${themeCss(tokens, options)}
+        </style>
+      </head>
+      <body>
+        <div class="card">
+          <div class="header">
+            <span class="logo">Y</span>
+            <span class="site">Hacker News</span>
+          </div>
+          ${bodyHtml}
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  return {
+    name: 'hackernews',
+    match: url => url.toLowerCase().includes('news.ycombinator.com/item'),
+    scrape: (url, ctx) => scrapeHackerNews(url, ctx.options),
+    render: renderHackerNewsCard,
+    renderBento: renderBentoHackerNewsCard,
+    metadata: data => ({
+      kind: data.kind,
+      link: data.link || undefined,
+      domain: data.domain || undefined,
+      story: data.story || undefined,
+      chain: data.chain && data.chain.length > 0 ? data.chain : undefined,
+    }),
+  };
+};
@@ -0,0 +1,409 @@
+/**
+ * Mastodon and the servers that speak its API (Pleroma, Akkoma, GoToSocial, ...)
+ */
+
+module.exports = helpers => {
+  const {
+    buildLinkCard,
+    cardWidth,
+    escapeHtml,
+    excerptCss,
+    excerptOptions,
+    fetchJSON,
+    fetchNodeInfoSoftware,
+    formatNumber,
+    imageToBase64,
+    linkCardCss,
+    quotedCardCss,
+    renderLinkCardHtml,
+    renderQuotedHtml,
+    renderRichText,
+    richTextFromHtml,
+    richTextToPlain,
+    themeCss,
+    themeTokens,
+    fonts: { standard: FONT_STANDARD, bento: FONT_BENTO },
+  } = helpers;
+
+  /**
+   * Quoted status on Mastodon 4.4+ (`quote.quoted_status`) or forks that
+   * put the status directly in `quote` (Fedibird, Akkoma/Pleroma)
+   */
+  async function formatMastodonQuote(data, instance) {
+    const quote = data.quote || data.pleroma?.quote;
+    if (!quote) return null;
+
+    const status = quote.quoted_status !== undefined ? quote.quoted_status : quote;
+    if (!status || !status.account) {
+      return quote.state && quote.state !== 'accepted'
+        ? { unavailable: true, content: 'Quoted post unavailable' }
+        : null;
+    }
+
+    const images = (status.media_attachments || [])
+      .filter(media => ['image', 'gifv', 'video'].includes(media.type))
+      .map(media => (media.type === 'video' ? media.preview_url : media.url || media.preview_url));
+    const imagesBase64 = [];
+    for (const imgUrl of images) {
+      const base64 = await imageToBase64(imgUrl);
+      if (base64) imagesBase64.push(base64);
+    }
+
+    const acct = status.account.acct || status.account.username;
+    const avatarUrl = status.account.avatar || '';
+
+    return {
+      author: {
+        name: status.account.display_name || status.account.username || 'Unknown',
+        handle: acct.includes('@') ? `@${acct}` : `@${acct}@${instance}`,
+        avatar: await imageToBase64(avatarUrl),
+        avatarUrl: avatarUrl,
+      },
+      content: richTextToPlain(richTextFromHtml(status.content)),
+      images: imagesBase64,
+      originalImageUrls: images,
+      timestamp: status.created_at,
+      url: status.url || status.uri || '',
+    };
+  }
+
+  /**
+   * Mastodon Scraper
+   */
+  async function scrapeMastodon(url) {
+    // Parse the URL to get instance and post ID
+    const urlObj = new URL(url);
+    const instance = urlObj.hostname;
+
+    // Post ID from /@user/123 (Mastodon), /users/user/statuses/123, /@user/statuses/01H... (GoToSocial)
+    // or /notice/AbC (Pleroma, Akkoma)
+    const match = urlObj.pathname.match(/^\/(?:@[^/]+|users\/[^/]+)\/(?:statuses\/)?([\w-]+)\/?$/) ||
+                  urlObj.pathname.match(/^\/notice\/([\w-]+)/);
+
+    let data;
+    if (match) {
+      // Fetch from Mastodon API
+      data = await fetchJSON(`https://${instance}/api/v1/statuses/${match[1]}`);
+    } else {
+      // e.g. Pleroma /objects/<uuid>: let the server look the URL up
+      const search = await fetchJSON(`https://${instance}/api/v2/search?type=statuses&limit=1&resolve=true&q=${encodeURIComponent(url)}`);
+      data = search.statuses?.[0];
+    }
+    if (!data || !data.id) throw new Error('Invalid Mastodon URL');
+
+    const software = await fetchNodeInfoSoftware(instance);
+
+    // Get avatar
+    const avatarUrl = data.account?.avatar || '';
+    const avatarBase64 = await imageToBase64(avatarUrl);
+
+    // Get media attachments
+    const images = [];
+    if (data.media_attachments) {
+      for (const media of data.media_attachments) {
+        if (media.type === 'image' || media.type === 'gifv') {
+          images.push(media.url || media.preview_url);
+        } else if (media.type === 'video') {
+          images.push(media.preview_url);
+        }
+      }
+    }
+
+    const imagesBase64 = [];
+    for (const imgUrl of images) {
+      const base64 = await imageToBase64(imgUrl);
+      if (base64) imagesBase64.push(base64);
+    }
+
+    // Keep paragraphs, mentions, hashtags and links from the HTML content
+    const richText = richTextFromHtml(data.content);
+    const content = richTextToPlain(richText);
+
+    return {
+      platform: 'mastodon',
+      instance: instance,
+      software: software || 'mastodon',
+      author: {
+        name: data.account?.display_name || data.account?.username || 'Unknown',
+        handle: `@${data.account?.username}@${instance}`,
+        avatar: avatarBase64,
+        avatarUrl: avatarUrl,
+      },
+      content: content,
+      richText: richText,
+      images: imagesBase64,
+      originalImageUrls: images, // Original URLs for download
+      quoted: await formatMastodonQuote(data, instance),
+      linkCard: data.card ? await buildLinkCard({
+        url: data.card.url,
+        title: data.card.title,
+        description: data.card.description,
+        thumbnailUrl: data.card.image,
+      }) : null,
+      timestamp: data.created_at,
+      metrics: {
+        replies: data.replies_count || 0,
+        boosts: data.reblogs_count || 0,
+        favorites: data.favourites_count || 0,
+      },
+      url: url,
+    };
+  }
+
+  /**
+   * Mastodon Card Template
+   */
+  function renderMastodonCard(data, options = {}) {
+    const tokens = themeTokens(options, 'dark', {
+      base: { font: FONT_STANDARD, radius: '8px', padding: '16px' },
+      dark: { page: '#000', card: '#282c37', border: '#393f4f', text: '#fff', muted: '#9baec8', link: '#8c8dff' },
+      light: { page: '#eff3f5', card: '#fff', border: '#c0cdd9', text: '#282c37', muted: '#606984', link: '#563acc' },
+    });
+
+    const imagesHtml = data.images.length > 0 ? `
+      <div class="images ${data.images.length > 1 ? 'grid' : ''}">
+        ${data.images.map(img => `<img src="${img}" alt="Post image">`).join('')}
+      </div>
+    ` : '';
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <style>
+          * { margin: 0; padding: 0; box-sizing: border-box; }
+          body {
+            font-family: var(--font);
+            background: var(--page);
+            padding: 20px;
+          }
+          .card {
+            background: var(--card);
+            border-radius: var(--radius);
+            padding: var(--padding);
+            max-width: ${cardWidth(options)}px;
+          }
+          .header {
+            display: flex;
+            align-items: center;
+            margin-bottom: 12px;
+          }
+          .avatar {
+            width: 46px;
+            height: 46px;
+            border-radius: 8px;
+            margin-right: 12px;
+            object-fit: cover;
+          }
+          .author-info { flex: 1; }
+          .name {
+            color: var(--text);
+            font-weight: 600;
+            font-size: 15px;
+          }
+          .handle {
+            color: var(--muted);
+            font-size: 14px;
+          }
+          .content {
+            color: var(--text);
+            font-size: 15px;
+            line-height: 1.5;
+            margin-bottom: 12px;
+            white-space: pre-wrap;
+            word-wrap: break-word;
+          }
+          .images {
+            border-radius: 8px;
+            overflow: hidden;
+            margin-bottom: 12px;
+          }
+          .images.grid {
+            display: grid;
+            grid-template-columns: repeat(2, 1fr);
+            gap: 2px;
+          }
+          .images img {
+            width: 100%;
+            display: block;
+            max-height: 280px;
+            object-fit: cover;
+          }
+          .metrics {
+            display: flex;
+            gap: 20px;
+            color: var(--muted);
+            font-size: 14px;
+            padding-top: 12px;
+            border-top: 1px solid var(--border);
+          }
+          .metric {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+          }
+          .content .rt {
+            color: var(--link);
+          }
+          ${linkCardCss({ border: 'var(--border)', title: 'var(--text)', muted: 'var(--muted)', radius: 8 })}
+          ${quotedCardCss({ border: 'var(--border)', name: 'var(--text)', muted: 'var(--muted)', text: 'var(--text)', placeholder: 'var(--border)', radius: 8 })}
+          ${excerptCss()}
+          ${themeCss(tokens, options)}
+        </style>
+      </head>
+      <body>
+        <div class="card">
+          <div class="header">
+            ${data.author.avatar ? `<img class="avatar" src="${data.author.avatar}" alt="Avatar">` : `<div class="avatar" style="background:var(--border);"></div>`}
+            <div class="author-info">
+              <div class="name">${escapeHtml(data.author.name)}</div>
+              <div class="handle">${escapeHtml(data.author.handle)}</div>
+            </div>
+          </div>
+          <div class="content">${renderRichText(data.richText, data.content, excerptOptions(options))}</div>
+          ${imagesHtml}
+          ${renderLinkCardHtml(data.linkCard)}
+          ${renderQuotedHtml(data.quoted)}
+          <div class="metrics">
+            <span class="metric">💬 ${formatNumber(data.metrics.replies)}</span>
+            <span class="metric">🔁 ${formatNumber(data.metrics.boosts)}</span>
+            <span class="metric">⭐ ${formatNumber(data.metrics.favorites)}</span>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Bento Mastodon Card Template
+   */
+  function renderBentoMastodonCard(data, options = {}) {
+    const tokens = themeTokens(options, 'dark', {
+      base: { font: FONT_BENTO, radius: '24px', padding: '24px' },
+      dark: { card: '#1c1c1e', text: '#fff', muted: 'rgba(255,255,255,0.55)', placeholder: '#2c2c2e', border: 'rgba(255,255,255,0.12)', link: '#8c8dff' },
+      light: { card: '#f5f5f7', text: '#1d1d1f', muted: 'rgba(0,0,0,0.55)', placeholder: '#e5e5ea', border: 'rgba(0,0,0,0.1)', link: '#563acc' },
+    });
+
+    const imagesHtml = data.images.length > 0 ? `
+      <div class="images ${data.images.length > 1 ? 'grid' : ''}">
+        ${data.images.map(img => `<img src="${img}" alt="Post image">`).join('')}
+      </div>
+    ` : '';
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <style>
+          * { margin: 0; padding: 0; box-sizing: border-box; }
+          body {
+            font-family: var(--font);
+            background: transparent;
+            padding: 0;
+          }
+          .card {
+            background: var(--card);
+            border-radius: var(--radius);
+            padding: var(--padding);
+            max-width: ${cardWidth(options)}px;
+          }
+          .header {
+            display: flex;
+            align-items: center;
+            margin-bottom: 16px;
+          }
+          .avatar {
+            width: 44px;
+            height: 44px;
+            border-radius: 10px;
+            margin-right: 12px;
+            object-fit: cover;
+          }
+          .author-info { flex: 1; }
+          .name {
+            color: var(--text);
+            font-weight: 600;
+            font-size: 16px;
+            letter-spacing: -0.01em;
+          }
+          .handle {
+            color: var(--muted);
+            font-size: 13px;
+          }
+          .content {
+            color: var(--text);
+            font-size: 17px;
+            line-height: 1.45;
+            margin-bottom: 16px;
+            white-space: pre-wrap;
+            word-wrap: break-word;
+            letter-spacing: -0.01em;
+          }
+          .images {
+            border-radius: 16px;
+            overflow: hidden;
+            margin-bottom: 16px;
+          }
+          .images.grid {
+            display: grid;
+            grid-template-columns: repeat(2, 1fr);
+            gap: 2px;
+          }
+          .images img {
+            width: 100%;
+            display: block;
+            max-height: 280px;
+            object-fit: cover;
+          }
+          .metrics {
+            display: flex;
+            gap: 24px;
+            color: var(--muted);
+            font-size: 14px;
+          }
+          .content .rt {
+            color: var(--link);
+          }
+          ${linkCardCss({ border: 'var(--border)', title: 'var(--text)', muted: 'var(--muted)', radius: 16, margin: '0 0 16px' })}
+          ${quotedCardCss({ border: 'var(--border)', name: 'var(--text)', muted: 'var(--muted)', text: 'var(--text)', placeholder: 'var(--placeholder)', radius: 16, margin: '0 0 16px' })}
+          ${excerptCss()}
+          ${themeCss(tokens, options)}
+        </style>
+      </head>
+      <body>
+        <div class="card">
+          <div class="header">
+            ${data.author.avatar ? `<img class="avatar" src="${data.author.avatar}" alt="Avatar">` : `<div class="avatar" style="background:var(--placeholder);"></div>`}
+            <div class="author-info">
+              <div class="name">${escapeHtml(data.author.name)}</div>
+              <div class="handle">${escapeHtml(data.author.handle)}</div>
+            </div>
+          </div>
+          <div class="content">${renderRichText(data.richText, data.content, excerptOptions(options))}</div>
+          ${imagesHtml}
+          ${renderLinkCardHtml(data.linkCard)}
+          ${renderQuotedHtml(data.quoted)}
+          <div class="metrics">
+            <span class="metric">${formatNumber(data.metrics.replies)} replies</span>
+            <span class="metric">${formatNumber(data.metrics.boosts)} boosts</span>
+            <span class="metric">${formatNumber(data.metrics.favorites)} favorites</span>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  // Mastodon-style post path on any host; other fediverse URLs are found by resolvePlatform
+  return {
+    name: 'mastodon',
+    match: url => /\/@[\w.-]+(@[\w.-]+)?\/\d+\/?(?:[?#]|$)/.test(url.toLowerCase()),
+    scrape: url => scrapeMastodon(url),
+    render: renderMastodonCard,
+    renderBento: renderBentoMastodonCard,
+    metadata: data => (data.software ? { software: data.software } : {}),
+  };
+};
@@ -0,0 +1,723 @@
+/**
+ * Reddit posts and comments from the public .json endpoints
+ */
+
+const REDDIT_CHAIN_DEPTH = 8; // Parent comments shown above a Reddit comment in --thread mode
+
+module.exports = helpers => {
+  const {
+    buildLinkCard,
+    cardWidth,
+    cheerio,
+    contextExcerptOptions,
+    escapeHtml,
+    excerptCss,
+    excerptOptions,
+    fetchJSON,
+    formatNumber,
+    formatRelativeTime,
+    imageToBase64,
+    linkCardCss,
+    renderLinkCardHtml,
+    renderRichText,
+    richTextFromHtml,
+    themeCss,
+    themeTokens,
+    fonts: { standard: FONT_STANDARD, bento: FONT_BENTO },
+  } = helpers;
+
+  /**
+   * Icon from a Reddit about.json (subreddit or user); '' if there is none
+   */
+  async function fetchRedditIcon(aboutUrl) {
+    try {
+      const about = await fetchJSON(aboutUrl);
+      return about?.data?.community_icon || about?.data?.snoovatar_img || about?.data?.icon_img || '';
+    } catch (e) {
+      return '';
+    }
+  }
+
+  /**
+   * Rich text from Reddit's body_html; /u/ and /r/ links are relative, so draw them as mentions
+   */
+  function redditRichText(html) {
+    if (!html) return [];
+    const $ = cheerio.load(html, null, false);
+    $('a[href^="/"]').addClass('mention');
+    return richTextFromHtml($.html());
+  }
+
+  /**
+   * Image URLs of a post: every gallery image, the image itself, or a video's preview frame
+   */
+  function redditMediaUrls(post) {
+    if (post.gallery_data && post.media_metadata) {
+      return post.gallery_data.items
+        .map(item => post.media_metadata[item.media_id])
+        .filter(media => media && media.status === 'valid')
+        .map(media => media.s?.u || media.s?.gif)
+        .filter(Boolean);
+    }
+    if (post.post_hint === 'image' || /\.(jpe?g|png|gif|webp)$/i.test(post.url || '')) {
+      return [post.url];
+    }
+    const preview = post.preview?.images?.[0]?.source?.url;
+    if (preview && (post.is_video || /video/.test(post.post_hint || ''))) {
+      return [preview];
+    }
+    return [];
+  }
+
+  /**
+   * Comments from the target's topmost loaded parent down to the target
+   */
+  function redditCommentPath(children, targetId) {
+    for (const child of children || []) {
+      if (child.kind !== 't1') continue;
+      if (child.data.id === targetId) return [child.data];
+      const rest = redditCommentPath(child.data.replies?.data?.children, targetId);
+      if (rest) return [child.data, ...rest];
+    }
+    return null;
+  }
+
+  function formatRedditComment(comment) {
+    return {
+      author: { name: `u/${comment.author}`, handle: comment.author },
+      authorFlair: comment.author_flair_text || '',
+      content: comment.body || '',
+      richText: redditRichText(comment.body_html),
+      score: comment.score_hidden ? null : comment.score,
+      timestamp: new Date(comment.created_utc * 1000).toISOString(),
+    };
+  }
+
+  /**
+   * Reddit post or comment permalink via the public .json endpoints
+   * With `options.thread`, a comment card also shows the comments it replies to
+   */
+  async function scrapeReddit(url, options = {}) {
+    const match = url.match(/\/comments\/([a-z0-9]+)(?:\/[^\/?#]*(?:\/([a-z0-9]+))?)?/i);
+    if (!match) throw new Error('Invalid Reddit URL');
+    const [, postId, commentId] = match;
+
+    const apiUrl = commentId
+      ? `https://www.reddit.com/comments/${postId}/_/${commentId}.json?raw_json=1&context=${options.thread ? REDDIT_CHAIN_DEPTH : 0}`
+      : `https://www.reddit.com/comments/${postId}.json?raw_json=1&limit=1`;
+    const listing = await fetchJSON(apiUrl);
+    const post = listing?.[0]?.data?.children?.[0]?.data;
+    if (!post) throw new Error('Reddit post not found');
+
+    let comment = null;
+    let chain = [];
+    if (commentId) {
+      const lineage = redditCommentPath(listing[1]?.data?.children, commentId);
+      if (!lineage) throw new Error('Reddit comment not found');
+      comment = lineage.pop();
+      chain = lineage.map(formatRedditComment);
+    }
+    const target = comment || post;
+
+    const subredditIconUrl = await fetchRedditIcon(`https://www.reddit.com/r/${post.subreddit}/about.json?raw_json=1`);
+    const avatarUrl = target.author === '[deleted]' ? ''
+      : await fetchRedditIcon(`https://www.reddit.com/user/${target.author}/about.json?raw_json=1`);
+
+    // A crosspost shows the original post's media
+    const source = post.crosspost_parent_list?.[0] || post;
+    const images = comment ? [] : redditMediaUrls(source);
+    const imagesBase64 = [];
+    for (const imgUrl of images) {
+      const base64 = await imageToBase64(imgUrl);
+      if (base64) imagesBase64.push(base64);
+    }
+
+    // Link posts get a preview block; self posts, images and videos don't
+    const isLinkPost = !comment && !source.is_self && images.length === 0 && !source.is_video && source.url;
+    const linkCard = isLinkPost ? await buildLinkCard({
+      url: source.url,
+      title: source.title,
+      thumbnailUrl: source.preview?.images?.[0]?.source?.url,
+    }) : null;
+
+    const awards = [];
+    for (const award of (target.all_awardings || []).slice(0, 8)) {
+      awards.push({
+        name: award.name,
+        count: award.count || 1,
+        iconUrl: award.icon_url,
+        icon: await imageToBase64(award.icon_url),
+      });
+    }
+
+    // Flair colours come from the subreddit; only plain hex values reach the template
+    const hex = value => (/^#[0-9a-f]{3,8}$/i.test(value || '') ? value : '');
+    const flair = post.link_flair_text ? {
+      text: post.link_flair_text,
+      background: hex(post.link_flair_background_color),
+      color: post.link_flair_text_color === 'light' ? '#fff' : '#000',
+    } : null;
+
+    return {
+      platform: 'reddit',
+      kind: comment ? 'comment' : 'post',
+      subreddit: {
+        name: post.subreddit_name_prefixed || `r/${post.subreddit}`,
+        icon: await imageToBase64(subredditIconUrl),
+        iconUrl: subredditIconUrl,
+      },
+      author: {
+        name: `u/${target.author}`,
+        handle: target.author,
+        avatar: await imageToBase64(avatarUrl),
+        avatarUrl: avatarUrl,
+      },
+      authorFlair: target.author_flair_text || '',
+      title: comment ? '' : post.title,
+      flair,
+      content: comment ? comment.body || '' : post.selftext || '',
+      richText: redditRichText(comment ? comment.body_html : post.selftext_html),
+      images: imagesBase64,
+      originalImageUrls: images, // Original URLs for download
+      linkCard,
+      awards,
+      nsfw: Boolean(post.over_18),
+      // The post a comment belongs to, shown above it
+      post: comment ? {
+        title: post.title,
+        author: `u/${post.author}`,
+        url: `https://www.reddit.com${post.permalink}`,
+      } : null,
+      chain,
+      timestamp: new Date(target.created_utc * 1000).toISOString(),
+      metrics: {
+        score: target.score_hidden ? null : target.score,
+        comments: post.num_comments || 0,
+      },
+      url: url,
+    };
+  }
+
+  /**
+   * Reddit Card Template (posts and comments; --thread adds the parent comments)
+   */
+  function renderRedditCard(data, options = {}) {
+    const tokens = themeTokens(options, 'dark', {
+      base: { font: FONT_STANDARD, radius: '12px', padding: '16px' },
+      dark: { page: '#030303', card: '#1a1a1b', border: '#343536', text: '#d7dadc', muted: '#818384', link: '#4fbcff', accent: '#ff4500', placeholder: '#343536' },
+      light: { page: '#dae0e6', card: '#fff', border: '#ccc', text: '#1c1c1c', muted: '#787c7e', link: '#0079d3', accent: '#ff4500', placeholder: '#edeff1' },
+    });
+
+    const score = value => (value === null || value === undefined ? '•' : formatNumber(value));
+    const images = data.images || [];
+    const imagesHtml = images.length > 0 ? `
+      <div class="images ${images.length > 1 ? 'grid' : ''}">
+        ${images.map(img => `<img src="${img}" alt="Post image">`).join('')}
+      </div>
+    ` : '';
+
+    const flairHtml = data.flair ? `<span class="flair" style="${data.flair.background ? `background:${data.flair.background};color:${data.flair.color};` : ''}">${escapeHtml(data.flair.text)}</span>` : '';
+    const awardsHtml = (data.awards || []).length > 0 ? `
+      <div class="awards">
+        ${data.awards.map(award => `<span class="award" title="${escapeHtml(award.name)}">${award.icon ? `<img src="${award.icon}" alt="">` : '🏅'}${award.count > 1 ? ` ${award.count}` : ''}</span>`).join('')}
+      </div>
+    ` : '';
+
+    const commentHtml = (comment, isTarget) => `
+      <div class="comment ${isTarget ? 'target' : ''}">
+        <div class="comment-rail">
+          ${isTarget && comment.author.avatar ? `<img class="comment-avatar" src="${comment.author.avatar}" alt="Avatar">` : '<div class="comment-avatar placeholder"></div>'}
+          ${isTarget ? '' : '<div class="thread-line"></div>'}
+        </div>
+        <div class="comment-body">
+          <div class="comment-meta">
+            <span class="comment-author">${escapeHtml(comment.author.name)}</span>
+            ${comment.authorFlair ? `<span class="user-flair">${escapeHtml(comment.authorFlair)}</span>` : ''}
+            <span>· ${formatRelativeTime(comment.timestamp)}</span>
+          </div>
+          <div class="content">${renderRichText(comment.richText, comment.content, isTarget ? excerptOptions(options) : contextExcerptOptions(options))}</div>
+          ${isTarget ? '' : `<div class="comment-score">⬆ ${score(comment.score)}</div>`}
+        </div>
+      </div>
+    `;
+
+    const bodyHtml = data.kind === 'comment' ? `
+      ${(data.chain || []).map(comment => commentHtml(comment, false)).join('')}
+      ${commentHtml({ ...data, score: data.metrics?.score }, true)}
+    ` : `
+      <div class="title">${flairHtml}${data.nsfw ? '<span class="nsfw">NSFW</span>' : ''}${escapeHtml(data.title)}</div>
+      ${data.content ? `<div class="content">${renderRichText(data.richText, data.content, excerptOptions(options))}</div>` : ''}
+      ${imagesHtml}
+      ${renderLinkCardHtml(data.linkCard)}
+    `;
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <style>
+          * { margin: 0; padding: 0; box-sizing: border-box; }
+          body {
+            font-family: var(--font);
+            background: var(--page);
+            padding: 20px;
+          }
+          .card {
+            background: var(--card);
+            border-radius: var(--radius);
+            padding: var(--padding);
+            max-width: ${cardWidth(options)}px;
+            border: 1px solid var(--border);
+          }
+          .header {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            margin-bottom: 12px;
+          }
+          .subreddit-icon {
+            width: 32px;
+            height: 32px;
+            border-radius: 50%;
+            object-fit: cover;
+            flex-shrink: 0;
+          }
+          .subreddit-icon.placeholder {
+            background: var(--accent);
+          }
+          .header-info { flex: 1; min-width: 0; }
+          .subreddit {
+            color: var(--text);
+            font-weight: 700;
+            font-size: 13px;
+          }
+          .byline {
+            color: var(--muted);
+            font-size: 12px;
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+          }
+          .title {
+            color: var(--text);
+            font-size: 18px;
+            font-weight: 600;
+            line-height: 1.3;
+            margin-bottom: 10px;
+          }
+          .flair, .nsfw {
+            display: inline-block;
+            font-size: 12px;
+            font-weight: 500;
+            padding: 2px 8px;
+            border-radius: 999px;
+            margin-right: 8px;
+            vertical-align: 2px;
+            background: var(--placeholder);
+            color: var(--text);
+          }
+          .nsfw {
+            background: #ff585b;
+            color: #fff;
+          }
+          .content {
+            color: var(--text);
+            font-size: 14px;
+            line-height: 1.5;
+            margin-bottom: 12px;
+            white-space: pre-wrap;
+            word-wrap: break-word;
+          }
+          .images {
+            border-radius: 8px;
+            overflow: hidden;
+            margin-bottom: 12px;
+          }
+          .images.grid {
+            display: grid;
+            grid-template-columns: repeat(2, 1fr);
+            gap: 2px;
+          }
+          .images img {
+            width: 100%;
+            display: block;
+            max-height: 320px;
+            object-fit: cover;
+          }
+          .comment {
+            display: flex;
+            gap: 8px;
+          }
+          .comment-rail {
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            width: 24px;
+            flex-shrink: 0;
+          }
+          .comment-avatar {
+            width: 24px;
+            height: 24px;
+            border-radius: 50%;
+            object-fit: cover;
+          }
+          .comment-avatar.placeholder {
+            background: var(--placeholder);
+          }
+          .thread-line {
+            width: 2px;
+            flex-grow: 1;
+            background: var(--border);
+            margin: 4px 0;
+          }
+          .comment-body {
+            flex: 1;
+            min-width: 0;
+          }
+          .comment-meta {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            flex-wrap: wrap;
+            color: var(--muted);
+            font-size: 12px;
+            margin: 4px 0 6px;
+          }
+          .comment-author {
+            color: var(--text);
+            font-weight: 600;
+          }
+          .user-flair {
+            background: var(--placeholder);
+            color: var(--text);
+            border-radius: 4px;
+            padding: 0 6px;
+          }
+          .comment:not(.target) .content {
+            color: var(--muted);
+            margin-bottom: 4px;
+          }
+          .comment-score {
+            color: var(--muted);
+            font-size: 12px;
+            font-weight: 600;
+            margin-bottom: 12px;
+          }
+          .awards {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 8px;
+            margin-bottom: 12px;
+            color: var(--muted);
+            font-size: 12px;
+          }
+          .award {
+            display: flex;
+            align-items: center;
+            gap: 2px;
+          }
+          .award img {
+            width: 16px;
+            height: 16px;
+          }
+          .footer {
+            display: flex;
+            gap: 16px;
+            color: var(--muted);
+            font-size: 13px;
+            font-weight: 600;
+          }
+          .score {
+            color: var(--accent);
+          }
+          .content .rt {
+            color: var(--link);
+          }
+          ${linkCardCss({ border: 'var(--border)', title: 'var(--text)', muted: 'var(--muted)', radius: 8 })}
+          ${excerptCss()}
+          ${themeCss(tokens, options)}
+        </style>
+      </head>
+      <body>
+        <div class="card">
+          <div class="header">
+            ${data.subreddit?.icon ? `<img class="subreddit-icon" src="${data.subreddit.icon}" alt="Subreddit icon">` : '<div class="subreddit-icon placeholder"></div>'}
+            <div class="header-info">
+              <div class="subreddit">${escapeHtml(data.subreddit?.name || 'Reddit')}</div>
+              <div class="byline">${data.kind === 'comment'
+                ? `Comment on “${escapeHtml(data.post?.title || '')}”`
+                : `Posted by ${escapeHtml(data.author.name)} · ${formatRelativeTime(data.timestamp)}`}</div>
+            </div>
+          </div>
+          ${bodyHtml}
+          ${awardsHtml}
+          <div class="footer">
+            <span class="score">⬆ ${score(data.metrics?.score)} ⬇</span>
+            ${data.kind === 'comment' ? '' : `<span>💬 ${formatNumber(data.metrics?.comments)} comments</span>`}
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Bento Reddit Card Template
+   */
+  function renderBentoRedditCard(data, options = {}) {
+    const tokens = themeTokens(options, 'dark', {
+      base: { font: FONT_BENTO, radius: '24px', padding: '24px' },
+      dark: { card: '#1c1c1e', text: '#fff', muted: 'rgba(255,255,255,0.55)', placeholder: '#2c2c2e', border: 'rgba(255,255,255,0.12)', link: '#4fbcff', accent: '#ff4500' },
+      light: { card: '#f5f5f7', text: '#1d1d1f', muted: 'rgba(0,0,0,0.55)', placeholder: '#e5e5ea', border: 'rgba(0,0,0,0.1)', link: '#0079d3', accent: '#ff4500' },
+    });
+
+    const score = value => (value === null || value === undefined ? '•' : formatNumber(value));
+    const images = data.images || [];
+    const imagesHtml = images.length > 0 ? `
+      <div class="images ${images.length > 1 ? 'grid' : ''}">
+        ${images.map(img => `<img src="${img}" alt="Post image">`).join('')}
+      </div>
+    ` : '';
+
+    const flairHtml = data.flair ? `<span class="flair" style="${data.flair.background ? `background:${data.flair.background};color:${data.flair.color};` : ''}">${escapeHtml(data.flair.text)}</span>` : '';
+    const awardsHtml = (data.awards || []).length > 0 ? `
+      <div class="awards">
+        ${data.awards.map(award => `<span class="award" title="${escapeHtml(award.name)}">${award.icon ? `<img src="${award.icon}" alt="">` : '🏅'}${award.count > 1 ? ` ${award.count}` : ''}</span>`).join('')}
+      </div>
+    ` : '';
+
+    const commentHtml = (comment, isTarget) => `
+      <div class="comment ${isTarget ? 'target' : ''}">
+        <div class="comment-meta">
+          <span class="comment-author">${escapeHtml(comment.author.name)}</span>
+          ${comment.authorFlair ? `<span class="user-flair">${escapeHtml(comment.authorFlair)}</span>` : ''}
+          <span>· ${formatRelativeTime(comment.timestamp)}</span>
+          ${isTarget ? '' : `<span>· ${score(comment.score)} points</span>`}
+        </div>
+        <div class="content">${renderRichText(comment.richText, comment.content, isTarget ? excerptOptions(options) : contextExcerptOptions(options))}</div>
+      </div>
+    `;
+
+    const bodyHtml = data.kind === 'comment' ? `
+      ${(data.chain || []).length > 0 ? `<div class="chain">${data.chain.map(comment => commentHtml(comment, false)).join('')}</div>` : ''}
+      ${commentHtml({ ...data, score: data.metrics?.score }, true)}
+    ` : `
+      ${flairHtml || data.nsfw ? `<div class="tags">${flairHtml}${data.nsfw ? '<span class="nsfw">NSFW</span>' : ''}</div>` : ''}
+      <div class="title">${escapeHtml(data.title)}</div>
+      ${data.content ? `<div class="content">${renderRichText(data.richText, data.content, excerptOptions(options))}</div>` : ''}
+      ${imagesHtml}
+      ${renderLinkCardHtml(data.linkCard)}
+    `;
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <style>
+          * { margin: 0; padding: 0; box-sizing: border-box; }
+          body {
+            font-family: var(--font);
+            background: transparent;
+            padding: 0;
+          }
+          .card {
+            background: var(--card);
+            border-radius: var(--radius);
+            padding: var(--padding);
+            max-width: ${cardWidth(options)}px;
+          }
+          .header {
+            display: flex;
+            align-items: center;
+            margin-bottom: 16px;
+          }
+          .subreddit-icon {
+            width: 44px;
+            height: 44px;
+            border-radius: 50%;
+            margin-right: 12px;
+            object-fit: cover;
+            flex-shrink: 0;
+          }
+          .subreddit-icon.placeholder {
+            background: var(--accent);
+          }
+          .header-info { flex: 1; min-width: 0; }
+          .subreddit {
+            color: var(--text);
+            font-weight: 600;
+            font-size: 16px;
+            letter-spacing: -0.01em;
+          }
+          .byline {
+            color: var(--muted);
+            font-size: 14px;
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+          }
+          .tags {
+            margin-bottom: 10px;
+          }
+          .flair, .nsfw {
+            display: inline-block;
+            font-size: 13px;
+            font-weight: 500;
+            padding: 3px 10px;
+            border-radius: 999px;
+            margin-right: 8px;
+            background: var(--placeholder);
+            color: var(--text);
+          }
+          .nsfw {
+            background: #ff585b;
+            color: #fff;
+          }
+          .title {
+            color: var(--text);
+            font-size: 22px;
+            font-weight: 600;
+            line-height: 1.3;
+            letter-spacing: -0.02em;
+            margin-bottom: 12px;
+          }
+          .content {
+            color: var(--text);
+            font-size: 17px;
+            line-height: 1.45;
+            margin-bottom: 16px;
+            white-space: pre-wrap;
+            word-wrap: break-word;
+            letter-spacing: -0.01em;
+          }
+          .images {
+            border-radius: 16px;
+            overflow: hidden;
+            margin-bottom: 16px;
+          }
+          .images.grid {
+            display: grid;
+            grid-template-columns: repeat(2, 1fr);
+            gap: 2px;
+          }
+          .images img {
+            width: 100%;
+            display: block;
+            max-height: 320px;
+            object-fit: cover;
+          }
+          .chain {
+            border-left: 2px solid var(--border);
+            padding-left: 16px;
+            margin-bottom: 16px;
+          }
+          .chain .content {
+            color: var(--muted);
+            font-size: 15px;
+            margin-bottom: 12px;
+          }
+          .chain .comment:last-child .content {
+            margin-bottom: 0;
+          }
+          .comment-meta {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            flex-wrap: wrap;
+            color: var(--muted);
+            font-size: 14px;
+            margin-bottom: 6px;
+          }
+          .comment-author {
+            color: var(--text);
+            font-weight: 600;
+          }
+          .user-flair {
+            background: var(--placeholder);
+            color: var(--text);
+            border-radius: 6px;
+            padding: 0 6px;
+          }
+          .awards {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 10px;
+            margin-bottom: 16px;
+            color: var(--muted);
+            font-size: 14px;
+          }
+          .award {
+            display: flex;
+            align-items: center;
+            gap: 2px;
+          }
+          .award img {
+            width: 18px;
+            height: 18px;
+          }
+          .metrics {
+            display: flex;
+            gap: 24px;
+            color: var(--muted);
+            font-size: 14px;
+          }
+          .content .rt {
+            color: var(--link);
+          }
+          ${linkCardCss({ border: 'var(--border)', title: 'var(--text)', muted: 'var(--muted)', radius: 16, margin: '0 0 16px' })}
+          ${excerptCss()}
+          ${themeCss(tokens, options)}
+        </style>
+      </head>
+      <body>
+        <div class="card">
+          <div class="header">
+            ${data.subreddit?.icon ? `<img class="subreddit-icon" src="${data.subreddit.icon}" alt="Subreddit icon">` : '<div class="subreddit-icon placeholder"></div>'}
+            <div class="header-info">
+              <div class="subreddit">${escapeHtml(data.subreddit?.name || 'Reddit')}</div>
+              <div class="byline">${data.kind === 'comment'
+                ? `Comment on “${escapeHtml(data.post?.title || '')}”`
+                : `${escapeHtml(data.author.name)} · ${formatRelativeTime(data.timestamp)}`}</div>
+            </div>
+          </div>
+          ${bodyHtml}
+          ${awardsHtml}
+          <div class="metrics">
+            <span class="metric">${score(data.metrics?.score)} points</span>
+            ${data.kind === 'comment' ? '' : `<span class="metric">${formatNumber(data.metrics?.comments)} comments</span>`}
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  // Share links (/r/sub/s/...) and redd.it are expanded to the permalink first, since they don't match
+  return {
+    name: 'reddit',
+    match: url => url.toLowerCase().includes('reddit.com') && /\/comments\/[a-z0-9]+/i.test(url),
+    scrape: (url, ctx) => scrapeReddit(url, ctx.options),
+    render: renderRedditCard,
+    renderBento: renderBentoRedditCard,
+    metadata: (data, assetFiles = {}) => ({
+      kind: data.kind,
+      subreddit: {
+        name: data.subreddit?.name,
+        iconUrl: data.subreddit?.iconUrl,
+        iconFile: assetFiles[data.subreddit?.iconUrl],
+      },
+      authorFlair: data.authorFlair || undefined,
+      flair: data.flair || undefined,
+      nsfw: data.nsfw || undefined,
+      awards: (data.awards || []).map(({ name, count, iconUrl }) => ({ name, count, iconUrl, iconFile: assetFiles[iconUrl] })),
+      post: data.post || undefined,
+      chain: data.chain && data.chain.length > 0 ? data.chain : undefined,
+    }),
+    restore: (payload, localImage) => ({
+      subreddit: payload.subreddit ? { ...payload.subreddit, icon: localImage(payload.subreddit.iconFile) } : undefined,
+      awards: (payload.awards || []).map(award => ({ ...award, icon: localImage(award.iconFile) })),
+    }),
+  };
+};
@@ -0,0 +1,1055 @@
+/**
+ * X (Twitter) posts and --thread conversations, read from the embed page with Playwright
+ */
+
+module.exports = helpers => {
+  const {
+    buildLinkCard,
+    cardImageWidth,
+    cardWidth,
+    escapeHtml,
+    excerptCss,
+    excerptOptions,
+    formatNumber,
+    formatRelativeTime,
+    getBrowser,
+    imageToBase64,
+    linkCardCss,
+    quotedCardCss,
+    renderLinkCardHtml,
+    renderQuotedHtml,
+    renderRichText,
+    themeCss,
+    themeTokens,
+    fonts: { standard: FONT_STANDARD, bento: FONT_BENTO },
+  } = helpers;
+
+  /**
+   * Pick the smallest Twitter image size that covers the card at the chosen scale
+   * Media: small (680), medium (1200), large (2048); avatars: _bigger (73) or _400x400
+   */
+  function toCardTwitterImage(url, options = {}) {
+    if (!url) return url;
+    const needed = cardImageWidth(options);
+
+    if (url.includes('pbs.twimg.com/media')) {
+      const format = url.match(/format=(\w+)/)?.[1] || 'jpg';
+      const name = needed <= 680 ? 'small' : needed <= 1200 ? 'medium' : 'large';
+      return `${url.split('?')[0]}?format=${format}&name=${name}`;
+    }
+    if (url.includes('pbs.twimg.com/profile_images')) {
+      const size = (options.scale || 1) > 1 ? '_400x400' : '_bigger';
+      return url.replace(/_(normal|bigger|mini|200x200|400x400)(\.\w+)$/, `${size}$2`);
+    }
+    return url;
+  }
+
+  /**
+   * Upgrade a Twitter media URL to full resolution
+   * e.g., add ?format=jpg&name=4096x4096
+   */
+  function toFullResTwitterImage(url) {
+    if (url.includes('pbs.twimg.com/media')) {
+      const baseUrl = url.split('?')[0];
+      return `${baseUrl}?format=jpg&name=4096x4096`;
+    }
+    return url;
+  }
+
+  /**
+   * Runs inside the embed page (injected via page.evaluate)
+   * Finds the quoted tweet block under `root` and reads it
+   */
+  function extractTwitterQuote(root) {
+    const quoteEl = root.querySelector('[data-testid="quoteTweet"], .QuoteTweet, [role="link"]:has([data-testid="tweetText"])');
+    if (!quoteEl) return { quoteEl: null, quoted: null };
+
+    const userName = quoteEl.querySelector('[data-testid="User-Name"], .QuoteTweet-authorAndText')?.innerText || '';
+    const statusLink = quoteEl.matches('a[href*="/status/"]')
+      ? quoteEl
+      : quoteEl.querySelector('a[href*="/status/"]');
+
+    return {
+      quoteEl,
+      quoted: {
+        text: quoteEl.querySelector('[data-testid="tweetText"], .QuoteTweet-text, [lang]')?.innerText || '',
+        authorName: userName.split('\n')[0] || '',
+        authorHandle: (userName.match(/@(\w+)/) || quoteEl.innerText.match(/@(\w+)/) || [])[1] || '',
+        avatar: quoteEl.querySelector('img[src*="profile_images"]')?.src || '',
+        images: Array.from(quoteEl.querySelectorAll('img[src*="pbs.twimg.com/media"]')).map(img => img.src),
+        timestamp: quoteEl.querySelector('time')?.getAttribute('datetime') || '',
+        url: statusLink?.href || '',
+      },
+    };
+  }
+
+  /**
+   * Runs inside the embed page (injected via page.evaluate)
+   * Reads the link card under `root`, skipping one inside `excludeEl` (a quoted tweet)
+   */
+  function extractTwitterLinkCard(root, excludeEl) {
+    const cardEl = Array.from(root.querySelectorAll('[data-testid="card.wrapper"], .SummaryCard, .TwitterCard'))
+      .find(el => !excludeEl || !excludeEl.contains(el));
+    if (!cardEl) return null;
+
+    const link = cardEl.querySelector('a[href]') || cardEl.closest('a[href]');
+    const image = cardEl.querySelector('img[src*="card_img"], img')?.src || '';
+
+    // Card text is "domain / title / description" in some order; X prefixes the domain with "From"
+    const lines = cardEl.innerText.split('\n').map(line => line.trim().replace(/^From\s+/, '')).filter(Boolean);
+    const domain = lines.find(line => /^[\w-]+(\.[\w-]+)+$/.test(line)) || '';
+    const rest = lines.filter(line => line !== domain);
+
+    return {
+      url: link?.href || '',
+      title: rest[0] || '',
+      description: rest[1] || '',
+      domain,
+      image,
+    };
+  }
+
+  /**
+   * Convert a quoted tweet read from the embed DOM into card data
+   */
+  async function formatTwitterQuote(quoted, options = {}) {
+    if (!quoted || (!quoted.text && quoted.images.length === 0)) return null;
+
+    const imageUrls = quoted.images.slice(0, 4);
+    const imagesBase64 = [];
+    for (const imgUrl of imageUrls) {
+      const base64 = await imageToBase64(toCardTwitterImage(imgUrl, options));
+      if (base64) imagesBase64.push(base64);
+    }
+
+    return {
+      author: {
+        name: quoted.authorName || 'Unknown',
+        handle: quoted.authorHandle || 'unknown',
+        avatar: await imageToBase64(toCardTwitterImage(quoted.avatar, options)),
+        avatarUrl: quoted.avatar,
+      },
+      content: quoted.text,
+      images: imagesBase64,
+      originalImageUrls: imageUrls.map(toFullResTwitterImage),
+      timestamp: quoted.timestamp,
+      url: quoted.url,
+    };
+  }
+
+  /**
+   * Runs inside the X embed page (injected via page.evaluate)
+   * Walks a tweetText element and keeps mention/hashtag/link anchors
+   */
+  function extractTwitterRichText(el) {
+    if (!el) return [];
+    const segments = [];
+    const walk = node => {
+      node.childNodes.forEach(child => {
+        if (child.nodeType === 3) {
+          segments.push({ type: 'text', text: child.textContent });
+        } else if (child.nodeName === 'BR') {
+          segments.push({ type: 'text', text: '\n' });
+        } else if (child.nodeName === 'IMG') {
+          // Emoji are rendered as images with the character in alt
+          segments.push({ type: 'text', text: child.alt || '' });
+        } else if (child.nodeName === 'A') {
+          const text = child.innerText;
+          const href = child.href || '';
+          if (href.includes('/hashtag/') || text.startsWith('#') || text.startsWith('$')) {
+            segments.push({ type: 'hashtag', text, href });
+          } else if (text.startsWith('@')) {
+            segments.push({ type: 'mention', text, href });
+          } else {
+            segments.push({ type: 'link', text, href });
+          }
+        } else {
+          walk(child);
+        }
+      });
+    };
+    walk(el);
+    return segments.filter(segment => segment.text);
+  }
+
+  /**
+   * Twitter/X Scraper - Uses browser to load embed and extract data
+   */
+  async function scrapeTwitter(url, options = {}) {
+    // Extract tweet ID from URL
+    const match = url.match(/status\/(\d+)/);
+    if (!match) throw new Error('Invalid Twitter URL');
+
+    const tweetId = match[1];
+
+    // Use browser to load the Twitter embed page
+    const browser = await getBrowser();
+    const context = await browser.newContext({
+      userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+    });
+    const page = await context.newPage();
+
+    try {
+      // Load the embed version of the tweet
+      const embedUrl = `https://platform.twitter.com/embed/Tweet.html?id=${tweetId}&theme=dark`;
+      await page.goto(embedUrl, { waitUntil: 'networkidle', timeout: 30000 });
+
+      // Wait for content to load
+      await page.waitForSelector('[data-testid="tweetText"], .Tweet-text, article', { timeout: 10000 }).catch(() => {});
+
+      // Wait a bit more for images
+      await new Promise(resolve => setTimeout(resolve, 2000));
+
+      // Make the quote and link card extractors available inside the page
+      await page.evaluate(`window.extractTwitterQuote = ${extractTwitterQuote.toString()}`);
+      await page.evaluate(`window.extractTwitterLinkCard = ${extractTwitterLinkCard.toString()}`);
+      await page.evaluate(`window.extractTwitterRichText = ${extractTwitterRichText.toString()}`);
+
+      // Extract data from the embed page
+      const data = await page.evaluate(() => {
+        // Quoted tweet is nested in the embed; keep its text and media out of the main tweet
+        const { quoteEl, quoted } = window.extractTwitterQuote(document);
+        const outsideQuote = selector => Array.from(document.querySelectorAll(selector))
+          .find(el => !quoteEl || !quoteEl.contains(el));
+
+        // Try to find tweet content
+        const richText = window.extractTwitterRichText(outsideQuote('[data-testid="tweetText"]'));
+        const tweetText = outsideQuote('[data-testid="tweetText"]')?.innerText ||
+                         document.querySelector('.Tweet-text')?.innerText ||
+                         outsideQuote('[lang]')?.innerText || '';
+
+        // Find author info
+        const authorName = document.querySelector('[data-testid="User-Name"] a, .TweetAuthor-name')?.innerText?.split('\n')[0] || 'Unknown';
+        const authorHandle = document.querySelector('[data-testid="User-Name"] a[href*="/"], .TweetAuthor-screenName')?.innerText?.replace('@', '') ||
+                            document.querySelector('a[href*="twitter.com/"]')?.href?.match(/twitter\.com\/(\w+)/)?.[1] || 'unknown';
+
+        // Find avatar
+        const avatar = outsideQuote('img[src*="profile_images"]')?.src || '';
+
+        // Find images
+        const images = [];
+        document.querySelectorAll('img[src*="pbs.twimg.com/media"]').forEach(img => {
+          if (img.src && (!quoteEl || !quoteEl.contains(img))) images.push(img.src);
+        });
+
+        // Find metrics (these may not be available in embed)
+        const metricsText = document.body.innerText;
+        const likesMatch = metricsText.match(/(\d+(?:,\d+)*)\s*likes?/i);
+        const retweetsMatch = metricsText.match(/(\d+(?:,\d+)*)\s*retweets?/i);
+
+        // Find timestamp
+        const timeEl = document.querySelector('time');
+        const timestamp = timeEl?.getAttribute('datetime') || timeEl?.innerText || '';
+
+        return {
+          text: tweetText,
+          richText,
+          authorName,
+          authorHandle,
+          avatar,
+          images,
+          timestamp,
+          quoted,
+          linkCard: window.extractTwitterLinkCard(document, quoteEl),
+          likes: likesMatch ? likesMatch[1].replace(/,/g, '') : '0',
+          retweets: retweetsMatch ? retweetsMatch[1].replace(/,/g, '') : '0',
+        };
+      });
+
+      await context.close();
+
+      // Convert images to base64 for the card
+      const avatarUrl = data.avatar;
+      const avatarBase64 = await imageToBase64(toCardTwitterImage(avatarUrl, options));
+      const imagesBase64 = [];
+      for (const imgUrl of data.images.slice(0, 4)) {
+        const base64 = await imageToBase64(toCardTwitterImage(imgUrl, options));
+        if (base64) imagesBase64.push(base64);
+      }
+
+      // Upgrade image URLs to full resolution
+      const originalImageUrls = data.images.map(toFullResTwitterImage);
+
+      return {
+        platform: 'twitter',
+        author: {
+          name: data.authorName,
+          handle: data.authorHandle,
+          avatar: avatarBase64,
+          avatarUrl: avatarUrl,
+          verified: false, // Can't easily detect from embed
+        },
+        content: data.text,
+        richText: data.richText,
+        images: imagesBase64,
+        originalImageUrls: originalImageUrls, // Full resolution URLs for download
+        quoted: await formatTwitterQuote(data.quoted, options),
+        linkCard: data.linkCard ? await buildLinkCard({ ...data.linkCard, thumbnailUrl: data.linkCard.image }) : null,
+        timestamp: data.timestamp,
+        metrics: {
+          replies: 0,
+          retweets: parseInt(data.retweets) || 0,
+          likes: parseInt(data.likes) || 0,
+          views: null,
+        },
+        url: url,
+      };
+    } catch (e) {
+      await context.close();
+      throw new Error(`Could not fetch tweet: ${e.message}`);
+    }
+  }
+
+  /**
+   * Twitter Thread Scraper - Fetches full conversation context
+   * Returns an array of tweets: [parent tweets..., main tweet, replies...]
+   */
+  async function scrapeTwitterThread(url, options = {}) {
+    const match = url.match(/status\/(\d+)/);
+    if (!match) throw new Error('Invalid Twitter URL');
+
+    const tweetId = match[1];
+
+    const browser = await getBrowser();
+    const context = await browser.newContext({
+      userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+    });
+    const page = await context.newPage();
+
+    try {
+      // Load the conversation view which shows thread context
+      const embedUrl = `https://platform.twitter.com/embed/Tweet.html?id=${tweetId}&theme=dark&conversation=all`;
+      await page.goto(embedUrl, { waitUntil: 'networkidle', timeout: 30000 });
+
+      // Wait for content
+      await page.waitForSelector('article, [data-testid="tweet"]', { timeout: 10000 }).catch(() => {});
+      await new Promise(resolve => setTimeout(resolve, 3000));
+
+      await page.evaluate(`window.extractTwitterQuote = ${extractTwitterQuote.toString()}`);
+      await page.evaluate(`window.extractTwitterLinkCard = ${extractTwitterLinkCard.toString()}`);
+      await page.evaluate(`window.extractTwitterRichText = ${extractTwitterRichText.toString()}`);
+
+      // Extract all tweets in the conversation
+      const tweets = await page.evaluate(() => {
+        const results = [];
+
+        // Find all tweet containers
+        const tweetElements = document.querySelectorAll('article, [data-tweet-id], .timeline-Tweet');
+
+        tweetElements.forEach((tweetEl, index) => {
+          const { quoteEl, quoted } = window.extractTwitterQuote(tweetEl);
+          const outsideQuote = selector => Array.from(tweetEl.querySelectorAll(selector))
+            .find(el => !quoteEl || !quoteEl.contains(el));
+
+          const textEl = outsideQuote('[data-testid="tweetText"], .Tweet-text, [lang]');
+          const text = textEl?.innerText || '';
+          const richText = window.extractTwitterRichText(textEl);
+          const authorName = tweetEl.querySelector('[data-testid="User-Name"] a, .TweetAuthor-name, a[role="link"]')?.innerText?.split('\n')[0] || 'Unknown';
+          const authorHandle = tweetEl.querySelector('a[href*="/"]')?.href?.match(/(?:twitter|x)\.com\/(\w+)/)?.[1] || 'unknown';
+          const avatar = outsideQuote('img[src*="profile_images"]')?.src || '';
+          const timestamp = outsideQuote('time')?.getAttribute('datetime') || '';
+
+          // Find images in this tweet
+          const images = [];
+          tweetEl.querySelectorAll('img[src*="pbs.twimg.com/media"]').forEach(img => {
+            if (img.src && (!quoteEl || !quoteEl.contains(img))) images.push(img.src);
+          });
+
+          if (text || images.length > 0) {
+            results.push({
+              text,
+              richText,
+              authorName,
+              authorHandle,
+              avatar,
+              images,
+              timestamp,
+              quoted,
+              linkCard: window.extractTwitterLinkCard(tweetEl, quoteEl),
+              isMainTweet: index === 0 // First one is usually the main tweet
+            });
+          }
+        });
+
+        return results;
+      });
+
+      await context.close();
+
+      if (tweets.length === 0) {
+        throw new Error('No tweets found in thread');
+      }
+
+      // Convert to our format with base64 images
+      const formattedTweets = [];
+      for (const tweet of tweets) {
+        const avatarBase64 = await imageToBase64(toCardTwitterImage(tweet.avatar, options));
+        const imagesBase64 = [];
+        const originalImageUrls = [];
+
+        for (const imgUrl of tweet.images.slice(0, 4)) {
+          const base64 = await imageToBase64(toCardTwitterImage(imgUrl, options));
+          if (base64) imagesBase64.push(base64);
+
+          // Upgrade to full resolution
+          originalImageUrls.push(toFullResTwitterImage(imgUrl));
+        }
+
+        formattedTweets.push({
+          platform: 'twitter',
+          author: {
+            name: tweet.authorName,
+            handle: tweet.authorHandle,
+            avatar: avatarBase64,
+            avatarUrl: tweet.avatar,
+            verified: false,
+          },
+          content: tweet.text,
+          richText: tweet.richText,
+          images: imagesBase64,
+          originalImageUrls,
+          quoted: await formatTwitterQuote(tweet.quoted, options),
+          linkCard: tweet.linkCard ? await buildLinkCard({ ...tweet.linkCard, thumbnailUrl: tweet.linkCard.image }) : null,
+          timestamp: tweet.timestamp,
+          isMainTweet: tweet.isMainTweet,
+        });
+      }
+
+      return {
+        platform: 'twitter-thread',
+        tweets: formattedTweets,
+        url: url,
+      };
+
+    } catch (e) {
+      await context.close();
+      throw new Error(`Could not fetch thread: ${e.message}`);
+    }
+  }
+
+  /**
+   * Twitter/X Card Template (Dark mode style)
+   */
+  function renderTwitterCard(data, options = {}) {
+    const tokens = themeTokens(options, 'dark', {
+      base: { font: FONT_STANDARD, radius: '16px', padding: '16px' },
+      dark: { page: '#000', card: '#16181c', border: '#2f3336', text: '#e7e9ea', muted: '#71767b', link: '#1d9bf0' },
+      light: { page: '#f7f9f9', card: '#fff', border: '#cfd9de', text: '#0f1419', muted: '#536471', link: '#1d9bf0' },
+    });
+
+    const imagesHtml = data.images.length > 0 ? `
+      <div class="images ${data.images.length > 1 ? 'grid' : ''}">
+        ${data.images.map(img => `<img src="${img}" alt="Tweet image">`).join('')}
+      </div>
+    ` : '';
+
+    const verifiedBadge = data.author.verified ? `
+      <svg class="verified" viewBox="0 0 22 22" width="18" height="18">
+        <path fill="#1D9BF0" d="M20.396 11c-.018-.646-.215-1.275-.57-1.816-.354-.54-.852-.972-1.438-1.246.223-.607.27-1.264.14-1.897-.131-.634-.437-1.218-.882-1.687-.47-.445-1.053-.75-1.687-.882-.633-.13-1.29-.083-1.897.14-.273-.587-.704-1.086-1.245-1.44S11.647 1.62 11 1.604c-.646.017-1.273.213-1.813.568s-.969.854-1.24 1.44c-.608-.223-1.267-.272-1.902-.14-.635.13-1.22.436-1.69.882-.445.47-.749 1.055-.878 1.688-.13.633-.08 1.29.144 1.896-.587.274-1.087.705-1.443 1.245-.356.54-.555 1.17-.574 1.817.02.647.218 1.276.574 1.817.356.54.856.972 1.443 1.245-.224.606-.274 1.263-.144 1.896.13.634.433 1.218.877 1.688.47.443 1.054.747 1.687.878.633.132 1.29.084 1.897-.136.274.586.705 1.084 1.246 1.439.54.354 1.17.551 1.816.569.647-.016 1.276-.213 1.817-.567s.972-.854 1.245-1.44c.604.239 1.266.296 1.903.164.636-.132 1.22-.447 1.68-.907.46-.46.776-1.044.908-1.681.132-.637.075-1.299-.165-1.903.586-.274 1.084-.705 1.439-1.246.354-.54.551-1.17.569-1.816zM9.662 14.85l-3.429-3.428 1.293-1.302 2.072 2.072 4.4-4.794 1.347 1.246z"/>
+      </svg>
+    ` : '';
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <style>
+          * { margin: 0; padding: 0; box-sizing: border-box; }
+          body {
+            font-family: var(--font);
+            background: var(--page);
+            padding: 20px;
+          }
+          .card {
+            background: var(--card);
+            border-radius: var(--radius);
+            padding: var(--padding);
+            max-width: ${cardWidth(options)}px;
+            border: 1px solid var(--border);
+          }
+          .header {
+            display: flex;
+            align-items: flex-start;
+            margin-bottom: 12px;
+          }
+          .avatar {
+            width: 48px;
+            height: 48px;
+            border-radius: 50%;
+            margin-right: 12px;
+            object-fit: cover;
+          }
+          .author-info {
+            flex: 1;
+          }
+          .author-name {
+            display: flex;
+            align-items: center;
+            gap: 4px;
+          }
+          .name {
+            color: var(--text);
+            font-weight: 700;
+            font-size: 15px;
+          }
+          .verified {
+            flex-shrink: 0;
+          }
+          .handle {
+            color: var(--muted);
+            font-size: 15px;
+          }
+          .time {
+            color: var(--muted);
+            font-size: 15px;
+          }
+          .content {
+            color: var(--text);
+            font-size: 15px;
+            line-height: 1.4;
+            margin-bottom: 12px;
+            white-space: pre-wrap;
+            word-wrap: break-word;
+          }
+          .images {
+            border-radius: 16px;
+            overflow: hidden;
+            margin-bottom: 12px;
+          }
+          .images.grid {
+            display: grid;
+            grid-template-columns: repeat(2, 1fr);
+            gap: 2px;
+          }
+          .images img {
+            width: 100%;
+            display: block;
+            max-height: 300px;
+            object-fit: cover;
+          }
+          .metrics {
+            display: flex;
+            justify-content: space-between;
+            color: var(--muted);
+            font-size: 13px;
+            padding-top: 12px;
+            border-top: 1px solid var(--border);
+          }
+          .metric {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+          }
+          .metric svg {
+            width: 18px;
+            height: 18px;
+            fill: var(--muted);
+          }
+          .content .rt {
+            color: var(--link);
+          }
+          ${linkCardCss({ border: 'var(--border)', title: 'var(--text)', muted: 'var(--muted)', radius: 16 })}
+          ${quotedCardCss({ border: 'var(--border)', name: 'var(--text)', muted: 'var(--muted)', text: 'var(--text)', placeholder: 'var(--border)', radius: 16 })}
+          ${excerptCss()}
+          ${themeCss(tokens, options)}
+        </style>
+      </head>
+      <body>
+        <div class="card">
+          <div class="header">
+            ${data.author.avatar ? `<img class="avatar" src="${data.author.avatar}" alt="Avatar">` : `<div class="avatar" style="background:var(--border);"></div>`}
+            <div class="author-info">
+              <div class="author-name">
+                <span class="name">${escapeHtml(data.author.name)}</span>
+                ${verifiedBadge}
+              </div>
+              <div class="handle">@${escapeHtml(data.author.handle)} · ${formatRelativeTime(data.timestamp)}</div>
+            </div>
+          </div>
+          <div class="content">${renderRichText(data.richText, data.content, excerptOptions(options))}</div>
+          ${imagesHtml}
+          ${renderLinkCardHtml(data.linkCard)}
+          ${renderQuotedHtml(data.quoted)}
+          <div class="metrics">
+            <div class="metric">
+              <svg viewBox="0 0 24 24"><path d="M1.751 10c0-4.42 3.584-8 8.005-8h4.366c4.49 0 8.129 3.64 8.129 8.13 0 2.96-1.607 5.68-4.196 7.11l-8.054 4.46v-3.69h-.067c-4.49.1-8.183-3.51-8.183-8.01zm8.005-6c-3.317 0-6.005 2.69-6.005 6 0 3.37 2.77 6.08 6.138 6.01l.351-.01h1.761v2.3l5.087-2.81c1.951-1.08 3.163-3.13 3.163-5.36 0-3.39-2.744-6.13-6.129-6.13H9.756z"/></svg>
+              <span>${formatNumber(data.metrics.replies)}</span>
+            </div>
+            <div class="metric">
+              <svg viewBox="0 0 24 24"><path d="M4.5 3.88l4.432 4.14-1.364 1.46L5.5 7.55V16c0 1.1.896 2 2 2H13v2H7.5c-2.209 0-4-1.79-4-4V7.55L1.432 9.48.068 8.02 4.5 3.88zM16.5 6H11V4h5.5c2.209 0 4 1.79 4 4v8.45l2.068-1.93 1.364 1.46-4.432 4.14-4.432-4.14 1.364-1.46 2.068 1.93V8c0-1.1-.896-2-2-2z"/></svg>
+              <span>${formatNumber(data.metrics.retweets)}</span>
+            </div>
+            <div class="metric">
+              <svg viewBox="0 0 24 24"><path d="M16.697 5.5c-1.222-.06-2.679.51-3.89 2.16l-.805 1.09-.806-1.09C9.984 6.01 8.526 5.44 7.304 5.5c-1.243.07-2.349.78-2.91 1.91-.552 1.12-.633 2.78.479 4.82 1.074 1.97 3.257 4.27 7.129 6.61 3.87-2.34 6.052-4.64 7.126-6.61 1.111-2.04 1.03-3.7.477-4.82-.561-1.13-1.666-1.84-2.908-1.91zm4.187 7.69c-1.351 2.48-4.001 5.12-8.379 7.67l-.503.3-.504-.3c-4.379-2.55-7.029-5.19-8.382-7.67-1.36-2.5-1.41-4.86-.514-6.67.887-1.79 2.647-2.91 4.601-3.01 1.651-.09 3.368.56 4.798 2.01 1.429-1.45 3.146-2.1 4.796-2.01 1.954.1 3.714 1.22 4.601 3.01.896 1.81.846 4.17-.514 6.67z"/></svg>
+              <span>${formatNumber(data.metrics.likes)}</span>
+            </div>
+            ${data.metrics.views ? `
+              <div class="metric">
+                <svg viewBox="0 0 24 24"><path d="M8.75 21V3h2v18h-2zM18 21V8.5h2V21h-2zM4 21l.004-10h2L6 21H4zm9.248 0v-7h2v7h-2z"/></svg>
+                <span>${formatNumber(data.metrics.views)}</span>
+              </div>
+            ` : ''}
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Twitter Thread Card Template - Combined view of multiple tweets
+   */
+  function renderTwitterThreadCard(threadData, options = {}) {
+    const tokens = themeTokens(options, 'dark', {
+      base: { font: FONT_STANDARD, radius: '16px', padding: '16px' },
+      dark: { page: '#000', card: '#16181c', border: '#2f3336', text: '#e7e9ea', muted: '#71767b', link: '#1d9bf0' },
+      light: { page: '#f7f9f9', card: '#fff', border: '#cfd9de', text: '#0f1419', muted: '#536471', link: '#1d9bf0' },
+    });
+
+    const tweetsHtml = threadData.tweets.map((tweet, index) => {
+      const imagesHtml = tweet.images.length > 0 ? `
+        <div class="tweet-images ${tweet.images.length > 1 ? 'grid' : ''}">
+          ${tweet.images.map(img => `<img src="${img}" alt="Tweet image">`).join('')}
+        </div>
+      ` : '';
+
+      const isLast = index === threadData.tweets.length - 1;
+
+      return `
+        <div class="tweet ${tweet.isMainTweet ? 'main-tweet' : ''}">
+          <div class="tweet-connector">
+            <div class="avatar-wrapper">
+              ${tweet.author.avatar ? `<img class="avatar" src="${tweet.author.avatar}" alt="Avatar">` : '<div class="avatar placeholder"></div>'}
+            </div>
+            ${!isLast ? '<div class="connector-line"></div>' : ''}
+          </div>
+          <div class="tweet-content">
+            <div class="tweet-header">
+              <span class="name">${escapeHtml(tweet.author.name)}</span>
+              <span class="handle">@${escapeHtml(tweet.author.handle)}</span>
+              <span class="time">· ${formatRelativeTime(tweet.timestamp)}</span>
+            </div>
+            <div class="tweet-text">${renderRichText(tweet.richText, tweet.content, excerptOptions(options))}</div>
+            ${imagesHtml}
+            ${renderLinkCardHtml(tweet.linkCard)}
+            ${renderQuotedHtml(tweet.quoted)}
+          </div>
+        </div>
+      `;
+    }).join('');
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <style>
+          * { margin: 0; padding: 0; box-sizing: border-box; }
+          body {
+            font-family: var(--font);
+            background: var(--page);
+            padding: 20px;
+          }
+          .card {
+            background: var(--card);
+            border-radius: var(--radius);
+            padding: var(--padding);
+            max-width: ${cardWidth(options)}px;
+            border: 1px solid var(--border);
+          }
+          .tweet {
+            display: flex;
+            gap: 12px;
+            margin-bottom: 0;
+          }
+          .tweet.main-tweet .tweet-text {
+            font-size: 16px;
+          }
+          .tweet-connector {
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            width: 40px;
+            flex-shrink: 0;
+          }
+          .avatar-wrapper {
+            flex-shrink: 0;
+          }
+          .avatar {
+            width: 40px;
+            height: 40px;
+            border-radius: 50%;
+            object-fit: cover;
+          }
+          .avatar.placeholder {
+            background: var(--border);
+          }
+          .connector-line {
+            width: 2px;
+            flex-grow: 1;
+            background: var(--border);
+            min-height: 20px;
+            margin: 4px 0;
+          }
+          .tweet-content {
+            flex: 1;
+            padding-bottom: 16px;
+          }
+          .tweet:last-child .tweet-content {
+            padding-bottom: 0;
+          }
+          .tweet-header {
+            display: flex;
+            align-items: center;
+            gap: 4px;
+            margin-bottom: 4px;
+            flex-wrap: wrap;
+          }
+          .name {
+            color: var(--text);
+            font-weight: 700;
+            font-size: 14px;
+          }
+          .handle {
+            color: var(--muted);
+            font-size: 14px;
+          }
+          .time {
+            color: var(--muted);
+            font-size: 14px;
+          }
+          .tweet-text {
+            color: var(--text);
+            font-size: 14px;
+            line-height: 1.4;
+            white-space: pre-wrap;
+            word-wrap: break-word;
+          }
+          .tweet-images {
+            border-radius: 12px;
+            overflow: hidden;
+            margin-top: 12px;
+          }
+          .tweet-images.grid {
+            display: grid;
+            grid-template-columns: repeat(2, 1fr);
+            gap: 2px;
+          }
+          .tweet-images img {
+            width: 100%;
+            display: block;
+            max-height: 200px;
+            object-fit: cover;
+          }
+          .tweet-text .rt {
+            color: var(--link);
+          }
+          ${linkCardCss({ border: 'var(--border)', title: 'var(--text)', muted: 'var(--muted)', margin: '12px 0 0' })}
+          ${quotedCardCss({ border: 'var(--border)', name: 'var(--text)', muted: 'var(--muted)', text: 'var(--text)', placeholder: 'var(--border)', margin: '12px 0 0' })}
+          ${excerptCss()}
+          ${themeCss(tokens, options)}
+        </style>
+      </head>
+      <body>
+        <div class="card">
+          ${tweetsHtml}
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Bento Twitter/X Card Template
+   */
+  function renderBentoTwitterCard(data, options = {}) {
+    const tokens = themeTokens(options, 'dark', {
+      base: { font: FONT_BENTO, radius: '24px', padding: '24px' },
+      dark: { card: '#1c1c1e', text: '#fff', muted: 'rgba(255,255,255,0.55)', placeholder: '#2c2c2e', border: 'rgba(255,255,255,0.12)', link: '#1d9bf0' },
+      light: { card: '#f5f5f7', text: '#1d1d1f', muted: 'rgba(0,0,0,0.55)', placeholder: '#e5e5ea', border: 'rgba(0,0,0,0.1)', link: '#1d9bf0' },
+    });
+
+    const imagesHtml = data.images.length > 0 ? `
+      <div class="images ${data.images.length > 1 ? 'grid' : ''}">
+        ${data.images.map(img => `<img src="${img}" alt="Tweet image">`).join('')}
+      </div>
+    ` : '';
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <style>
+          * { margin: 0; padding: 0; box-sizing: border-box; }
+          body {
+            font-family: var(--font);
+            background: transparent;
+            padding: 0;
+          }
+          .card {
+            background: var(--card);
+            border-radius: var(--radius);
+            padding: var(--padding);
+            max-width: ${cardWidth(options)}px;
+          }
+          .header {
+            display: flex;
+            align-items: center;
+            margin-bottom: 16px;
+          }
+          .avatar {
+            width: 44px;
+            height: 44px;
+            border-radius: 50%;
+            margin-right: 12px;
+            object-fit: cover;
+          }
+          .author-info { flex: 1; }
+          .name {
+            color: var(--text);
+            font-weight: 600;
+            font-size: 16px;
+            letter-spacing: -0.01em;
+          }
+          .handle {
+            color: var(--muted);
+            font-size: 14px;
+          }
+          .content {
+            color: var(--text);
+            font-size: 17px;
+            line-height: 1.45;
+            margin-bottom: 16px;
+            white-space: pre-wrap;
+            word-wrap: break-word;
+            letter-spacing: -0.01em;
+          }
+          .images {
+            border-radius: 16px;
+            overflow: hidden;
+            margin-bottom: 16px;
+          }
+          .images.grid {
+            display: grid;
+            grid-template-columns: repeat(2, 1fr);
+            gap: 2px;
+          }
+          .images img {
+            width: 100%;
+            display: block;
+            max-height: 300px;
+            object-fit: cover;
+          }
+          .metrics {
+            display: flex;
+            gap: 24px;
+            color: var(--muted);
+            font-size: 14px;
+          }
+          .metric {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+          }
+          .content .rt {
+            color: var(--link);
+          }
+          ${linkCardCss({ border: 'var(--border)', title: 'var(--text)', muted: 'var(--muted)', radius: 16, margin: '0 0 16px' })}
+          ${quotedCardCss({ border: 'var(--border)', name: 'var(--text)', muted: 'var(--muted)', text: 'var(--text)', placeholder: 'var(--placeholder)', radius: 16, margin: '0 0 16px' })}
+          ${excerptCss()}
+          ${themeCss(tokens, options)}
+        </style>
+      </head>
+      <body>
+        <div class="card">
+          <div class="header">
+            ${data.author.avatar ? `<img class="avatar" src="${data.author.avatar}" alt="Avatar">` : `<div class="avatar" style="background:var(--placeholder);"></div>`}
+            <div class="author-info">
+              <div class="name">${escapeHtml(data.author.name)}</div>
+              <div class="handle">@${escapeHtml(data.author.handle)}</div>
+            </div>
+          </div>
+          <div class="content">${renderRichText(data.richText, data.content, excerptOptions(options))}</div>
+          ${imagesHtml}
+          ${renderLinkCardHtml(data.linkCard)}
+          ${renderQuotedHtml(data.quoted)}
+          <div class="metrics">
+            <span class="metric">${formatNumber(data.metrics.replies)} replies</span>
+            <span class="metric">${formatNumber(data.metrics.retweets)} reposts</span>
+            <span class="metric">${formatNumber(data.metrics.likes)} likes</span>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Bento Twitter Thread Card Template
+   */
+  function renderBentoTwitterThreadCard(threadData, options = {}) {
+    const tokens = themeTokens(options, 'dark', {
+      base: { font: FONT_BENTO, radius: '24px', padding: '24px' },
+      dark: { card: '#1c1c1e', text: '#fff', muted: 'rgba(255,255,255,0.55)', placeholder: '#2c2c2e', border: 'rgba(255,255,255,0.12)', link: '#1d9bf0', line: '#3a3a3c' },
+      light: { card: '#f5f5f7', text: '#1d1d1f', muted: 'rgba(0,0,0,0.55)', placeholder: '#e5e5ea', border: 'rgba(0,0,0,0.1)', link: '#1d9bf0', line: '#d1d1d6' },
+    });
+
+    const tweetsHtml = threadData.tweets.map((tweet, index) => {
+      const imagesHtml = tweet.images.length > 0 ? `
+        <div class="tweet-images ${tweet.images.length > 1 ? 'grid' : ''}">
+          ${tweet.images.map(img => `<img src="${img}" alt="Tweet image">`).join('')}
+        </div>
+      ` : '';
+
+      const isLast = index === threadData.tweets.length - 1;
+
+      return `
+        <div class="tweet">
+          <div class="tweet-connector">
+            <div class="avatar-wrapper">
+              ${tweet.author.avatar ? `<img class="avatar" src="${tweet.author.avatar}" alt="Avatar">` : '<div class="avatar placeholder"></div>'}
+            </div>
+            ${!isLast ? '<div class="connector-line"></div>' : ''}
+          </div>
+          <div class="tweet-content">
+            <div class="tweet-header">
+              <span class="name">${escapeHtml(tweet.author.name)}</span>
+              <span class="handle">@${escapeHtml(tweet.author.handle)}</span>
+            </div>
+            <div class="tweet-text">${renderRichText(tweet.richText, tweet.content, excerptOptions(options))}</div>
+            ${imagesHtml}
+            ${renderLinkCardHtml(tweet.linkCard)}
+            ${renderQuotedHtml(tweet.quoted)}
+          </div>
+        </div>
+      `;
+    }).join('');
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <style>
+          * { margin: 0; padding: 0; box-sizing: border-box; }
+          body {
+            font-family: var(--font);
+            background: transparent;
+            padding: 0;
+          }
+          .card {
+            background: var(--card);
+            border-radius: var(--radius);
+            padding: var(--padding);
+            max-width: ${cardWidth(options)}px;
+          }
+          .tweet {
+            display: flex;
+            gap: 12px;
+          }
+          .tweet-connector {
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            width: 40px;
+            flex-shrink: 0;
+          }
+          .avatar {
+            width: 40px;
+            height: 40px;
+            border-radius: 50%;
+            object-fit: cover;
+          }
+          .avatar.placeholder {
+            background: var(--placeholder);
+          }
+          .connector-line {
+            width: 2px;
+            flex-grow: 1;
+            background: var(--line);
+            min-height: 20px;
+            margin: 4px 0;
+          }
+          .tweet-content {
+            flex: 1;
+            padding-bottom: 20px;
+          }
+          .tweet:last-child .tweet-content {
+            padding-bottom: 0;
+          }
+          .tweet-header {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            margin-bottom: 4px;
+          }
+          .name {
+            color: var(--text);
+            font-weight: 600;
+            font-size: 15px;
+            letter-spacing: -0.01em;
+          }
+          .handle {
+            color: var(--muted);
+            font-size: 14px;
+          }
+          .tweet-text {
+            color: var(--text);
+            font-size: 16px;
+            line-height: 1.45;
+            white-space: pre-wrap;
+            word-wrap: break-word;
+            letter-spacing: -0.01em;
+          }
+          .tweet-images {
+            border-radius: 12px;
+            overflow: hidden;
+            margin-top: 12px;
+          }
+          .tweet-images.grid {
+            display: grid;
+            grid-template-columns: repeat(2, 1fr);
+            gap: 2px;
+          }
+          .tweet-images img {
+            width: 100%;
+            display: block;
+            max-height: 200px;
+            object-fit: cover;
+          }
+          .tweet-text .rt {
+            color: var(--link);
+          }
+          ${linkCardCss({ border: 'var(--border)', title: 'var(--text)', muted: 'var(--muted)', margin: '12px 0 0' })}
+          ${quotedCardCss({ border: 'var(--border)', name: 'var(--text)', muted: 'var(--muted)', text: 'var(--text)', placeholder: 'var(--placeholder)', radius: 12, margin: '12px 0 0' })}
+          ${excerptCss()}
+          ${themeCss(tokens, options)}
+        </style>
+      </head>
+      <body>
+        <div class="card">
+          ${tweetsHtml}
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  // Registration order is match order: specific hosts before the generic patterns
+
+  return {
+    name: 'twitter',
+    platforms: ['twitter', 'twitter-thread'],
+    match: url => url.toLowerCase().includes('x.com') || url.toLowerCase().includes('twitter.com'),
+    // Thread mode: fetch the conversation and make one combined card
+    scrape: (url, ctx) => (ctx.options.thread ? scrapeTwitterThread(url, ctx.options) : scrapeTwitter(url, ctx.options)),
+    render: (data, options) => (data.platform === 'twitter-thread'
+      ? renderTwitterThreadCard(data, options)
+      : renderTwitterCard(data, options)),
+    renderBento: (data, options) => (data.platform === 'twitter-thread'
+      ? renderBentoTwitterThreadCard(data, options)
+      : renderBentoTwitterCard(data, options)),
+  };
+};
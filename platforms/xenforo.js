@@ -0,0 +1,535 @@
+/**
+ * XenForo forums (MacRumors, AppleInsider, Ars OpenForum, ...): posts read from the thread page
+ */
+
+const FORUM_EXCERPT_CHARS = 500; // Forum post text on a card, unless --excerpt or --full-text says otherwise
+// XenForo 2 quote blocks, plus XenForo 1's for older boards
+const XENFORO_QUOTE_SELECTOR = '.bbCodeBlock--quote, .bbCodeQuote';
+
+module.exports = helpers => {
+  const {
+    cardWidth,
+    cheerio,
+    escapeHtml,
+    excerptCss,
+    excerptOptions,
+    fetchHTML,
+    formatRelativeTime,
+    forumAssetUrl,
+    forumSoftwareFor,
+    imageToBase64,
+    renderRichText,
+    themeCss,
+    themeTokens,
+    fonts: { standard: FONT_STANDARD, bento: FONT_BENTO },
+    forumQuoteDepth: { standard: FORUM_QUOTE_DEPTH, max: FORUM_MAX_QUOTE_DEPTH },
+  } = helpers;
+
+  /**
+   * Quote blocks directly inside `container` as [{ author, text, quotes }],
+   * each with the quotes nested in it, down to FORUM_MAX_QUOTE_DEPTH levels
+   */
+  function extractXenForoQuotes($, container, level = 1) {
+    if (level > FORUM_MAX_QUOTE_DEPTH) return [];
+
+    return container.find(XENFORO_QUOTE_SELECTOR)
+      .filter((i, el) => !$(el).parents(XENFORO_QUOTE_SELECTOR).toArray().some(parent => $.contains(container[0], parent)))
+      .toArray()
+      .map(el => {
+        const quote = $(el);
+        const body = quote.find('.bbCodeBlock-content, .quote').first();
+        const text = body.clone();
+        text.find(`${XENFORO_QUOTE_SELECTOR}, .bbCodeBlock-expandLink`).remove();
+
+        return {
+          author: quote.attr('data-quote') || quote.attr('data-author') ||
+                  quote.find('.bbCodeBlock-title, .attribution').first().text().replace(/\s*said:[\s\S]*$/, '').trim(),
+          text: text.text().trim(),
+          quotes: extractXenForoQuotes($, body, level + 1),
+        };
+      });
+  }
+
+  /**
+   * XenForo Forum Scraper (MacRumors, Ars OpenForum, XDA, ... or any host in config `forums.xenforo`)
+   */
+  async function scrapeXenForo(url, options = {}) {
+    const html = await fetchHTML(url);
+    const $ = cheerio.load(html);
+
+    // Find the specific post
+    let postId = null;
+    const postMatch = url.match(/post-(\d+)|#post-(\d+)|post=(\d+)|\/posts\/(\d+)/);
+    if (postMatch) {
+      postId = postMatch[1] || postMatch[2] || postMatch[3] || postMatch[4];
+    }
+
+    // Select the post element
+    let postEl;
+    if (postId) {
+      postEl = $(`#post-${postId}, #js-post-${postId}, [data-content="post-${postId}"]`).first();
+    }
+    if (!postEl || postEl.length === 0) {
+      postEl = $('.message-body').first().closest('.message');
+    }
+
+    // Extract data
+    const authorEl = postEl.find('.message-userDetails');
+    const contentEl = postEl.find('.message-body .bbWrapper');
+
+    const authorName = postEl.find('.message-name').text().trim() ||
+                       authorEl.find('.username').text().trim() || 'Unknown';
+    const authorTitle = postEl.find('.userTitle').text().trim() || 'member';
+    const postNumber = postEl.find('.message-attribution-opposite').text().match(/#\s*([\d,]+)/)?.[1] || '';
+    const timestamp = postEl.find('.message-attribution time').attr('datetime') ||
+                      postEl.find('time').attr('datetime') || '';
+
+    // Get avatar
+    const avatarUrl = forumAssetUrl(postEl.find('.message-avatar img').attr('src'), url);
+    // XenForo serves avatars as s (48px), m (96px) and l (192px); match the card scale
+    const avatarSize = { 1: 's', 2: 'm', 3: 'l' }[options.scale || 1] || 's';
+    const avatarBase64 = await imageToBase64(avatarUrl.replace(/\/avatars\/[sml]\//, `/avatars/${avatarSize}/`));
+
+    // Forum name and logo for the card header
+    const siteName = $('meta[property="og:site_name"]').attr('content') ||
+                     $('.p-header-logo img').attr('alt') || new URL(url).hostname.replace(/^www\./, '');
+    const logoUrl = forumAssetUrl($('.p-header-logo img').attr('src') ||
+                    $('link[rel="apple-touch-icon"]').attr('href') ||
+                    $('link[rel~="icon"]').attr('href') || '/favicon.ico', url);
+    const threadTitle = $('.p-title-value').first().clone().find('.label, .label-append').remove().end().text().trim();
+
+    // Quoted replies become structured quotes; code blocks and spoilers stay in the text
+    const quotes = extractXenForoQuotes($, contentEl);
+    let content = contentEl.clone();
+    content.find(XENFORO_QUOTE_SELECTOR).remove();
+    content.find('.bbCodeBlock-title, .bbCodeSpoiler-button').append('\n'); // "Code:" / "Spoiler:" labels
+    const text = content.text().trim();
+
+    // Get any images in the post (lazy-loaded ones keep the real URL in data-src)
+    const images = [];
+    contentEl.find('img').each((i, el) => {
+      const src = $(el).attr('data-src') || $(el).attr('src');
+      if (src && !src.includes('smilies') && !src.includes('emoji') && !src.startsWith('data:')) {
+        images.push(forumAssetUrl(src, url));
+      }
+    });
+
+    const imagesBase64 = [];
+    for (const imgUrl of images.slice(0, 4)) { // Max 4 images
+      const base64 = await imageToBase64(imgUrl);
+      if (base64) imagesBase64.push(base64);
+    }
+
+    // Get reactions/likes
+    const reactions = postEl.find('.reactionsBar-link').text().trim();
+
+    return {
+      platform: 'xenforo',
+      siteName: siteName,
+      favicon: await imageToBase64(logoUrl),
+      faviconUrl: logoUrl,
+      thread: threadTitle,
+      author: {
+        name: authorName,
+        title: authorTitle,
+        avatar: avatarBase64,
+        avatarUrl: avatarUrl,
+      },
+      content: text,
+      quotes: quotes,
+      images: imagesBase64,
+      originalImageUrls: images, // Original URLs for download
+      postNumber: postNumber,
+      timestamp: timestamp,
+      reactions: reactions,
+      url: url,
+    };
+  }
+
+  /**
+   * Forum quote insets ("User said:"), nested up to `depth` levels; 0 draws none
+   */
+  function renderForumQuotesHtml(quotes, depth = FORUM_QUOTE_DEPTH) {
+    if (!quotes || quotes.length === 0 || depth < 1) return '';
+
+    return quotes.map(quote => `
+      <div class="forum-quote">
+        <div class="forum-quote-author">${escapeHtml(quote.author ? `${quote.author} said:` : 'Quote:')}</div>
+        ${renderForumQuotesHtml(quote.quotes, depth - 1)}
+        ${quote.text ? `<div class="forum-quote-text">${escapeHtml(quote.text)}</div>` : ''}
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Forum quote inset styles; each template passes its own palette
+   */
+  function forumQuoteCss({ border, accent, background, text, radius = 6, margin = '0 0 12px' }) {
+    return `
+          .forum-quote {
+            background: ${background};
+            border: 1px solid ${border};
+            border-left: 3px solid ${accent};
+            border-radius: ${radius}px;
+            padding: 8px 12px;
+            margin: ${margin};
+          }
+          .forum-quote .forum-quote {
+            margin: 6px 0 8px;
+          }
+          .forum-quote-author {
+            color: ${accent};
+            font-size: 13px;
+            font-weight: 600;
+            margin-bottom: 4px;
+          }
+          .forum-quote-text {
+            color: ${text};
+            font-size: 13px;
+            line-height: 1.45;
+            display: -webkit-box;
+            -webkit-line-clamp: 6;
+            -webkit-box-orient: vertical;
+            overflow: hidden;
+          }
+    `;
+  }
+
+  /**
+   * XenForo Forum Card Template (MacRumors style, with the forum's name and logo)
+   */
+  function renderXenForoCard(data, options = {}) {
+    const tokens = themeTokens(options, 'light', {
+      base: { font: FONT_STANDARD, radius: '12px' },
+      dark: { page: '#000', card: '#1f2023', sidebar: '#26272b', border: '#34353a', accent: '#4c9fff', text: '#e4e6eb', muted: '#9a9ca3' },
+      light: { page: '#f2f3f5', card: '#fff', sidebar: '#f8f9fa', border: '#e9ecef', accent: '#0066cc', text: '#212529', muted: '#6c757d' },
+    });
+
+    // Forum name and logo; metadata saved before forums were generalised has neither
+    const forumHtml = data.siteName || data.favicon ? `
+      <div class="forum-bar">
+        ${data.favicon ? `<img class="forum-logo" src="${data.favicon}" alt="Forum logo">` : ''}
+        <span class="forum-name">${escapeHtml(data.siteName || '')}</span>
+      </div>
+    ` : '';
+
+    const imagesHtml = data.images.length > 0 ? `
+      <div class="images">
+        ${data.images.map(img => `<img src="${img}" alt="Post image">`).join('')}
+      </div>
+    ` : '';
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <style>
+          * { margin: 0; padding: 0; box-sizing: border-box; }
+          body {
+            font-family: var(--font);
+            background: var(--page);
+            padding: 20px;
+          }
+          .card {
+            background: var(--card);
+            border-radius: var(--radius);
+            overflow: hidden;
+            max-width: ${cardWidth(options)}px;
+          }
+          .forum-bar {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            padding: 10px 16px;
+            background: var(--sidebar);
+            border-bottom: 1px solid var(--border);
+          }
+          .forum-logo {
+            height: 20px;
+            max-width: 160px;
+            object-fit: contain;
+          }
+          .forum-name {
+            color: var(--text);
+            font-size: 13px;
+            font-weight: 600;
+          }
+          .thread-title {
+            color: var(--text);
+            font-size: 16px;
+            font-weight: 600;
+            line-height: 1.3;
+            padding: 12px 16px;
+            border-bottom: 1px solid var(--border);
+          }
+          .post {
+            display: flex;
+          }
+          .sidebar {
+            background: var(--sidebar);
+            padding: 16px;
+            text-align: center;
+            min-width: 100px;
+            border-right: 1px solid var(--border);
+          }
+          .avatar {
+            width: 64px;
+            height: 64px;
+            border-radius: 50%;
+            margin-bottom: 8px;
+            object-fit: cover;
+          }
+          .author-name {
+            color: var(--accent);
+            font-weight: 600;
+            font-size: 14px;
+            margin-bottom: 4px;
+          }
+          .author-title {
+            color: var(--muted);
+            font-size: 12px;
+          }
+          .main {
+            flex: 1;
+            padding: 16px;
+          }
+          .post-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            margin-bottom: 12px;
+            padding-bottom: 8px;
+            border-bottom: 1px solid var(--border);
+          }
+          .timestamp {
+            color: var(--muted);
+            font-size: 12px;
+          }
+          .post-number {
+            background: var(--accent);
+            color: white;
+            padding: 2px 8px;
+            border-radius: 4px;
+            font-size: 12px;
+            font-weight: 600;
+          }
+          .content {
+            color: var(--text);
+            font-size: 14px;
+            line-height: 1.5;
+          }
+          .images {
+            margin-top: 12px;
+          }
+          .images img {
+            max-width: 100%;
+            border-radius: 8px;
+            margin-bottom: 8px;
+          }
+          .reactions {
+            margin-top: 12px;
+            color: var(--muted);
+            font-size: 12px;
+          }
+          ${forumQuoteCss({ border: 'var(--border)', accent: 'var(--accent)', background: 'var(--sidebar)', text: 'var(--text)' })}
+          .arrow-btn {
+            position: absolute;
+            right: 16px;
+            bottom: 16px;
+            width: 32px;
+            height: 32px;
+            background: var(--accent);
+            border-radius: 50%;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+          }
+          .arrow-btn svg {
+            fill: white;
+            width: 16px;
+            height: 16px;
+          }
+          ${excerptCss()}
+          ${themeCss(tokens, options)}
+        </style>
+      </head>
+      <body>
+        <div class="card">
+          ${forumHtml}
+          ${data.thread ? `<div class="thread-title">${escapeHtml(data.thread)}</div>` : ''}
+          <div class="post">
+            <div class="sidebar">
+              ${data.author.avatar ? `<img class="avatar" src="${data.author.avatar}" alt="Avatar">` : `<div class="avatar" style="background:var(--border);"></div>`}
+              <div class="author-name">${escapeHtml(data.author.name)}</div>
+              <div class="author-title">${escapeHtml(data.author.title || 'member')}</div>
+            </div>
+            <div class="main">
+              <div class="post-header">
+                <span class="timestamp">${formatRelativeTime(data.timestamp)}</span>
+                ${data.postNumber ? `<span class="post-number">#${data.postNumber}</span>` : ''}
+              </div>
+              ${renderForumQuotesHtml(data.quotes, options.quoteDepth)}
+              <div class="content">${renderRichText(null, data.content, excerptOptions(options, FORUM_EXCERPT_CHARS))}</div>
+              ${imagesHtml}
+              ${data.reactions ? `<div class="reactions">${escapeHtml(data.reactions)}</div>` : ''}
+            </div>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Bento XenForo Forum Card Template
+   */
+  function renderBentoXenForoCard(data, options = {}) {
+    const tokens = themeTokens(options, 'dark', {
+      base: { font: FONT_BENTO, radius: '24px', padding: '24px' },
+      dark: { card: '#1c1c1e', text: '#fff', muted: 'rgba(255,255,255,0.55)', placeholder: '#2c2c2e', border: 'rgba(255,255,255,0.12)', accent: '#0a84ff' },
+      light: { card: '#f5f5f7', text: '#1d1d1f', muted: 'rgba(0,0,0,0.55)', placeholder: '#e5e5ea', border: 'rgba(0,0,0,0.1)', accent: '#0071e3' },
+    });
+
+    const imagesHtml = data.images.length > 0 ? `
+      <div class="images">
+        ${data.images.map(img => `<img src="${img}" alt="Post image">`).join('')}
+      </div>
+    ` : '';
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <style>
+          * { margin: 0; padding: 0; box-sizing: border-box; }
+          body {
+            font-family: var(--font);
+            background: transparent;
+            padding: 0;
+          }
+          .card {
+            background: var(--card);
+            border-radius: var(--radius);
+            padding: var(--padding);
+            max-width: ${cardWidth(options)}px;
+          }
+          .forum {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            color: var(--muted);
+            font-size: 13px;
+            font-weight: 600;
+            margin-bottom: 16px;
+          }
+          .forum-logo {
+            height: 18px;
+            max-width: 140px;
+            object-fit: contain;
+          }
+          .thread-title {
+            color: var(--text);
+            font-size: 20px;
+            font-weight: 600;
+            line-height: 1.3;
+            letter-spacing: -0.02em;
+            margin-bottom: 16px;
+          }
+          .header {
+            display: flex;
+            align-items: center;
+            margin-bottom: 16px;
+          }
+          .avatar {
+            width: 48px;
+            height: 48px;
+            border-radius: 50%;
+            margin-right: 14px;
+            object-fit: cover;
+          }
+          .author-info { flex: 1; }
+          .name {
+            color: var(--accent);
+            font-weight: 600;
+            font-size: 16px;
+            letter-spacing: -0.01em;
+          }
+          .title {
+            color: var(--muted);
+            font-size: 13px;
+          }
+          .post-number {
+            background: var(--accent);
+            color: white;
+            padding: 4px 10px;
+            border-radius: 8px;
+            font-size: 13px;
+            font-weight: 600;
+          }
+          .content {
+            color: var(--text);
+            font-size: 16px;
+            line-height: 1.5;
+            letter-spacing: -0.01em;
+          }
+          .images {
+            margin-top: 16px;
+          }
+          .images img {
+            max-width: 100%;
+            border-radius: 12px;
+            margin-bottom: 8px;
+          }
+          .reactions {
+            margin-top: 16px;
+            color: var(--muted);
+            font-size: 14px;
+          }
+          ${forumQuoteCss({ border: 'var(--border)', accent: 'var(--accent)', background: 'var(--placeholder)', text: 'var(--text)', radius: 12, margin: '0 0 16px' })}
+          ${excerptCss()}
+          ${themeCss(tokens, options)}
+        </style>
+      </head>
+      <body>
+        <div class="card">
+          ${data.siteName || data.favicon ? `
+            <div class="forum">
+              ${data.favicon ? `<img class="forum-logo" src="${data.favicon}" alt="Forum logo">` : ''}
+              <span>${escapeHtml(data.siteName || '')}</span>
+            </div>
+          ` : ''}
+          ${data.thread ? `<div class="thread-title">${escapeHtml(data.thread)}</div>` : ''}
+          <div class="header">
+            ${data.author.avatar ? `<img class="avatar" src="${data.author.avatar}" alt="Avatar">` : `<div class="avatar" style="background:var(--placeholder);"></div>`}
+            <div class="author-info">
+              <div class="name">${escapeHtml(data.author.name)}</div>
+              <div class="title">${escapeHtml(data.author.title || 'member')}</div>
+            </div>
+            ${data.postNumber ? `<span class="post-number">#${data.postNumber}</span>` : ''}
+          </div>
+          ${renderForumQuotesHtml(data.quotes, options.quoteDepth)}
+          <div class="content">${renderRichText(null, data.content, excerptOptions(options, FORUM_EXCERPT_CHARS))}</div>
+          ${imagesHtml}
+          ${data.reactions ? `<div class="reactions">${escapeHtml(data.reactions)}</div>` : ''}
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  // 'macrumors': metadata saved before XenForo forums were generalised
+  return {
+    name: 'xenforo',
+    platforms: ['xenforo', 'macrumors'],
+    match: url => forumSoftwareFor(url) === 'xenforo',
+    scrape: (url, ctx) => scrapeXenForo(url, ctx.options),
+    render: renderXenForoCard,
+    renderBento: renderBentoXenForoCard,
+    metadata: data => ({
+      thread: data.thread || undefined,
+      quotes: data.quotes && data.quotes.length > 0 ? data.quotes : undefined,
+    }),
+  };
+};
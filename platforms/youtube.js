@@ -0,0 +1,303 @@
+/**
+ * YouTube videos (oEmbed + meta tag fallback)
+ */
+
+module.exports = helpers => {
+  const {
+    cardWidth,
+    cheerio,
+    escapeHtml,
+    excerptCss,
+    extractYouTubeId,
+    fetchHTML,
+    fetchJSON,
+    imageToBase64,
+    themeCss,
+    themeTokens,
+    fonts: { video: FONT_VIDEO, bento: FONT_BENTO },
+  } = helpers;
+
+  /**
+   * YouTube Scraper (oEmbed + meta tag fallback)
+   */
+  async function scrapeYouTube(url) {
+    const videoId = extractYouTubeId(url);
+    let oembed = null;
+    try {
+      const oembedUrl = `https://www.youtube.com/oembed?url=${encodeURIComponent(url)}&format=json`;
+      oembed = await fetchJSON(oembedUrl);
+    } catch (e) {
+      oembed = null;
+    }
+
+    let title = oembed?.title || '';
+    let authorName = oembed?.author_name || '';
+    let authorUrl = oembed?.author_url || '';
+    let thumbnailUrl = oembed?.thumbnail_url || '';
+    let description = '';
+
+    if (!title || !thumbnailUrl || !description) {
+      try {
+        const html = await fetchHTML(url);
+        const $ = cheerio.load(html);
+        if (!title) {
+          title = $('meta[property="og:title"]').attr('content') || $('title').text() || 'YouTube';
+        }
+        if (!description) {
+          description = $('meta[name="description"]').attr('content') ||
+                        $('meta[property="og:description"]').attr('content') || '';
+        }
+        if (!thumbnailUrl) {
+          thumbnailUrl = $('meta[property="og:image"]').attr('content') || '';
+        }
+      } catch (e) {
+        // ignore
+      }
+    }
+
+    if (!thumbnailUrl && videoId) {
+      thumbnailUrl = `https://img.youtube.com/vi/${videoId}/maxresdefault.jpg`;
+    }
+
+    const thumbnailBase64 = await imageToBase64(thumbnailUrl);
+
+    return {
+      platform: 'youtube',
+      author: {
+        name: authorName || 'YouTube',
+        handle: authorUrl ? authorUrl.replace(/^https?:\/\//, '') : '',
+        avatar: null,
+        avatarUrl: '',
+      },
+      title: title || 'YouTube Video',
+      description: description,
+      thumbnail: thumbnailBase64,
+      thumbnailUrl: thumbnailUrl,
+      originalImageUrls: thumbnailUrl ? [thumbnailUrl] : [],
+      video: {
+        id: videoId,
+        url: url,
+        authorUrl: authorUrl,
+      },
+      url: url,
+    };
+  }
+
+  /**
+   * YouTube Card Template
+   */
+  function renderYouTubeCard(data, options = {}) {
+    const tokens = themeTokens(options, 'dark', {
+      base: { font: FONT_VIDEO, radius: '16px' },
+      dark: { page: '#000', card: '#0f0f0f', border: '#272727', thumb: '#1a1a1a', accent: '#ff0000', text: '#fff', muted: '#9a9a9a' },
+      light: { page: '#f2f2f2', card: '#fff', border: '#e5e5e5', thumb: '#f2f2f2', accent: '#ff0000', text: '#0f0f0f', muted: '#606060' },
+    });
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <style>
+          * { margin: 0; padding: 0; box-sizing: border-box; }
+          body {
+            font-family: var(--font);
+            background: var(--page);
+            padding: 20px;
+          }
+          .card {
+            background: var(--card);
+            border-radius: var(--radius);
+            overflow: hidden;
+            border: 1px solid var(--border);
+            max-width: ${cardWidth(options)}px;
+          }
+          .thumbnail {
+            position: relative;
+            width: 100%;
+            height: 310px;
+            background: var(--thumb);
+          }
+          .thumbnail img {
+            width: 100%;
+            height: 100%;
+            object-fit: cover;
+            display: block;
+          }
+          .play {
+            position: absolute;
+            left: 50%;
+            top: 50%;
+            transform: translate(-50%, -50%);
+            width: 56px;
+            height: 56px;
+            border-radius: 50%;
+            background: rgba(0, 0, 0, 0.65);
+            display: flex;
+            align-items: center;
+            justify-content: center;
+          }
+          .play svg {
+            width: 20px;
+            height: 20px;
+            fill: #fff;
+            margin-left: 4px;
+          }
+          .content {
+            padding: 16px 18px 18px;
+          }
+          .platform {
+            color: var(--accent);
+            font-size: 12px;
+            font-weight: 600;
+            letter-spacing: 0.06em;
+            text-transform: uppercase;
+            margin-bottom: 8px;
+          }
+          .title {
+            color: var(--text);
+            font-size: 18px;
+            font-weight: 600;
+            line-height: 1.35;
+            margin-bottom: 8px;
+          }
+          .author {
+            color: var(--muted);
+            font-size: 13px;
+          }
+          ${excerptCss()}
+          ${themeCss(tokens, options)}
+        </style>
+      </head>
+      <body>
+        <div class="card">
+          <div class="thumbnail">
+            ${data.thumbnail ? `<img src="${data.thumbnail}" alt="Video thumbnail">` : ''}
+            <div class="play">
+              <svg viewBox="0 0 24 24"><path d="M8 5v14l11-7z"/></svg>
+            </div>
+          </div>
+          <div class="content">
+            <div class="platform">YouTube</div>
+            <div class="title">${escapeHtml(data.title)}</div>
+            <div class="author">${escapeHtml(data.author.name)}</div>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Bento YouTube Card Template
+   */
+  function renderBentoYouTubeCard(data, options = {}) {
+    const tokens = themeTokens(options, 'dark', {
+      base: { font: FONT_BENTO, radius: '24px' },
+      dark: { card: '#1c1c1e', text: '#fff', muted: 'rgba(255,255,255,0.55)', placeholder: '#2c2c2e', border: 'rgba(255,255,255,0.12)', accent: '#ff453a' },
+      light: { card: '#f5f5f7', text: '#1d1d1f', muted: 'rgba(0,0,0,0.55)', placeholder: '#e5e5ea', border: 'rgba(0,0,0,0.1)', accent: '#ff3b30' },
+    });
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <style>
+          * { margin: 0; padding: 0; box-sizing: border-box; }
+          body {
+            font-family: var(--font);
+            background: transparent;
+            padding: 0;
+          }
+          .card {
+            background: var(--card);
+            border-radius: var(--radius);
+            overflow: hidden;
+            max-width: ${cardWidth(options)}px;
+          }
+          .thumbnail {
+            position: relative;
+            width: 100%;
+            height: 220px;
+            background: var(--placeholder);
+          }
+          .thumbnail img {
+            width: 100%;
+            height: 100%;
+            object-fit: cover;
+            display: block;
+          }
+          .play {
+            position: absolute;
+            left: 50%;
+            top: 50%;
+            transform: translate(-50%, -50%);
+            width: 52px;
+            height: 52px;
+            border-radius: 50%;
+            background: rgba(0, 0, 0, 0.6);
+            display: flex;
+            align-items: center;
+            justify-content: center;
+          }
+          .play svg {
+            width: 18px;
+            height: 18px;
+            fill: #fff;
+            margin-left: 3px;
+          }
+          .content {
+            padding: 22px 24px 24px;
+          }
+          .platform {
+            color: var(--accent);
+            font-size: 12px;
+            font-weight: 600;
+            letter-spacing: 0.06em;
+            text-transform: uppercase;
+            margin-bottom: 10px;
+          }
+          .title {
+            color: var(--text);
+            font-size: 18px;
+            font-weight: 600;
+            line-height: 1.3;
+            letter-spacing: -0.02em;
+            margin-bottom: 8px;
+          }
+          .author {
+            color: var(--muted);
+            font-size: 14px;
+          }
+          ${excerptCss()}
+          ${themeCss(tokens, options)}
+        </style>
+      </head>
+      <body>
+        <div class="card">
+          <div class="thumbnail">
+            ${data.thumbnail ? `<img src="${data.thumbnail}" alt="Video thumbnail">` : ''}
+            <div class="play">
+              <svg viewBox="0 0 24 24"><path d="M8 5v14l11-7z"/></svg>
+            </div>
+          </div>
+          <div class="content">
+            <div class="platform">YouTube</div>
+            <div class="title">${escapeHtml(data.title)}</div>
+            <div class="author">${escapeHtml(data.author.name)}</div>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  return {
+    name: 'youtube',
+    match: url => url.toLowerCase().includes('youtube.com') || url.toLowerCase().includes('youtu.be'),
+    scrape: url => scrapeYouTube(url),
+    render: renderYouTubeCard,
+    renderBento: renderBentoYouTubeCard,
+  };
+};
@@ -1,9 +1,30 @@
 const runButton = document.getElementById('run');
+const renderButton = document.getElementById('render');
 const urlsInput = document.getElementById('urls');
 const outputInput = document.getElementById('outputDir');
 const parallelInput = document.getElementById('parallel');
 const threadInput = document.getElementById('thread');
 const bentoInput = document.getElementById('bento');
+const themeInput = document.getElementById('theme');
+const themeFileInput = document.getElementById('themeFile');
+const scaleInput = document.getElementById('scale');
+const widthInput = document.getElementById('width');
+const quoteDepthInput = document.getElementById('quoteDepth');
+const excerptCharsInput = document.getElementById('excerptChars');
+const excerptLinesInput = document.getElementById('excerptLines');
+const fullTextInput = document.getElementById('fullText');
+const readMoreInput = document.getElementById('readMore');
+const passageInput = document.getElementById('passage');
+const highlightStyleInput = document.getElementById('highlightStyle');
+const dimInput = document.getElementById('dim');
+const redactInput = document.getElementById('redact');
+const formatsInput = document.getElementById('formats');
+const backgroundInput = document.getElementById('background');
+const canvasInput = document.getElementById('canvas');
+const canvasBackgroundInput = document.getElementById('canvasBackground');
+const composeInput = document.getElementById('compose');
+const cacheInput = document.getElementById('cache');
+const deckInput = document.getElementById('deck');
 const statusEl = document.getElementById('status');
 const resultsEl = document.getElementById('results');
 
@@ -12,6 +33,22 @@ function setStatus(message, tone = 'neutral') {
   statusEl.style.borderColor = tone === 'error' ? '#5f2a2a' : '#242431';
 }
 
+async function loadThemes() {
+  try {
+    const response = await fetch('/api/themes');
+    const data = await response.json();
+    (data.themes || []).forEach(theme => {
+      const option = document.createElement('option');
+      option.value = theme.id;
+      option.textContent = theme.name;
+      option.title = theme.description;
+      themeFileInput.appendChild(option);
+    });
+  } catch (error) {
+    // Theme list is optional; captures still work without it
+  }
+}
+
 function clearResults() {
   resultsEl.innerHTML = '';
 }
@@ -25,7 +62,7 @@ function renderResult(item) {
 
   if (item.success) {
     const files = [
-      item.cardFilename && `Card: ${item.cardFilename}`,
+      item.cardFilenames && `Card: ${item.cardFilenames.join(', ')}`,
       item.metadataFilename && `Metadata: ${item.metadataFilename}`,
     ].filter(Boolean).join(' • ');
     detail.textContent = files || 'Completed.';
@@ -38,32 +75,17 @@ function renderResult(item) {
   resultsEl.appendChild(li);
 }
 
-runButton.addEventListener('click', async () => {
-  const urls = urlsInput.value
-    .split('\n')
-    .map(line => line.trim())
-    .filter(line => line.length > 0);
-
-  if (urls.length === 0) {
-    setStatus('Please paste at least one URL.', 'error');
-    return;
-  }
-
+async function runRequest(endpoint, payload, busyMessage) {
   runButton.disabled = true;
+  renderButton.disabled = true;
   clearResults();
-  setStatus('Processing URLs...');
+  setStatus(busyMessage);
 
   try {
-    const response = await fetch('/api/capture', {
+    const response = await fetch(endpoint, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        urls,
-        outputDir: outputInput.value,
-        parallel: parallelInput.value,
-        thread: threadInput.checked,
-        bento: bentoInput.checked,
-      }),
+      body: JSON.stringify(payload),
     });
 
     const data = await response.json();
@@ -72,7 +94,7 @@ runButton.addEventListener('click', async () => {
     }
 
     setStatus(
-      `Done in ${data.elapsedSeconds}s. Saved to ${data.outputDir}.`,
+      `Done in ${data.elapsedSeconds}s. Saved to ${data.outputDir}.${data.merged?.length ? ` Merged ${data.merged.length} duplicate URL(s).` : ''}${data.gallery ? ` Gallery: ${data.gallery}.` : ''}${data.deck ? ` Deck: ${data.deck}.` : ''}`,
     );
 
     data.results.forEach(renderResult);
@@ -80,5 +102,73 @@ runButton.addEventListener('click', async () => {
     setStatus(error.message, 'error');
   } finally {
     runButton.disabled = false;
+    renderButton.disabled = false;
+  }
+}
+
+runButton.addEventListener('click', () => {
+  const urls = urlsInput.value
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0);
+
+  if (urls.length === 0) {
+    setStatus('Please paste at least one URL.', 'error');
+    return;
   }
+
+  runRequest('/api/capture', {
+    urls,
+    outputDir: outputInput.value,
+    parallel: parallelInput.value,
+    thread: threadInput.checked,
+    compose: composeInput.value,
+    deck: deckInput.checked,
+    bento: bentoInput.checked,
+    theme: themeInput.value,
+    themeFile: themeFileInput.value,
+    scale: scaleInput.value,
+    width: widthInput.value,
+    quoteDepth: quoteDepthInput.value,
+    excerptChars: excerptCharsInput.value,
+    excerptLines: excerptLinesInput.value,
+    fullText: fullTextInput.checked,
+    readMore: readMoreInput.checked,
+    passage: passageInput.value,
+    highlightStyle: highlightStyleInput.value,
+    dim: dimInput.checked,
+    redact: redactInput.value,
+    formats: formatsInput.value,
+    background: backgroundInput.value,
+    canvas: canvasInput.value,
+    canvasBackground: canvasBackgroundInput.value,
+    cache: cacheInput.value,
+  }, 'Processing URLs...');
+});
+
+renderButton.addEventListener('click', () => {
+  runRequest('/api/render', {
+    outputDir: outputInput.value,
+    parallel: parallelInput.value,
+    bento: bentoInput.checked,
+    theme: themeInput.value,
+    themeFile: themeFileInput.value,
+    scale: scaleInput.value,
+    width: widthInput.value,
+    quoteDepth: quoteDepthInput.value,
+    excerptChars: excerptCharsInput.value,
+    excerptLines: excerptLinesInput.value,
+    fullText: fullTextInput.checked,
+    readMore: readMoreInput.checked,
+    passage: passageInput.value,
+    highlightStyle: highlightStyleInput.value,
+    dim: dimInput.checked,
+    redact: redactInput.value,
+    formats: formatsInput.value,
+    background: backgroundInput.value,
+    canvas: canvasInput.value,
+    canvasBackground: canvasBackgroundInput.value,
+  }, 'Re-rendering saved cards...');
 });
+
+loadThemes();
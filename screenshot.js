@@ -10,8 +10,11 @@
 
 const { chromium } = require('playwright');
 const cheerio = require('cheerio');
+const PptxGenJS = require('pptxgenjs');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const crypto = require('crypto');
 const https = require('https');
 const http = require('http');
 
@@ -20,8 +23,64 @@ const http = require('http');
 // ============================================================================
 
 const DEFAULT_SCREENSHOTS_DIR = path.join(__dirname, 'screenshots');
+const THEMES_DIR = path.join(__dirname, 'themes'); // Built-in theme files
+const PLATFORMS_DIR = path.join(__dirname, 'platforms'); // Built-in platform modules
+const DEFAULT_CONFIG_FILE = 'social-screenshot.config.json'; // Looked up in the working directory
+const DEFAULT_CACHE_DIR = path.join(os.homedir(), '.cache', 'social-screenshot');
+const DEFAULT_CACHE_TTL_HOURS = 24; // Cached posts/images older than this are fetched again
+const MAX_REDIRECT_HOPS = 5; // Short-link expansion gives up after this many redirects
+const REQUEST_TIMEOUT_MS = 15000; // A page or API request idle this long is abandoned
+const PROBE_MISS_TTL_HOURS = 6; // A host found not to be a fediverse server or forum is probed again after this
+// Fediverse server software (from /.well-known/nodeinfo) by the API its posts are scraped with
+const MASTODON_API_SOFTWARE = ['mastodon', 'hometown', 'pleroma', 'akkoma', 'gotosocial', 'friendica', 'fedibird'];
+const MISSKEY_SOFTWARE = ['misskey', 'calckey', 'firefish', 'sharkey', 'iceshrimp', 'foundkey', 'cherrypick', 'meisskey'];
+const FORUM_QUOTE_DEPTH = 1; // Nested quote levels drawn on forum cards (--quote-depth)
+const FORUM_MAX_QUOTE_DEPTH = 5; // Nested quote levels kept from a forum post
+const EXCERPT_GLYPH_PX = 8; // Rough average character width, for turning --excerpt-lines into characters
+const HIGHLIGHT_STYLES = ['marker', 'underline', 'bold']; // How highlighted passages are drawn
+const REDACT_LEVELS = ['avatar', 'name', 'handle', 'metrics', 'mentions']; // What --redact can hide
+// Forums by software, as host or host + path prefix; config `forums` adds more, page markup finds the rest
+const FORUM_HOSTS = {
+  xenforo: ['forums.macrumors.com', 'forums.appleinsider.com', 'arstechnica.com/civis', 'xdaforums.com', 'forums.tomshardware.com', 'forums.spacebattles.com'],
+  discourse: ['meta.discourse.org', 'discuss.python.org', 'community.home-assistant.io', 'forum.obsidian.md'],
+};
+const SHORTENER_HOSTS = [
+  't.co', 'bit.ly', 'tinyurl.com', 'ow.ly', 'buff.ly', 'lnkd.in', 'goo.gl', 'dlvr.it', 'trib.al',
+  'ift.tt', 'is.gd', 't.ly', 'tiny.cc', 'cutt.ly', 'rebrand.ly', 'shorturl.at', 'apple.co', 'amzn.to', 'flip.it',
+];
 const CARD_WIDTH = 550; // Base width for cards
+const MIN_CARD_WIDTH = 320; // --width is clamped to this range
+const MAX_CARD_WIDTH = 1600;
+const SCALES = [1, 2, 3]; // Device scale factors (2 = retina, 3 = 4K slides)
+const FORMATS = ['png', 'pdf', 'webp', 'jpeg', 'svg']; // Card output formats
+const IMAGE_QUALITY = 90; // JPEG/WebP quality (0-100)
+const CANVAS_PRESETS = { // Slide canvases in CSS pixels (multiplied by --scale)
+  '16:9': { width: 1920, height: 1080 },
+  '4:3': { width: 1600, height: 1200 },
+  '1:1': { width: 1080, height: 1080 },
+  '9:16': { width: 1080, height: 1920 },
+};
+const CANVAS_BACKGROUNDS = ['solid', 'gradient', 'blur'];
+const CANVAS_SAFE_MARGIN = 0.08; // Fraction of each side kept clear of the card
+const COMPOSE_LAYOUTS = ['row', 'column', 'grid', 'collage']; // Multi-post image layouts
+const DECK_LAYOUTS = { // Slide sizes in inches, keyed like CANVAS_PRESETS
+  '16:9': { width: 13.333, height: 7.5 },
+  '4:3': { width: 10, height: 7.5 },
+  '1:1': { width: 7.5, height: 7.5 },
+  '9:16': { width: 7.5, height: 13.333 },
+};
+const DEFAULT_CANVAS_GRADIENT = 'linear-gradient(135deg, #1d2b64 0%, #4a2c6d 100%)';
 const DEFAULT_PARALLEL = 3; // Number of concurrent downloads
+const THEMES = ['auto', 'light', 'dark']; // auto = each platform's native look
+const IMAGE_MIME_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+  ico: 'image/x-icon',
+};
 
 // Global browser instance for reuse
 let browserInstance = null;
@@ -42,17 +101,128 @@ async function closeBrowser() {
   }
 }
 
+/**
+ * Parse a comma-separated format list ("png,pdf,jpg"); unknown formats are dropped
+ */
+function parseFormats(value) {
+  const formats = String(value || '')
+    .split(',')
+    .map(format => format.trim().toLowerCase().replace(/^jpg$/, 'jpeg'))
+    .filter(format => FORMATS.includes(format));
+  return formats.length > 0 ? [...new Set(formats)] : ['png'];
+}
+
+/**
+ * Card width from user input, clamped to MIN_CARD_WIDTH..MAX_CARD_WIDTH (CARD_WIDTH if not a number)
+ */
+function parseWidth(value) {
+  const width = parseInt(value);
+  return Number.isNaN(width) ? CARD_WIDTH : Math.min(Math.max(width, MIN_CARD_WIDTH), MAX_CARD_WIDTH);
+}
+
+/**
+ * Accept a CSS colour ("#fff", "white", "rgb(0 0 0 / 50%)"); anything else is ignored
+ */
+function parseBackground(value) {
+  const color = String(value || '').trim();
+  return /^[#\w\s(),.%/-]+$/.test(color) ? color : null;
+}
+
+/**
+ * Parse a URL list (urls.txt or the UI textarea); `#` lines are comments
+ * URLs between `[row]` and `[/row]` (or column, grid, collage) become one composed image
+ * Returns plain URLs as strings and groups as { layout, urls }
+ * A URL can be followed by ` | highlight="..."` settings; these go into `annotations`,
+ * keyed by canonical URL
+ */
+function parseUrlList(content, annotations = {}) {
+  const entries = [];
+  let group = null;
+
+  content.split('\n').map(line => line.trim()).forEach(line => {
+    const open = line.match(/^\[(\w+)\]$/);
+    if (open && COMPOSE_LAYOUTS.includes(open[1].toLowerCase())) {
+      group = { layout: open[1].toLowerCase(), urls: [] };
+      entries.push(group);
+    } else if (/^\[\/\w*\]$/.test(line)) {
+      group = null;
+    } else if (line.startsWith('http')) {
+      const annotated = line.match(/^(\S+)\s+\|\s*(.*)$/);
+      const url = annotated ? annotated[1] : line;
+      if (annotated) annotations[canonicalUrl(url)] = parseUrlAnnotation(annotated[2]);
+      (group ? group.urls : entries).push(url);
+    }
+  });
+
+  return entries.filter(entry => typeof entry === 'string' || entry.urls.length > 0);
+}
+
+/**
+ * Settings after the ` | ` on a URL line: highlight="..." (repeatable),
+ * style=marker|underline|bold and dim
+ */
+function parseUrlAnnotation(text) {
+  const annotation = { highlights: [] };
+  for (const match of text.matchAll(/(\w+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|(\S+)))?/g)) {
+    const key = match[1].toLowerCase();
+    const value = match[2] ?? match[3] ?? match[4];
+    if (key === 'highlight' && value) {
+      annotation.highlights.push(value);
+    } else if (key === 'style' && HIGHLIGHT_STYLES.includes(value)) {
+      annotation.highlightStyle = value;
+    } else if (key === 'dim') {
+      annotation.dim = value === undefined || !/^(false|no|off|0)$/i.test(value);
+    }
+  }
+  return annotation;
+}
+
+/**
+ * Options for one URL: its urls.txt settings (highlights, style, dim) over the run's options
+ */
+function urlOptions(options, url) {
+  const annotation = options.annotations?.[canonicalUrl(url)];
+  return annotation ? { ...options, ...annotation } : options;
+}
+
 /**
  * Parse command line arguments
  */
 function parseArgs(args) {
   const result = {
+    mode: 'capture', // 'capture' scrapes URLs, 'render' rebuilds cards from saved metadata
     urls: [],
+    metadata: [], // Metadata files or folders for render mode
     file: null,
     output: DEFAULT_SCREENSHOTS_DIR,
     parallel: DEFAULT_PARALLEL,
     thread: false, // Capture threads/replies as combined cards
     bento: false, // Apple bento-style cards for Keynote slides
+    theme: 'auto', // light | dark | auto
+    themeFile: null, // Theme JSON/CSS path or built-in theme name
+    scale: 1, // Device scale factor for the card screenshot
+    width: CARD_WIDTH, // Card width in CSS pixels
+    quoteDepth: FORUM_QUOTE_DEPTH, // Nested quote levels on forum cards (0 = none)
+    excerptChars: null, // Cut post text to this many characters (null = template default)
+    excerptLines: null, // Cut post text to about this many lines
+    fullText: false, // Never cut post text
+    readMore: false, // Add a "Read more" marker to cut text
+    passage: null, // Passage to highlight (and keep inside the excerpt)
+    highlightStyle: 'marker', // marker | underline | bold
+    dim: false, // Dim post text around the highlights
+    redact: [], // Hide people: avatar, name, handle, metrics, mentions
+    formats: ['png'], // Card output formats, e.g. png,pdf,webp
+    background: null, // Background colour behind the card (null = template/transparent)
+    canvas: null, // Slide canvas preset (16:9, 4:3, 1:1, 9:16); null = crop to the card
+    canvasBackground: 'gradient', // solid | gradient | blur
+    compose: null, // Compose all URLs into one image: row | column | grid | collage
+    deck: null, // Write a .pptx with one card per slide
+    cacheDir: DEFAULT_CACHE_DIR,
+    cacheTtl: DEFAULT_CACHE_TTL_HOURS, // Hours
+    refresh: false, // Ignore cached posts/images (still updates the cache)
+    offline: false, // Only use the cache; never touch the network
+    config: null, // Config file (default: ./social-screenshot.config.json if present)
+    annotations: {}, // Per-URL settings from urls.txt (`url | highlight="..."`), by canonical URL
   };
 
   for (let i = 0; i < args.length; i++) {
@@ -68,21 +238,187 @@ function parseArgs(args) {
       result.thread = true;
     } else if (arg === '--bento') {
       result.bento = true;
+    } else if (arg === '--theme-file' && args[i + 1]) {
+      result.themeFile = args[i + 1];
+      i++;
+    } else if (arg === '--theme' && args[i + 1]) {
+      result.theme = THEMES.includes(args[i + 1]) ? args[i + 1] : 'auto';
+      i++;
+    } else if (arg === '--scale' && args[i + 1]) {
+      const scale = parseInt(args[i + 1]);
+      result.scale = SCALES.includes(scale) ? scale : 1;
+      i++;
+    } else if (arg === '--width' && args[i + 1]) {
+      result.width = parseWidth(args[i + 1]);
+      i++;
+    } else if (arg === '--excerpt' && args[i + 1]) {
+      result.excerptChars = parseInt(args[i + 1]) || null;
+      i++;
+    } else if (arg === '--excerpt-lines' && args[i + 1]) {
+      result.excerptLines = parseInt(args[i + 1]) || null;
+      i++;
+    } else if (arg === '--full-text') {
+      result.fullText = true;
+    } else if (arg === '--read-more') {
+      result.readMore = true;
+    } else if (arg === '--passage' && args[i + 1]) {
+      result.passage = args[i + 1];
+      i++;
+    } else if (arg === '--highlight-style' && args[i + 1]) {
+      result.highlightStyle = HIGHLIGHT_STYLES.includes(args[i + 1]) ? args[i + 1] : 'marker';
+      i++;
+    } else if (arg === '--dim') {
+      result.dim = true;
+    } else if (arg === '--redact') {
+      // Bare --redact hides everything; --redact avatar,name picks levels
+      const levels = parseRedact(args[i + 1]);
+      result.redact = levels.length > 0 ? levels : [...REDACT_LEVELS];
+      if (levels.length > 0) i++;
+    } else if (arg === '--quote-depth' && args[i + 1]) {
+      const depth = parseInt(args[i + 1]);
+      result.quoteDepth = Number.isNaN(depth) ? FORUM_QUOTE_DEPTH : Math.min(Math.max(depth, 0), FORUM_MAX_QUOTE_DEPTH);
+      i++;
+    } else if (arg === '--format' && args[i + 1]) {
+      result.formats = parseFormats(args[i + 1]);
+      i++;
+    } else if (arg === '--background' && args[i + 1]) {
+      result.background = parseBackground(args[i + 1]);
+      i++;
+    } else if (arg === '--canvas' && args[i + 1]) {
+      result.canvas = CANVAS_PRESETS[args[i + 1]] ? args[i + 1] : null;
+      i++;
+    } else if (arg === '--canvas-bg' && args[i + 1]) {
+      result.canvasBackground = CANVAS_BACKGROUNDS.includes(args[i + 1]) ? args[i + 1] : 'gradient';
+      i++;
+    } else if (arg === '--compose' && args[i + 1]) {
+      result.compose = COMPOSE_LAYOUTS.includes(args[i + 1]) ? args[i + 1] : 'row';
+      i++;
+    } else if (arg === '--deck' && args[i + 1]) {
+      result.deck = path.resolve(args[i + 1]);
+      i++;
+    } else if (arg === '--config' && args[i + 1]) {
+      result.config = path.resolve(args[i + 1]);
+      i++;
+    } else if (arg === '--refresh') {
+      result.refresh = true;
+    } else if (arg === '--offline') {
+      result.offline = true;
+    } else if (arg === '--cache-ttl' && args[i + 1]) {
+      const ttl = parseFloat(args[i + 1]);
+      result.cacheTtl = ttl >= 0 ? ttl : DEFAULT_CACHE_TTL_HOURS;
+      i++;
+    } else if (arg === '--cache-dir' && args[i + 1]) {
+      result.cacheDir = path.resolve(args[i + 1]);
+      i++;
     } else if (arg === '--parallel' && args[i + 1]) {
       result.parallel = parseInt(args[i + 1]) || DEFAULT_PARALLEL;
       i++;
+    } else if (arg === 'render' && i === 0) {
+      result.mode = 'render';
     } else if (arg.startsWith('http')) {
       result.urls.push(arg);
+    } else if (result.mode === 'render' && !arg.startsWith('--')) {
+      result.metadata.push(path.resolve(arg));
     }
   }
 
   return result;
 }
 
+/**
+ * Load a theme from a JSON or CSS file, or a built-in theme name (see themes/)
+ * JSON: { name, description, bento, mode, tokens: { card: '#fff', font: '...' }, css }
+ * CSS: appended to every template, so it can set :root tokens or restyle selectors
+ */
+function loadTheme(ref) {
+  if (!ref) return null;
+
+  let file = fs.existsSync(ref) ? ref : null;
+  if (!file) {
+    file = ['.json', '.css']
+      .map(ext => path.join(THEMES_DIR, `${ref}${ext}`))
+      .find(candidate => fs.existsSync(candidate));
+  }
+  if (!file) throw new Error(`Theme not found: ${ref}`);
+
+  const raw = fs.readFileSync(file, 'utf-8');
+  const ext = path.extname(file).toLowerCase();
+  const id = path.basename(file, ext);
+
+  // Keep theme CSS inside the template's <style> element
+  const safeCss = css => (css || '').replace(/<\/style/gi, '');
+
+  if (ext === '.css') {
+    return { id, name: id, description: '', bento: false, mode: 'auto', tokens: {}, css: safeCss(raw) };
+  }
+
+  let theme;
+  try {
+    theme = JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`Invalid theme JSON: ${file}`);
+  }
+
+  // Token names become CSS variables; values must not break out of the declaration
+  const tokens = {};
+  Object.entries(theme.tokens || {}).forEach(([key, value]) => {
+    if (/^[a-z][\w-]*$/i.test(key) && !/[;{}<]/.test(String(value))) {
+      tokens[key] = String(value);
+    }
+  });
+
+  return {
+    id,
+    name: theme.name || id,
+    description: theme.description || '',
+    bento: Boolean(theme.bento),
+    mode: THEMES.includes(theme.mode) ? theme.mode : 'auto',
+    tokens,
+    css: safeCss(theme.css),
+  };
+}
+
+/**
+ * Built-in themes for the UI theme picker
+ */
+function listThemes() {
+  if (!fs.existsSync(THEMES_DIR)) return [];
+  return fs.readdirSync(THEMES_DIR)
+    .filter(name => /\.(json|css)$/i.test(name))
+    .sort()
+    .map(name => {
+      try {
+        const theme = loadTheme(path.join(THEMES_DIR, name));
+        return { id: theme.id, name: theme.name, description: theme.description };
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Merge a theme file into render options
+ * Explicit --bento / --theme light|dark win over the theme's own settings
+ */
+function applyTheme(options, themeRef) {
+  const theme = loadTheme(themeRef);
+  if (!theme) return options;
+
+  return {
+    ...options,
+    bento: options.bento || theme.bento,
+    theme: options.theme && options.theme !== 'auto' ? options.theme : theme.mode,
+    themeTokens: theme.tokens,
+    themeCss: theme.css,
+  };
+}
+
 /**
  * Process URLs in parallel with concurrency limit
+ * `worker` defaults to scraping; render mode passes renderFromMetadata instead
  */
-async function processInParallel(urls, outputDir, concurrency, options = {}) {
+async function processInParallel(urls, outputDir, concurrency, options = {}, worker = processUrl) {
   const results = [];
   const total = urls.length;
   let completed = 0;
@@ -92,7 +428,7 @@ async function processInParallel(urls, outputDir, concurrency, options = {}) {
     const batch = urls.slice(i, i + concurrency);
     const batchPromises = batch.map((url, batchIndex) => {
       const index = i + batchIndex;
-      return processUrl(url, index, total, outputDir, options);
+      return worker(url, index, total, outputDir, options);
     });
 
     const batchResults = await Promise.all(batchPromises);
@@ -103,6 +439,69 @@ async function processInParallel(urls, outputDir, concurrency, options = {}) {
   return results;
 }
 
+// ============================================================================
+// SCRAPE CACHE
+// ============================================================================
+
+// Scraped posts and image bytes, keyed by canonical URL; shared by the CLI and UI server
+const cacheConfig = {
+  dir: DEFAULT_CACHE_DIR,
+  ttlHours: DEFAULT_CACHE_TTL_HOURS,
+  refresh: false,
+  offline: false,
+};
+
+/**
+ * Update cache settings (from CLI flags or a UI request)
+ */
+function configureCache(settings = {}) {
+  if (settings.dir) cacheConfig.dir = settings.dir;
+  if (typeof settings.ttlHours === 'number') cacheConfig.ttlHours = settings.ttlHours;
+  if (typeof settings.refresh === 'boolean') cacheConfig.refresh = settings.refresh;
+  if (typeof settings.offline === 'boolean') cacheConfig.offline = settings.offline;
+  return { ...cacheConfig };
+}
+
+function cacheFile(kind, key, ext) {
+  const hash = crypto.createHash('sha1').update(key).digest('hex');
+  return path.join(cacheConfig.dir, kind, `${hash}${ext}`);
+}
+
+/**
+ * Read a cache entry; --refresh skips it, expired entries are only used --offline
+ */
+function readCache(kind, key, ext = '.json') {
+  if (cacheConfig.refresh) return null;
+
+  const file = cacheFile(kind, key, ext);
+  try {
+    const ageHours = (Date.now() - fs.statSync(file).mtimeMs) / 3600000;
+    if (ageHours > cacheConfig.ttlHours && !cacheConfig.offline) return null;
+    return fs.readFileSync(file, 'utf-8');
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeCache(kind, key, content, ext = '.json') {
+  const file = cacheFile(kind, key, ext);
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    // Write then rename so parallel workers never read half a file
+    const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    fs.writeFileSync(temp, content);
+    fs.renameSync(temp, file);
+  } catch (e) {
+    // A read-only or full disk just means no caching
+  }
+}
+
+function assertOnline(url) {
+  if (cacheConfig.offline) {
+    throw new Error(`Offline: ${url} is not cached`);
+  }
+}
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
@@ -111,6 +510,7 @@ async function processInParallel(urls, outputDir, concurrency, options = {}) {
  * Fetch HTML content from a URL
  */
 async function fetchHTML(url) {
+  assertOnline(url);
   return new Promise((resolve, reject) => {
     const protocol = url.startsWith('https') ? https : http;
     const options = {
@@ -118,10 +518,11 @@ async function fetchHTML(url) {
         'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
         'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
         'Accept-Language': 'en-US,en;q=0.5',
-      }
+      },
+      timeout: REQUEST_TIMEOUT_MS,
     };
 
-    protocol.get(url, options, (res) => {
+    const req = protocol.get(url, options, (res) => {
       // Handle redirects
       if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
         return fetchHTML(res.headers.location).then(resolve).catch(reject);
@@ -131,26 +532,31 @@ async function fetchHTML(url) {
       res.on('data', chunk => data += chunk);
       res.on('end', () => resolve(data));
       res.on('error', reject);
-    }).on('error', reject);
+    });
+    req.on('timeout', () => req.destroy(new Error(`Timed out fetching ${url}`)));
+    req.on('error', reject);
   });
 }
 
 /**
- * Fetch JSON from a URL
+ * Fetch JSON from a URL (`headers` add to or override the defaults)
  */
-async function fetchJSON(url) {
+async function fetchJSON(url, headers = {}) {
+  assertOnline(url);
   return new Promise((resolve, reject) => {
     const protocol = url.startsWith('https') ? https : http;
     const options = {
       headers: {
         'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
         'Accept': 'application/json',
-      }
+        ...headers,
+      },
+      timeout: REQUEST_TIMEOUT_MS,
     };
 
-    protocol.get(url, options, (res) => {
+    const req = protocol.get(url, options, (res) => {
       if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        return fetchJSON(res.headers.location).then(resolve).catch(reject);
+        return fetchJSON(res.headers.location, headers).then(resolve).catch(reject);
       }
 
       let data = '';
@@ -163,7 +569,47 @@ async function fetchJSON(url) {
         }
       });
       res.on('error', reject);
-    }).on('error', reject);
+    });
+    req.on('timeout', () => req.destroy(new Error(`Timed out fetching ${url}`)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * POST a JSON body and parse the JSON response (Misskey's API is POST-only)
+ */
+async function postJSON(url, body, headers = {}) {
+  assertOnline(url);
+  return new Promise((resolve, reject) => {
+    const payload = JSON.stringify(body);
+    const protocol = url.startsWith('https') ? https : http;
+    const options = {
+      method: 'POST',
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
+        'Accept': 'application/json',
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload),
+        ...headers,
+      },
+      timeout: REQUEST_TIMEOUT_MS,
+    };
+
+    const req = protocol.request(url, options, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        try {
+          resolve(JSON.parse(data));
+        } catch (e) {
+          reject(new Error('Invalid JSON response'));
+        }
+      });
+      res.on('error', reject);
+    });
+    req.on('timeout', () => req.destroy(new Error(`Timed out fetching ${url}`)));
+    req.on('error', reject);
+    req.end(payload);
   });
 }
 
@@ -171,6 +617,12 @@ async function fetchJSON(url) {
  * Convert image URL to base64 data URI
  */
 async function imageToBase64(url) {
+  if (url) {
+    const cached = readCache('images', url, '.txt');
+    if (cached) return cached;
+    if (cacheConfig.offline) return null;
+  }
+
   return new Promise((resolve, reject) => {
     if (!url) {
       resolve(null);
@@ -178,7 +630,7 @@ async function imageToBase64(url) {
     }
 
     const protocol = url.startsWith('https') ? https : http;
-    protocol.get(url, { headers: { 'User-Agent': 'Mozilla/5.0' } }, (res) => {
+    const req = protocol.get(url, { headers: { 'User-Agent': 'Mozilla/5.0' }, timeout: REQUEST_TIMEOUT_MS }, (res) => {
       if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
         return imageToBase64(res.headers.location).then(resolve).catch(reject);
       }
@@ -189,10 +641,15 @@ async function imageToBase64(url) {
         const buffer = Buffer.concat(chunks);
         const contentType = res.headers['content-type'] || 'image/jpeg';
         const base64 = buffer.toString('base64');
-        resolve(`data:${contentType};base64,${base64}`);
+        const dataUri = `data:${contentType};base64,${base64}`;
+        if (res.statusCode === 200) writeCache('images', url, dataUri, '.txt');
+        resolve(dataUri);
       });
       res.on('error', () => resolve(null));
-    }).on('error', () => resolve(null));
+    });
+    // A stalled CDN gets the card drawn without this image rather than hanging the run
+    req.on('timeout', () => req.destroy(new Error(`Timed out fetching ${url}`)));
+    req.on('error', () => resolve(null));
   });
 }
 
@@ -200,14 +657,34 @@ async function imageToBase64(url) {
  * Download and save an image file
  */
 async function downloadImage(url, filepath) {
+  if (url) {
+    // Same cache as imageToBase64, so --offline runs still save the originals
+    const cached = readCache('images', url, '.txt');
+    if (cached) {
+      fs.writeFileSync(filepath, Buffer.from(cached.split(',')[1] || '', 'base64'));
+      return filepath;
+    }
+    if (cacheConfig.offline) return null;
+  }
+
   return new Promise((resolve, reject) => {
     if (!url) {
       resolve(null);
       return;
     }
 
+    let fileStream = null;
+    // Cut off mid-download (timeout, dropped connection): don't leave a truncated image behind
+    const fail = () => {
+      if (fileStream) {
+        fileStream.destroy();
+        fs.rmSync(filepath, { force: true });
+      }
+      resolve(null);
+    };
+
     const protocol = url.startsWith('https') ? https : http;
-    protocol.get(url, { headers: { 'User-Agent': 'Mozilla/5.0' } }, (res) => {
+    const req = protocol.get(url, { headers: { 'User-Agent': 'Mozilla/5.0' }, timeout: REQUEST_TIMEOUT_MS }, (res) => {
       if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
         return downloadImage(res.headers.location, filepath).then(resolve).catch(reject);
       }
@@ -217,23 +694,51 @@ async function downloadImage(url, filepath) {
         return;
       }
 
-      const fileStream = fs.createWriteStream(filepath);
+      fileStream = fs.createWriteStream(filepath);
       res.pipe(fileStream);
       fileStream.on('finish', () => {
         fileStream.close();
+        const contentType = res.headers['content-type'] || 'image/jpeg';
+        writeCache('images', url, `data:${contentType};base64,${fs.readFileSync(filepath).toString('base64')}`, '.txt');
         resolve(filepath);
       });
-      fileStream.on('error', () => resolve(null));
-    }).on('error', () => resolve(null));
+      fileStream.on('error', fail);
+      res.on('error', fail);
+    });
+    req.on('timeout', () => req.destroy(new Error(`Timed out fetching ${url}`)));
+    req.on('error', fail);
   });
 }
 
+/**
+ * Write a base64 image data URI to disk, picking the extension from its MIME type
+ */
+function saveDataUri(dataUri, filepathWithoutExt) {
+  const match = dataUri && dataUri.match(/^data:(image\/[^;,]+)[^,]*;base64,(.*)$/);
+  if (!match) return null;
+
+  const ext = Object.keys(IMAGE_MIME_TYPES).find(key => IMAGE_MIME_TYPES[key] === match[1]) || 'jpg';
+  const filepath = `${filepathWithoutExt}.${ext}`;
+  fs.writeFileSync(filepath, Buffer.from(match[2], 'base64'));
+  return filepath;
+}
+
+/**
+ * Read a local image file back into a base64 data URI
+ */
+function fileToBase64(filepath) {
+  if (!filepath || !fs.existsSync(filepath)) return null;
+  const ext = path.extname(filepath).slice(1).toLowerCase();
+  const contentType = IMAGE_MIME_TYPES[ext] || 'image/jpeg';
+  return `data:${contentType};base64,${fs.readFileSync(filepath).toString('base64')}`;
+}
+
 /**
  * Get file extension from URL or content type
  */
 function getImageExtension(url) {
   // Check URL for extension
-  const urlMatch = url.match(/\.(jpg|jpeg|png|gif|webp)/i);
+  const urlMatch = url.match(/\.(jpg|jpeg|png|gif|webp|svg|ico)/i);
   if (urlMatch) return urlMatch[1].toLowerCase();
 
   // Check format parameter (Twitter style)
@@ -276,10 +781,13 @@ function formatRelativeTime(dateStr) {
 
 /**
  * Generate a safe filename from URL
+ * With `redact`, the post id (which leads back to the author) becomes a salted hash
  */
-function generateFilename(url, platform) {
+function generateFilename(url, platform, redact = false) {
   const timestamp = Date.now();
-  const urlHash = url.split('/').pop().replace(/[^a-zA-Z0-9]/g, '').slice(0, 20);
+  const urlHash = redact
+    ? redactHash(url).slice(0, 12)
+    : url.split('/').pop().replace(/[^a-zA-Z0-9]/g, '').slice(0, 20);
   return `${platform}-${urlHash}-${timestamp}.png`;
 }
 
@@ -304,15 +812,106 @@ function extractYouTubeId(url) {
   return null;
 }
 
+/**
+ * Save avatars, link thumbnails, favicons and Reddit icons already fetched as base64 next to the card
+ * Records remote URL -> local filename in `assetFiles`
+ */
+function saveCardAssets(data, outputDir, baseFilename, assetFiles) {
+  const posts = data.tweets || [data];
+  const authors = [
+    ...posts.map(post => post.author),
+    ...posts.map(post => post.quoted?.author),
+  ];
+  let avatarCount = 0;
+
+  authors.forEach(author => {
+    if (!author || !author.avatar || !author.avatarUrl || assetFiles[author.avatarUrl]) return;
+    avatarCount++;
+    const suffix = avatarCount === 1 ? '-avatar' : `-avatar-${avatarCount}`;
+    const saved = saveDataUri(author.avatar, path.join(outputDir, `${baseFilename}${suffix}`));
+    if (saved) assetFiles[author.avatarUrl] = path.basename(saved);
+  });
+
+  let thumbCount = 0;
+  posts.map(post => post.linkCard).forEach(linkCard => {
+    if (!linkCard || !linkCard.thumbnail || !linkCard.thumbnailUrl || assetFiles[linkCard.thumbnailUrl]) return;
+    thumbCount++;
+    const suffix = thumbCount === 1 ? '-link-thumb' : `-link-thumb-${thumbCount}`;
+    const saved = saveDataUri(linkCard.thumbnail, path.join(outputDir, `${baseFilename}${suffix}`));
+    if (saved) assetFiles[linkCard.thumbnailUrl] = path.basename(saved);
+  });
+
+  if (data.favicon && data.faviconUrl) {
+    const saved = saveDataUri(data.favicon, path.join(outputDir, `${baseFilename}-favicon`));
+    if (saved) assetFiles[data.faviconUrl] = path.basename(saved);
+  }
+
+  if (data.subreddit?.icon && data.subreddit.iconUrl) {
+    const saved = saveDataUri(data.subreddit.icon, path.join(outputDir, `${baseFilename}-subreddit-icon`));
+    if (saved) assetFiles[data.subreddit.iconUrl] = path.basename(saved);
+  }
+
+  let awardCount = 0;
+  (data.awards || []).forEach(award => {
+    if (!award.icon || !award.iconUrl || assetFiles[award.iconUrl]) return;
+    awardCount++;
+    const saved = saveDataUri(award.icon, path.join(outputDir, `${baseFilename}-award-${awardCount}`));
+    if (saved) assetFiles[award.iconUrl] = path.basename(saved);
+  });
+}
+
+/**
+ * Link preview for the metadata payload (without base64 fields)
+ */
+function buildLinkCardPayload(linkCard, assetFiles = {}) {
+  if (!linkCard) return undefined;
+
+  return {
+    url: linkCard.url,
+    title: linkCard.title,
+    description: linkCard.description,
+    domain: linkCard.domain,
+    thumbnailUrl: linkCard.thumbnailUrl,
+    thumbnailFile: assetFiles[linkCard.thumbnailUrl],
+  };
+}
+
+/**
+ * Quoted post for the metadata payload (without base64 fields)
+ */
+function buildQuotedPayload(quoted, assetFiles = {}) {
+  if (!quoted) return undefined;
+  if (quoted.unavailable || !quoted.author) {
+    return { unavailable: true, content: quoted.content };
+  }
+
+  return {
+    author: {
+      name: quoted.author.name,
+      handle: quoted.author.handle,
+      avatarUrl: quoted.author.avatarUrl,
+      avatarFile: assetFiles[quoted.author.avatarUrl],
+    },
+    content: quoted.content,
+    timestamp: quoted.timestamp,
+    url: quoted.url,
+    originalImageUrls: quoted.originalImageUrls || [],
+    imageFiles: (quoted.originalImageUrls || []).map(imgUrl => assetFiles[imgUrl]).filter(Boolean),
+  };
+}
+
 /**
  * Build metadata payload (without base64 fields)
+ * `assetFiles` maps remote URLs to the local files saved for offline re-rendering
  */
-function buildMetadataPayload(data, url, cardFilename, downloadedImages) {
+function buildMetadataPayload(data, url, cardFilenames, downloadedImages, assetFiles = {}) {
   const payload = {
     platform: data.platform,
     url: data.url || url,
-    card: path.basename(cardFilename),
+    canonicalUrl: canonicalUrl(url),
+    card: path.basename(cardFilenames[0]),
   };
+  if (cardFilenames.length > 1) payload.cards = cardFilenames.map(file => path.basename(file));
 
   if (data.platform === 'twitter-thread' && data.tweets) {
     payload.tweets = data.tweets.map(tweet => ({
@@ -320,11 +919,16 @@ function buildMetadataPayload(data, url, cardFilename, downloadedImages) {
         name: tweet.author.name,
         handle: tweet.author.handle,
         avatarUrl: tweet.author.avatarUrl,
+        avatarFile: assetFiles[tweet.author.avatarUrl],
         verified: tweet.author.verified,
       } : undefined,
       content: tweet.content,
+      richText: tweet.richText,
       timestamp: tweet.timestamp,
       originalImageUrls: tweet.originalImageUrls || [],
+      imageFiles: (tweet.originalImageUrls || []).map(imgUrl => assetFiles[imgUrl]).filter(Boolean),
+      quoted: buildQuotedPayload(tweet.quoted, assetFiles),
+      linkCard: buildLinkCardPayload(tweet.linkCard, assetFiles),
       isMainTweet: tweet.isMainTweet || false,
     }));
     payload.media = {
@@ -340,11 +944,15 @@ function buildMetadataPayload(data, url, cardFilename, downloadedImages) {
       handle: data.author.handle,
       title: data.author.title,
       avatarUrl: data.author.avatarUrl,
+      avatarFile: assetFiles[data.author.avatarUrl],
       verified: data.author.verified,
     };
   }
 
   if (data.content) payload.content = data.content;
+  if (data.richText && data.richText.length > 0) payload.richText = data.richText;
+  if (data.quoted) payload.quoted = buildQuotedPayload(data.quoted, assetFiles);
+  if (data.linkCard) payload.linkCard = buildLinkCardPayload(data.linkCard, assetFiles);
   if (data.title) payload.title = data.title;
   if (data.description) payload.description = data.description;
   if (data.timestamp) payload.timestamp = data.timestamp;
@@ -355,8 +963,10 @@ function buildMetadataPayload(data, url, cardFilename, downloadedImages) {
   if (data.reactions) payload.reactions = data.reactions;
   if (data.video) payload.video = data.video;
   if (data.faviconUrl) payload.faviconUrl = data.faviconUrl;
+  if (assetFiles[data.faviconUrl]) payload.faviconFile = assetFiles[data.faviconUrl];
   if (data.imageUrl) payload.imageUrl = data.imageUrl;
   if (data.thumbnailUrl) payload.thumbnailUrl = data.thumbnailUrl;
+  Object.assign(payload, findRenderer(data.platform)?.metadata?.(data, assetFiles) || {});
 
   payload.media = {
     originalUrls: data.originalImageUrls || [],
@@ -367,2397 +977,1368 @@ function buildMetadataPayload(data, url, cardFilename, downloadedImages) {
 }
 
 // ============================================================================
-// PLATFORM DETECTION
+// PRIVACY REDACTION
 // ============================================================================
+// --redact hides people in the scraped data itself, before anything is drawn or
+// saved, so every template (plugins too), the metadata and the saved files agree.
+// Names and handles become pseudonyms derived from a hash ("User 3f2a", @user_3f2a),
+// the same person getting the same pseudonym across a thread or comment chain.
 
-function detectPlatform(url) {
-  const urlLower = url.toLowerCase();
+/**
+ * Redaction levels from "avatar,name" or "all"; unknown levels are dropped
+ */
+function parseRedact(value) {
+  const levels = String(value || '')
+    .split(',')
+    .map(level => level.trim().toLowerCase())
+    .filter(Boolean);
+  if (levels.includes('all')) return [...REDACT_LEVELS];
+  return REDACT_LEVELS.filter(level => levels.includes(level));
+}
 
-  if (urlLower.includes('x.com') || urlLower.includes('twitter.com')) {
-    return 'twitter';
-  }
-  if (urlLower.includes('forums.macrumors.com')) {
-    return 'macrumors';
-  }
-  if (urlLower.includes('threads.net')) {
-    return 'threads';
-  }
-  if (urlLower.includes('bsky.app')) {
-    return 'bluesky';
-  }
-  if (urlLower.includes('mastodon.social') || urlLower.includes('zeppelin.flights') || urlLower.includes('@')) {
-    // Check for Mastodon-style URLs
-    if (urlLower.match(/\/@[\w]+\/\d+/)) {
-      return 'mastodon';
-    }
-  }
-  if (urlLower.includes('youtube.com') || urlLower.includes('youtu.be')) {
-    return 'youtube';
-  }
-  if (urlLower.includes('tiktok.com')) {
-    return 'tiktok';
-  }
-  if (urlLower.includes('cultofmac.com') || urlLower.includes('newsletters.')) {
-    return 'article';
-  }
+// Keyed per run, so a pseudonym or hashed URL can't be matched against a list of
+// known handles or links, nor tied to the same person in another run's output
+const REDACT_SALT = crypto.randomBytes(16).toString('hex');
 
-  return 'unknown';
+function redactHash(value) {
+  return crypto.createHmac('sha256', REDACT_SALT).update(String(value)).digest('hex');
 }
 
-// ============================================================================
-// PLATFORM SCRAPERS
-// ============================================================================
-
 /**
- * Twitter/X Scraper - Uses browser to load embed and extract data
+ * Pseudonym id for a person, from their handle (or name) without @ or u/
  */
-async function scrapeTwitter(url) {
-  // Extract tweet ID from URL
-  const match = url.match(/status\/(\d+)/);
-  if (!match) throw new Error('Invalid Twitter URL');
-
-  const tweetId = match[1];
-
-  // Use browser to load the Twitter embed page
-  const browser = await getBrowser();
-  const context = await browser.newContext({
-    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-  });
-  const page = await context.newPage();
-
-  try {
-    // Load the embed version of the tweet
-    const embedUrl = `https://platform.twitter.com/embed/Tweet.html?id=${tweetId}&theme=dark`;
-    await page.goto(embedUrl, { waitUntil: 'networkidle', timeout: 30000 });
-
-    // Wait for content to load
-    await page.waitForSelector('[data-testid="tweetText"], .Tweet-text, article', { timeout: 10000 }).catch(() => {});
-
-    // Wait a bit more for images
-    await new Promise(resolve => setTimeout(resolve, 2000));
-
-    // Extract data from the embed page
-    const data = await page.evaluate(() => {
-      // Try to find tweet content
-      const tweetText = document.querySelector('[data-testid="tweetText"]')?.innerText ||
-                       document.querySelector('.Tweet-text')?.innerText ||
-                       document.querySelector('[lang]')?.innerText || '';
-
-      // Find author info
-      const authorName = document.querySelector('[data-testid="User-Name"] a, .TweetAuthor-name')?.innerText?.split('\n')[0] || 'Unknown';
-      const authorHandle = document.querySelector('[data-testid="User-Name"] a[href*="/"], .TweetAuthor-screenName')?.innerText?.replace('@', '') ||
-                          document.querySelector('a[href*="twitter.com/"]')?.href?.match(/twitter\.com\/(\w+)/)?.[1] || 'unknown';
-
-      // Find avatar
-      const avatar = document.querySelector('img[src*="profile_images"]')?.src || '';
-
-      // Find images
-      const images = [];
-      document.querySelectorAll('img[src*="pbs.twimg.com/media"]').forEach(img => {
-        if (img.src) images.push(img.src);
-      });
-
-      // Find metrics (these may not be available in embed)
-      const metricsText = document.body.innerText;
-      const likesMatch = metricsText.match(/(\d+(?:,\d+)*)\s*likes?/i);
-      const retweetsMatch = metricsText.match(/(\d+(?:,\d+)*)\s*retweets?/i);
-
-      // Find timestamp
-      const timeEl = document.querySelector('time');
-      const timestamp = timeEl?.getAttribute('datetime') || timeEl?.innerText || '';
-
-      return {
-        text: tweetText,
-        authorName,
-        authorHandle,
-        avatar,
-        images,
-        timestamp,
-        likes: likesMatch ? likesMatch[1].replace(/,/g, '') : '0',
-        retweets: retweetsMatch ? retweetsMatch[1].replace(/,/g, '') : '0',
-      };
-    });
-
-    await context.close();
+function pseudonymId(value) {
+  return redactHash(String(value).trim().replace(/^(@|u\/)/i, '').toLowerCase()).slice(0, 4);
+}
 
-    // Convert images to base64 for the card
-    const avatarUrl = data.avatar;
-    const avatarBase64 = await imageToBase64(avatarUrl);
-    const imagesBase64 = [];
-    for (const imgUrl of data.images.slice(0, 4)) {
-      const base64 = await imageToBase64(imgUrl);
-      if (base64) imagesBase64.push(base64);
+/**
+ * Copy of the post data with the chosen levels redacted (see REDACT_LEVELS)
+ * Data that already went through redaction (saved metadata) keeps its pseudonyms
+ */
+function redactPost(data, levels = []) {
+  const pending = data ? levels.filter(level => !(data.redacted || []).includes(level)) : [];
+  if (pending.length === 0) return data;
+  const has = level => pending.includes(level);
+
+  const redactMentions = text => (has('mentions') && typeof text === 'string'
+    ? text
+      .replace(/(^|[^\w@/])@([\w.-]*\w(?:@[\w.-]*\w)?)/g, (match, before, handle) => `${before}@user_${pseudonymId(handle)}`)
+      .replace(/(^|[^\w/])\/?u\/([\w-]+)/g, (match, before, handle) => `${before}u/user_${pseudonymId(handle)}`)
+    : text);
+
+  const redactAuthor = author => {
+    if (typeof author === 'string') {
+      return has('name') || has('handle') ? `User ${pseudonymId(author)}` : author;
     }
+    const id = pseudonymId(author.handle || author.name || '');
+    return {
+      ...author,
+      name: has('name') && author.name ? `User ${id}` : author.name,
+      title: has('name') ? undefined : author.title,
+      handle: has('handle') && author.handle ? `user_${id}` : author.handle,
+      avatar: has('avatar') ? null : author.avatar,
+      avatarUrl: has('avatar') ? undefined : author.avatarUrl,
+    };
+  };
 
-    // Upgrade image URLs to full resolution
-    const originalImageUrls = data.images.map(url => {
-      // Twitter image URLs can be upgraded to full resolution
-      // e.g., add ?format=jpg&name=4096x4096
-      if (url.includes('pbs.twimg.com/media')) {
-        const baseUrl = url.split('?')[0];
-        return `${baseUrl}?format=jpg&name=4096x4096`;
+  const walk = (value, key) => {
+    if (Array.isArray(value)) {
+      if (key === 'richText' && has('mentions')) {
+        // Mention links lose their profile URL; typed-out @names in plain text are caught too
+        return value.map(segment => (segment.type === 'mention' || segment.type === 'text'
+          ? { type: segment.type, text: redactMentions(segment.text) }
+          : segment));
       }
-      return url;
-    });
+      return value.map(item => walk(item, key));
+    }
+    if (typeof value === 'string') {
+      return ['content', 'text', 'bodyHtml'].includes(key) ? redactMentions(value) : value;
+    }
+    if (!value || typeof value !== 'object') return value;
+
+    const result = {};
+    for (const [childKey, child] of Object.entries(value)) {
+      if (childKey === 'author' && child) {
+        result.author = redactAuthor(child);
+      } else if (has('metrics') && childKey === 'metrics') {
+        result.metrics = {};
+      } else if (has('metrics') && ['score', 'awards', 'reactions'].includes(childKey)) {
+        result[childKey] = Array.isArray(child) ? [] : typeof child === 'string' ? '' : null;
+      } else if (has('name') && childKey === 'authorFlair') {
+        result.authorFlair = undefined;
+      } else {
+        result[childKey] = walk(child, childKey);
+      }
+    }
+    return result;
+  };
 
-    return {
-      platform: 'twitter',
-      author: {
-        name: data.authorName,
-        handle: data.authorHandle,
-        avatar: avatarBase64,
-        avatarUrl: avatarUrl,
-        verified: false, // Can't easily detect from embed
-      },
-      content: data.text,
-      images: imagesBase64,
-      originalImageUrls: originalImageUrls, // Full resolution URLs for download
-      timestamp: data.timestamp,
-      metrics: {
-        replies: 0,
-        retweets: parseInt(data.retweets) || 0,
-        likes: parseInt(data.likes) || 0,
-        views: null,
-      },
-      url: url,
-    };
-  } catch (e) {
-    await context.close();
-    throw new Error(`Could not fetch tweet: ${e.message}`);
-  }
+  return { ...walk(data), redacted: [...(data.redacted || []), ...pending] };
 }
 
 /**
- * Twitter Thread Scraper - Fetches full conversation context
- * Returns an array of tweets: [parent tweets..., main tweet, replies...]
+ * Redact the metadata payload too: every source URL (post links, avatar, media and icon URLs,
+ * which can carry user ids like Bluesky's DIDs) is hashed, metrics left out, and the levels recorded
  */
-async function scrapeTwitterThread(url) {
-  const match = url.match(/status\/(\d+)/);
-  if (!match) throw new Error('Invalid Twitter URL');
-
-  const tweetId = match[1];
-
-  const browser = await getBrowser();
-  const context = await browser.newContext({
-    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-  });
-  const page = await context.newPage();
+function redactMetadata(payload, levels = []) {
+  if (levels.length === 0) return payload;
+
+  const isUrlKey = key => /(^u|U)rls?$/.test(key);
+  const hashUrl = value => (typeof value === 'string' && value ? `sha256:${redactHash(value).slice(0, 16)}` : value);
+  const hashUrls = value => {
+    if (Array.isArray(value)) return value.map(hashUrls);
+    if (!value || typeof value !== 'object') return value;
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => {
+      if (isUrlKey(key)) return [key, Array.isArray(child) ? child.map(hashUrl) : hashUrl(child)];
+      return [key, hashUrls(child)];
+    }));
+  };
 
-  try {
-    // Load the conversation view which shows thread context
-    const embedUrl = `https://platform.twitter.com/embed/Tweet.html?id=${tweetId}&theme=dark&conversation=all`;
-    await page.goto(embedUrl, { waitUntil: 'networkidle', timeout: 30000 });
-
-    // Wait for content
-    await page.waitForSelector('article, [data-testid="tweet"]', { timeout: 10000 }).catch(() => {});
-    await new Promise(resolve => setTimeout(resolve, 3000));
-
-    // Extract all tweets in the conversation
-    const tweets = await page.evaluate(() => {
-      const results = [];
-
-      // Find all tweet containers
-      const tweetElements = document.querySelectorAll('article, [data-tweet-id], .timeline-Tweet');
-
-      tweetElements.forEach((tweetEl, index) => {
-        const text = tweetEl.querySelector('[data-testid="tweetText"], .Tweet-text, [lang]')?.innerText || '';
-        const authorName = tweetEl.querySelector('[data-testid="User-Name"] a, .TweetAuthor-name, a[role="link"]')?.innerText?.split('\n')[0] || 'Unknown';
-        const authorHandle = tweetEl.querySelector('a[href*="/"]')?.href?.match(/(?:twitter|x)\.com\/(\w+)/)?.[1] || 'unknown';
-        const avatar = tweetEl.querySelector('img[src*="profile_images"]')?.src || '';
-        const timestamp = tweetEl.querySelector('time')?.getAttribute('datetime') || '';
-
-        // Find images in this tweet
-        const images = [];
-        tweetEl.querySelectorAll('img[src*="pbs.twimg.com/media"]').forEach(img => {
-          if (img.src) images.push(img.src);
-        });
+  const hidesPeople = ['name', 'handle', 'avatar'].some(level => levels.includes(level));
+  const redacted = hidesPeople ? hashUrls(payload) : { ...payload };
+  if (levels.includes('metrics')) delete redacted.metrics;
+  redacted.redacted = [...new Set([...(payload.redacted || []), ...levels])];
+  return redacted;
+}
 
-        if (text || images.length > 0) {
-          results.push({
-            text,
-            authorName,
-            authorHandle,
-            avatar,
-            images,
-            timestamp,
-            isMainTweet: index === 0 // First one is usually the main tweet
-          });
+/**
+ * Blur metric rows on a card, so the emptied counts don't read as real zeros
+ */
+function redactCss(levels = []) {
+  if (!levels.includes('metrics')) return '';
+  return `
+        .metrics, .metric, .actions, .like, .score, .comment-score, .comments,
+        .subtext, .reactions, .reaction, .awards {
+          filter: blur(5px);
         }
-      });
-
-      return results;
-    });
-
-    await context.close();
+  `;
+}
 
-    if (tweets.length === 0) {
-      throw new Error('No tweets found in thread');
+/**
+ * Remove embedded metadata (EXIF, XMP, IPTC, text chunks) from a saved JPEG, PNG or WebP,
+ * which can carry GPS positions, device and owner names
+ */
+function stripImageMetadata(filepath) {
+  const buffer = fs.readFileSync(filepath);
+  const parts = [];
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    // JPEG: drop APP1 (EXIF/XMP), APP13 (IPTC) and comment segments up to the image data
+    parts.push(buffer.subarray(0, 2));
+    let offset = 2;
+    while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+      const marker = buffer[offset + 1];
+      if (marker === 0xda) break;
+      const length = buffer.readUInt16BE(offset + 2);
+      if (![0xe1, 0xed, 0xfe].includes(marker)) parts.push(buffer.subarray(offset, offset + 2 + length));
+      offset += 2 + length;
     }
+    parts.push(buffer.subarray(offset));
+  } else if (buffer.subarray(1, 4).toString('latin1') === 'PNG') {
+    parts.push(buffer.subarray(0, 8));
+    let offset = 8;
+    while (offset + 12 <= buffer.length) {
+      const length = buffer.readUInt32BE(offset);
+      const type = buffer.subarray(offset + 4, offset + 8).toString('latin1');
+      if (!['tEXt', 'iTXt', 'zTXt', 'eXIf'].includes(type)) parts.push(buffer.subarray(offset, offset + 12 + length));
+      offset += 12 + length;
+    }
+  } else if (buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP') {
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+      const length = buffer.readUInt32LE(offset + 4);
+      const type = buffer.subarray(offset, offset + 4).toString('latin1');
+      const chunk = Buffer.from(buffer.subarray(offset, offset + 8 + length + (length % 2)));
+      if (type === 'VP8X') chunk[8] &= ~0x0c; // EXIF and XMP flags
+      if (type !== 'EXIF' && type !== 'XMP ') parts.push(chunk);
+      offset += 8 + length + (length % 2);
+    }
+    const body = Buffer.concat(parts);
+    const header = Buffer.from('RIFF0000WEBP', 'latin1');
+    header.writeUInt32LE(body.length + 4, 4);
+    parts.splice(0, parts.length, header, body);
+  } else {
+    return;
+  }
 
-    // Convert to our format with base64 images
-    const formattedTweets = [];
-    for (const tweet of tweets) {
-      const avatarBase64 = await imageToBase64(tweet.avatar);
-      const imagesBase64 = [];
-      const originalImageUrls = [];
-
-      for (const imgUrl of tweet.images.slice(0, 4)) {
-        const base64 = await imageToBase64(imgUrl);
-        if (base64) imagesBase64.push(base64);
-
-        // Upgrade to full resolution
-        if (imgUrl.includes('pbs.twimg.com/media')) {
-          const baseUrl = imgUrl.split('?')[0];
-          originalImageUrls.push(`${baseUrl}?format=jpg&name=4096x4096`);
-        } else {
-          originalImageUrls.push(imgUrl);
-        }
-      }
-
-      formattedTweets.push({
-        platform: 'twitter',
-        author: {
-          name: tweet.authorName,
-          handle: tweet.authorHandle,
-          avatar: avatarBase64,
-          avatarUrl: tweet.avatar,
-          verified: false,
-        },
-        content: tweet.text,
-        images: imagesBase64,
-        originalImageUrls,
-        timestamp: tweet.timestamp,
-        isMainTweet: tweet.isMainTweet,
-      });
+  fs.writeFileSync(filepath, Buffer.concat(parts));
+}
+
+// ============================================================================
+// RICH TEXT
+// ============================================================================
+
+/**
+ * Build rich text from Mastodon-style status HTML (<p>, <br>, mention/hashtag links)
+ */
+function richTextFromHtml(html) {
+  if (!html) return [];
+
+  const $ = cheerio.load(`<div id="rich-root">${html}</div>`);
+  const segments = [];
+  const pushText = text => {
+    if (!text) return;
+    const last = segments[segments.length - 1];
+    if (last && last.type === 'text') {
+      last.text += text;
+    } else {
+      segments.push({ type: 'text', text });
     }
+  };
 
-    return {
-      platform: 'twitter-thread',
-      tweets: formattedTweets,
-      url: url,
-    };
+  const walk = node => {
+    node.contents().each((i, el) => {
+      if (el.type === 'text') {
+        pushText($(el).text().replace(/\s+/g, ' '));
+      } else if (el.tagName === 'br') {
+        pushText('\n');
+      } else if (el.tagName === 'p') {
+        if (segments.length > 0) pushText('\n\n');
+        walk($(el));
+      } else if (el.tagName === 'a') {
+        const link = $(el);
+        const href = link.attr('href') || '';
+        const classes = link.attr('class') || '';
+        const text = link.text();
+        if (classes.includes('hashtag') || link.attr('rel') === 'tag' || text.startsWith('#')) {
+          segments.push({ type: 'hashtag', text, href });
+        } else if (classes.includes('mention') || text.startsWith('@')) {
+          segments.push({ type: 'mention', text, href });
+        } else {
+          // Mastodon hides part of long URLs in spans; shorten from the real href instead
+          segments.push({ type: 'link', text: href || text, href });
+        }
+      } else {
+        walk($(el));
+      }
+    });
+  };
+  walk($('#rich-root'));
 
-  } catch (e) {
-    await context.close();
-    throw new Error(`Could not fetch thread: ${e.message}`);
+  // Trim leading/trailing whitespace around the whole body
+  if (segments.length > 0 && segments[0].type === 'text') {
+    segments[0].text = segments[0].text.replace(/^\s+/, '');
   }
+  const last = segments[segments.length - 1];
+  if (last && last.type === 'text') {
+    last.text = last.text.replace(/\s+$/, '');
+  }
+  return segments.filter(segment => segment.text);
 }
 
 /**
- * MacRumors Forum Scraper
+ * Build rich text from plain text (Misskey MFM and similar): links, @mentions and #hashtags
+ * Mentions and hashtags link to `instance`
  */
-async function scrapeMacrumors(url) {
-  const html = await fetchHTML(url);
-  const $ = cheerio.load(html);
+function richTextFromPlain(text, instance) {
+  if (!text) return [];
+
+  const segments = [];
+  const pattern = /(https?:\/\/[^\s<>()]+)|(@[\w-]+(?:@[\w.-]+\w)?)|(#[^\s#.,!?:;"'()[\]]+)/g;
+  let cursor = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    // Mentions and hashtags only count at a word start (not e.g. email addresses)
+    if (!match[1] && match.index > 0 && /\w/.test(text[match.index - 1])) continue;
+    if (match.index > cursor) {
+      segments.push({ type: 'text', text: text.slice(cursor, match.index) });
+    }
+    // Sentence punctuation after a URL isn't part of it
+    const token = match[1] ? match[0].replace(/[.,!?;:]+$/, '') : match[0];
+    if (match[1]) {
+      segments.push({ type: 'link', text: token, href: token });
+    } else if (match[2]) {
+      segments.push({ type: 'mention', text: token, href: `https://${instance}/${token}` });
+    } else {
+      segments.push({ type: 'hashtag', text: token, href: `https://${instance}/tags/${encodeURIComponent(token.slice(1))}` });
+    }
+    cursor = match.index + token.length;
+  }
 
-  // Find the specific post
-  let postId = null;
-  const postMatch = url.match(/post-(\d+)|#post-(\d+)|post=(\d+)/);
-  if (postMatch) {
-    postId = postMatch[1] || postMatch[2] || postMatch[3];
+  if (cursor < text.length) {
+    segments.push({ type: 'text', text: text.slice(cursor) });
   }
+  return segments;
+}
+
+/**
+ * Plain text version of rich text (for metadata `content`)
+ */
+function richTextToPlain(segments) {
+  return (segments || []).map(segment => segment.text).join('');
+}
+
+/**
+ * Shorten a URL for display like the apps do: no scheme or www, ellipsis after 30 chars
+ * Custom link text (not a URL) is left alone
+ */
+function shortenUrl(text) {
+  if (!/^(https?:\/\/|www\.)/i.test(text) && !/^[\w-]+(\.[\w-]+)+\//.test(text)) return text;
+  const short = text.replace(/^https?:\/\//i, '').replace(/^www\./i, '').replace(/\/$/, '');
+  return short.length > 30 ? `${short.slice(0, 30)}…` : short;
+}
 
-  // Select the post element
-  let postEl;
-  if (postId) {
-    postEl = $(`#post-${postId}, [data-content="post-${postId}"]`).first();
+/**
+ * Render rich text segments to HTML; falls back to escaped plain text
+ * Templates colour `.rt` spans with the platform's link colour
+ * With an `excerpt` (see excerptOptions) the text is cut to fit and highlighted passages marked
+ */
+function renderRichText(segments, fallbackText, excerpt = null) {
+  if (!segments || segments.length === 0) {
+    if (!excerpt) return escapeHtml(fallbackText);
+    segments = fallbackText ? [{ type: 'text', text: fallbackText }] : [];
   }
-  if (!postEl || postEl.length === 0) {
-    postEl = $('.message-body').first().closest('.message');
+  if (!excerpt) excerpt = {};
+
+  // Mentions and links are never cut in half; the excerpt stops before them instead
+  const text = richTextToPlain(segments);
+  const atomic = [];
+  let offset = 0;
+  for (const segment of segments) {
+    if (segment.type !== 'text') atomic.push({ start: offset, end: offset + segment.text.length });
+    offset += segment.text.length;
   }
+  const range = excerptRange(text, excerpt, atomic);
+  const marks = passageRanges(text, excerpt.highlights);
+  const style = { mark: `hl hl-${excerpt.highlightStyle || 'marker'}`, dim: Boolean(excerpt.dim) && marks.length > 0 };
+
+  offset = 0;
+  const html = segments.map(segment => {
+    const from = offset;
+    offset += segment.text.length;
+    const start = Math.max(from, range.start);
+    const end = Math.min(offset, range.end);
+    if (start >= end) return '';
+    if (segment.type === 'text') return highlightText(segment.text.slice(start - from, end - from), start, marks, style);
+
+    const shown = segment.type === 'link' ? shortenUrl(segment.text) : segment.text;
+    if (marks.some(mark => mark.start < offset && mark.end > from)) {
+      return `<mark class="${style.mark}"><span class="rt rt-${segment.type}">${escapeHtml(shown)}</span></mark>`;
+    }
+    return `<span class="rt rt-${segment.type}${style.dim ? ' hl-dim' : ''}">${escapeHtml(shown)}</span>`;
+  }).join('');
 
-  // Extract data
-  const authorEl = postEl.find('.message-userDetails');
-  const contentEl = postEl.find('.message-body .bbWrapper');
+  const clipped = range.end < text.length;
+  return [
+    range.start > 0 ? '… ' : '',
+    html,
+    clipped ? (range.sentence ? ' …' : '…') : '',
+    clipped && excerpt.readMore ? ' <span class="read-more">Read more</span>' : '',
+  ].join('');
+}
 
-  const authorName = postEl.find('.message-name').text().trim() ||
-                     authorEl.find('.username').text().trim() || 'Unknown';
-  const authorTitle = postEl.find('.userTitle').text().trim() || 'member';
-  const postNumber = postEl.find('.message-attribution-opposite').text().trim().replace('#', '') || '';
-  const timestamp = postEl.find('.message-attribution time').attr('datetime') ||
-                    postEl.find('time').attr('datetime') || '';
+// ============================================================================
+// EXCERPTS
+// ============================================================================
+// Scrapers keep the whole post text; cards cut it down when they're drawn, so
+// `render` can re-excerpt saved metadata. Cuts land on a sentence end when one
+// is close to the limit, else between words, and never inside an emoji.
 
-  // Get avatar
-  const avatarUrlRaw = postEl.find('.message-avatar img').attr('src') || '';
-  const avatarUrl = avatarUrlRaw.startsWith('//') ? 'https:' + avatarUrlRaw : avatarUrlRaw;
-  const avatarBase64 = await imageToBase64(avatarUrl);
+/**
+ * Excerpt settings for a template: --excerpt, --excerpt-lines and --full-text,
+ * falling back to the template's own character limit (if it has one),
+ * plus the passages to highlight (--passage and the URL's own `highlight=` spans)
+ */
+function excerptOptions(options = {}, defaultChars = null) {
+  return {
+    maxChars: options.fullText ? null : options.excerptChars || defaultChars,
+    maxLines: options.fullText ? null : options.excerptLines || null,
+    lineChars: Math.floor(cardWidth(options) / EXCERPT_GLYPH_PX),
+    readMore: Boolean(options.readMore),
+    highlights: [options.passage, ...(options.highlights || [])].filter(Boolean),
+    highlightStyle: HIGHLIGHT_STYLES.includes(options.highlightStyle) ? options.highlightStyle : 'marker',
+    dim: Boolean(options.dim),
+  };
+}
 
-  // Get post content (text only, clean up)
-  let content = contentEl.clone();
-  content.find('blockquote, .bbCodeBlock').remove(); // Remove quotes
-  const text = content.text().trim().slice(0, 500);
+/**
+ * Excerpt settings for text shown around the post (parent comments in a chain):
+ * cut like the post, but highlights and dimming stay on the post itself
+ */
+function contextExcerptOptions(options = {}) {
+  return { ...excerptOptions(options), highlights: [], dim: false };
+}
 
-  // Get any images in the post
-  const images = [];
-  contentEl.find('img').each((i, el) => {
-    const src = $(el).attr('src');
-    if (src && !src.includes('smilies') && !src.includes('emoji')) {
-      images.push(src.startsWith('//') ? 'https:' + src : src);
-    }
-  });
+/**
+ * Offsets (UTF-16) of each grapheme in `text`, plus text.length at the end
+ */
+function graphemeOffsets(text) {
+  const offsets = Array.from(new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(text), part => part.index);
+  offsets.push(text.length);
+  return offsets;
+}
 
-  const imagesBase64 = [];
-  for (const imgUrl of images.slice(0, 4)) { // Max 4 images
-    const base64 = await imageToBase64(imgUrl);
-    if (base64) imagesBase64.push(base64);
+/**
+ * How many graphemes from `start` fit in `maxLines` lines of about `lineChars` characters
+ * Each paragraph starts a new line
+ */
+function lineBudget(text, start, maxLines, lineChars) {
+  let budget = 0;
+  let lines = 0;
+  for (const line of text.slice(start).split('\n')) {
+    const length = graphemeOffsets(line).length - 1;
+    const needed = Math.max(1, Math.ceil(length / lineChars));
+    if (lines + needed > maxLines) return budget + (maxLines - lines) * lineChars;
+    lines += needed;
+    budget += length + 1;
   }
+  return Infinity;
+}
 
-  // Get reactions/likes
-  const reactions = postEl.find('.reactionsBar-link').text().trim();
+/**
+ * The part of `text` to show: { start, end, sentence } in UTF-16 offsets
+ * `sentence` is true when the cut falls at the end of a sentence
+ * If the first highlighted passage would be cut off, the excerpt starts at its sentence instead
+ */
+function excerptRange(text, excerpt = {}, atomic = []) {
+  const full = { start: 0, end: text.length, sentence: false };
+  const { maxChars, maxLines, lineChars = Math.floor(CARD_WIDTH / EXCERPT_GLYPH_PX) } = excerpt;
+  if (!maxChars && !maxLines) return full;
+
+  const budgetFrom = start => Math.min(
+    maxChars || Infinity,
+    maxLines ? lineBudget(text, start, maxLines, lineChars) : Infinity,
+  );
+  const sentences = Array.from(new Intl.Segmenter(undefined, { granularity: 'sentence' }).segment(text));
+
+  let start = 0;
+  let graphemes = graphemeOffsets(text);
+  const passage = passageRanges(text, excerpt.highlights)[0];
+  if (passage && passage.end > (graphemes[budgetFrom(0)] ?? text.length)) {
+    start = sentences.filter(part => part.index <= passage.start).pop().index;
+    graphemes = graphemeOffsets(text.slice(start)).map(index => index + start);
+  }
 
-  return {
-    platform: 'macrumors',
-    author: {
-      name: authorName,
-      title: authorTitle,
-      avatar: avatarBase64,
-      avatarUrl: avatarUrl,
-    },
-    content: text,
-    images: imagesBase64,
-    originalImageUrls: images, // Original URLs for download
-    postNumber: postNumber,
-    timestamp: timestamp,
-    reactions: reactions,
-    url: url,
-  };
+  const budget = budgetFrom(start);
+  if (graphemes.length - 1 <= budget) return { ...full, start };
+  let hard = graphemes[budget];
+  const inside = atomic.find(span => span.start < hard && span.end > hard);
+  if (inside && inside.start > start) hard = inside.start;
+
+  // Sentence end near the limit, else the last word boundary, else the grapheme limit
+  const trimmed = end => start + text.slice(start, end).trimEnd().length;
+  const sentenceEnd = sentences
+    .map(part => trimmed(part.index + part.segment.length))
+    .filter(end => end > start && end <= hard)
+    .pop();
+  if (sentenceEnd && sentenceEnd - start >= (hard - start) * 0.6) {
+    // Paragraph breaks count as sentence ends too, but only real ones keep the stop before the ellipsis
+    return { start, end: sentenceEnd, sentence: /[.!?…。！？]["'”’)\]]*$/.test(text.slice(start, sentenceEnd)) };
+  }
+
+  const wordEnd = Array.from(new Intl.Segmenter(undefined, { granularity: 'word' }).segment(text.slice(start, hard)))
+    .filter(part => part.isWordLike)
+    .map(part => start + part.index + part.segment.length)
+    .filter(end => end < hard || !/[\p{L}\p{N}]/u.test(text[hard] || ''))
+    .pop();
+  const end = wordEnd && wordEnd - start >= (hard - start) * 0.5 ? wordEnd : hard;
+  return { start, end: start + text.slice(start, end).replace(/[\s,;:(\[{\-–—]+$/, '').length, sentence: false };
 }
 
 /**
- * Bluesky Scraper - Uses public API
+ * Every place the highlighted passages occur in `text` (case and spacing are ignored),
+ * sorted, with overlapping matches merged
  */
-async function scrapeBluesky(url) {
-  // Extract handle and post ID from URL
-  // Format: https://bsky.app/profile/handle/post/postid
-  const match = url.match(/profile\/([^\/]+)\/post\/([^\/\?]+)/);
-  if (!match) throw new Error('Invalid Bluesky URL');
+function passageRanges(text, passages = []) {
+  const ranges = [];
+  for (const passage of passages) {
+    if (!passage || !passage.trim()) continue;
+    const pattern = passage.trim().split(/\s+/).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s+');
+    for (const match of text.matchAll(new RegExp(pattern, 'giu'))) {
+      ranges.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
 
-  const handle = match[1];
-  const postId = match[2];
+  return ranges
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range.start <= last.end) {
+        last.end = Math.max(last.end, range.end);
+      } else {
+        merged.push({ ...range });
+      }
+      return merged;
+    }, []);
+}
 
-  // Resolve the handle to get the DID
-  const resolveUrl = `https://public.api.bsky.app/xrpc/com.atproto.identity.resolveHandle?handle=${handle}`;
+/**
+ * Escape a piece of text that starts at `offset`, wrapping the parts inside `marks` in <mark>
+ * With `style.dim`, the rest is wrapped in a dimmed span
+ */
+function highlightText(text, offset, marks, style = {}) {
+  const plain = piece => (piece && style.dim ? `<span class="hl-dim">${escapeHtml(piece)}</span>` : escapeHtml(piece));
+  let html = '';
+  let cursor = 0;
+  for (const mark of marks) {
+    const start = Math.max(mark.start - offset, cursor);
+    const end = Math.min(mark.end - offset, text.length);
+    if (start >= end) continue;
+    html += `${plain(text.slice(cursor, start))}<mark class="${style.mark || 'hl hl-marker'}">${escapeHtml(text.slice(start, end))}</mark>`;
+    cursor = end;
+  }
+  return html + plain(text.slice(cursor));
+}
 
-  try {
-    // For bridged accounts, we need to handle them differently
-    let did;
-    if (handle.includes('.ap.brid.gy')) {
-      // This is a bridged Mastodon account - try to get the post anyway
-      const apiUrl = `https://public.api.bsky.app/xrpc/app.bsky.feed.getPostThread?uri=at://${handle}/app.bsky.feed.post/${postId}&depth=0`;
-      try {
-        const threadData = await fetchJSON(apiUrl);
-        const post = threadData.thread?.post;
-        if (post) {
-          return await formatBlueskyPost(post, url);
+/**
+ * Styles for highlighted passages (marker, underline or bold), dimmed text
+ * and the "Read more" marker, shared by every template
+ */
+function excerptCss() {
+  return `
+        mark.hl {
+          background: none;
+          color: inherit;
+          box-decoration-break: clone;
+          -webkit-box-decoration-break: clone;
+        }
+        mark.hl-marker {
+          background: rgba(255, 204, 0, 0.42);
+          border-radius: 3px;
+          padding: 0 2px;
+        }
+        mark.hl-underline {
+          text-decoration: underline;
+          text-decoration-color: rgba(255, 170, 0, 0.9);
+          text-decoration-thickness: 3px;
+          text-underline-offset: 3px;
+        }
+        mark.hl-bold {
+          font-weight: 700;
         }
-      } catch (e) {
-        // Fall through to other methods
-      }
-    }
-
-    const resolveData = await fetchJSON(resolveUrl);
-    did = resolveData.did;
+        .hl-dim {
+          opacity: 0.4;
+        }
+        .read-more {
+          font-weight: 600;
+          opacity: 0.6;
+          white-space: nowrap;
+        }
+  `;
+}
 
-    // Fetch the post
-    const postUri = `at://${did}/app.bsky.feed.post/${postId}`;
-    const threadUrl = `https://public.api.bsky.app/xrpc/app.bsky.feed.getPostThread?uri=${encodeURIComponent(postUri)}&depth=0`;
-    const threadData = await fetchJSON(threadUrl);
+// ============================================================================
+// URL NORMALISATION
+// ============================================================================
 
-    const post = threadData.thread?.post;
-    if (!post) throw new Error('Post not found');
+// Share/tracking query parameters that never change which page you get
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|igshid|igsh|mc_cid|mc_eid|ref|ref_src|ref_url|si|share_id)$/i;
 
-    return await formatBlueskyPost(post, url);
+/**
+ * Canonical form of a post URL, so the same post is only captured (and cached) once
+ * e.g. https://twitter.com/User/status/1?s=46 -> https://x.com/user/status/1
+ */
+function canonicalUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
   } catch (e) {
-    throw new Error(`Could not fetch Bluesky post: ${e.message}`);
+    return url.trim();
   }
-}
 
-async function formatBlueskyPost(post, url) {
-  // Get avatar
-  const avatarUrl = post.author?.avatar || '';
-  const avatarBase64 = await imageToBase64(avatarUrl);
+  const hash = parsed.hash;
+  parsed.hash = '';
+  const host = parsed.hostname.replace(/^(www|m|mobile)\./, '');
+  const pathname = parsed.pathname.replace(/\/+$/, '');
 
-  // Get embedded images
-  const images = [];
-  if (post.embed?.images) {
-    for (const img of post.embed.images) {
-      images.push(img.fullsize || img.thumb);
-    }
+  // Known platforms: one host, and only the path identifies the post
+  if (host === 'x.com' || host === 'twitter.com') {
+    const status = pathname.match(/^\/(\w+)\/status(?:es)?\/(\d+)/);
+    if (status) return `https://x.com/${status[1].toLowerCase()}/status/${status[2]}`;
   }
-  // Also check for external embeds with thumbnails
-  if (post.embed?.external?.thumb) {
-    images.push(post.embed.external.thumb);
+  if (host === 'youtu.be' || host === 'youtube.com') {
+    const videoId = extractYouTubeId(parsed.toString());
+    if (videoId) return `https://www.youtube.com/watch?v=${videoId}`;
   }
-
-  const imagesBase64 = [];
-  for (const imgUrl of images) {
-    const base64 = await imageToBase64(imgUrl);
-    if (base64) imagesBase64.push(base64);
+  if (host === 'bsky.app') {
+    const post = pathname.match(/^\/profile\/([^/]+)\/post\/([^/]+)/);
+    if (post) return `https://bsky.app/profile/${post[1].toLowerCase()}/post/${post[2]}`;
+  }
+  if (host === 'threads.net' || host === 'threads.com') {
+    return `https://www.threads.net${pathname}`;
+  }
+  if (host === 'tiktok.com') {
+    return `https://www.tiktok.com${pathname}`;
+  }
+  if (host === 'reddit.com' || host.endsWith('.reddit.com')) {
+    // old./new./np. hosts, slugs and the /comment/<id> form all name the same post or comment
+    const post = pathname.match(/\/comments\/([a-z0-9]+)(?:\/[^/]+\/([a-z0-9]+))?/i);
+    if (post) return `https://www.reddit.com/comments/${post[1].toLowerCase()}${post[2] ? `/_/${post[2].toLowerCase()}` : ''}`;
+  }
+  if (host === 'news.ycombinator.com') {
+    const id = parsed.searchParams.get('id');
+    if (id) return `https://news.ycombinator.com/item?id=${id}`;
+  }
+  if (host === 'github.com') {
+    // Comment anchors name the card, so they stay
+    const item = pathname.match(/^\/([^/]+)\/([^/]+)\/(issues|pull|discussions)\/(\d+)/);
+    const anchor = hash.match(/^#(issuecomment-\d+|discussion_r\d+|discussioncomment-\d+)$/)?.[0] || '';
+    if (item) return `https://github.com/${item[1].toLowerCase()}/${item[2].toLowerCase()}/${item[3]}/${item[4]}${anchor}`;
+  }
+  const forum = forumSoftwareFor(parsed.toString());
+  if (forum === 'xenforo') {
+    // The post can be named in the path, the hash or ?post=; XenForo resolves /threads/<thread>/post-<id>
+    const thread = pathname.match(/^(.*?\/threads\/[^/]+)/)?.[1];
+    const postId = `${pathname}${hash}?${parsed.search}`.match(/post[-=](\d+)/)?.[1];
+    if (thread && postId) return `${parsed.origin}${thread}/post-${postId}`;
+    return `${parsed.origin}${pathname}`;
+  }
+  if (forum === 'discourse') {
+    // Share links add ?u=<user>; post 1 is the topic itself
+    return `${parsed.origin}${pathname.replace(/(\/t\/[^/]+\/\d+)\/1$/, '$1')}`;
   }
 
-  return {
-    platform: 'bluesky',
-    author: {
-      name: post.author?.displayName || post.author?.handle || 'Unknown',
-      handle: post.author?.handle || 'unknown',
-      avatar: avatarBase64,
-      avatarUrl: avatarUrl,
-    },
-    content: post.record?.text || '',
-    images: imagesBase64,
-    originalImageUrls: images, // Original URLs for download
-    timestamp: post.record?.createdAt || post.indexedAt,
-    metrics: {
-      replies: post.replyCount || 0,
-      reposts: post.repostCount || 0,
-      likes: post.likeCount || 0,
-    },
-    url: url,
-  };
+  // Everything else keeps its query, minus tracking parameters
+  Array.from(parsed.searchParams.keys())
+    .filter(key => TRACKING_PARAMS.test(key))
+    .forEach(key => parsed.searchParams.delete(key));
+  parsed.pathname = pathname || '/';
+  return parsed.toString().replace(/\/$/, '').replace(/\/\?/, '?');
 }
 
 /**
- * Mastodon Scraper
+ * Canonicalise parseUrlList entries and drop repeats (within a group for compose groups)
+ * Returns the entries to process and what was merged, for the summary
  */
-async function scrapeMastodon(url) {
-  // Parse the URL to get instance and post ID
-  const urlObj = new URL(url);
-  const instance = urlObj.hostname;
+function normalizeUrls(entries) {
+  const merged = [];
+  const dedupe = (urls, seen) => urls.reduce((kept, url) => {
+    const canonical = canonicalUrl(url);
+    if (seen.has(canonical)) {
+      merged.push({ url, canonical });
+    } else {
+      seen.add(canonical);
+      kept.push(canonical);
+    }
+    return kept;
+  }, []);
 
-  // Extract post ID from path like /@username/123456
-  const match = urlObj.pathname.match(/\/@[\w]+\/(\d+)/);
-  if (!match) throw new Error('Invalid Mastodon URL');
+  const seen = new Set();
+  const normalized = entries.flatMap(entry => (typeof entry === 'string'
+    ? dedupe([entry], seen)
+    : [{ ...entry, urls: dedupe(entry.urls, new Set()) }]));
 
-  const postId = match[1];
+  return { entries: normalized, merged };
+}
 
-  // Fetch from Mastodon API
-  const apiUrl = `https://${instance}/api/v1/statuses/${postId}`;
-  const data = await fetchJSON(apiUrl);
+/**
+ * Absolute http(s) URL for a redirect target, or null for anything else
+ * (malformed, javascript:, mailto:, ...), so a bad Location ends the chain
+ */
+function redirectUrl(target, base) {
+  try {
+    const next = new URL(target, base);
+    return ['http:', 'https:'].includes(next.protocol) ? next.toString() : null;
+  } catch (e) {
+    return null;
+  }
+}
 
-  // Get avatar
-  const avatarUrl = data.account?.avatar || '';
-  const avatarBase64 = await imageToBase64(avatarUrl);
+/**
+ * Follow one hop: an HTTP redirect or a <meta http-equiv="refresh"> page
+ * Resolves the next URL, or null when this URL is the destination
+ */
+function fetchRedirectTarget(url) {
+  return new Promise((resolve) => {
+    if (!redirectUrl(url)) {
+      resolve(null);
+      return;
+    }
+    const protocol = url.startsWith('https') ? https : http;
+    const options = {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        'Accept': 'text/html,application/xhtml+xml,*/*;q=0.8',
+      },
+      timeout: REQUEST_TIMEOUT_MS,
+    };
 
-  // Get media attachments
-  const images = [];
-  if (data.media_attachments) {
-    for (const media of data.media_attachments) {
-      if (media.type === 'image' || media.type === 'gifv') {
-        images.push(media.url || media.preview_url);
-      } else if (media.type === 'video') {
-        images.push(media.preview_url);
+    const req = protocol.get(url, options, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        resolve(redirectUrl(res.headers.location, url));
+        return;
       }
-    }
+      if (!/html/i.test(res.headers['content-type'] || '')) {
+        res.resume();
+        resolve(null);
+        return;
+      }
+
+      // Refresh tags live in <head>; don't read a whole article to find one
+      let body = '';
+      res.on('data', chunk => {
+        body += chunk;
+        if (body.length > 65536) res.destroy();
+      });
+      res.on('close', () => {
+        const $ = cheerio.load(body);
+        const refresh = $('meta').filter((i, el) => /^refresh$/i.test($(el).attr('http-equiv') || '')).attr('content') || '';
+        const target = refresh.match(/url\s*=\s*['"]?([^'"\s]+)/i)?.[1];
+        resolve(target ? redirectUrl(target, url) : null);
+      });
+      res.on('error', () => resolve(null));
+    });
+    req.on('timeout', () => req.destroy());
+    req.on('error', () => resolve(null));
+  });
+}
+
+/**
+ * Expand a short link by following redirects (up to MAX_REDIRECT_HOPS)
+ * Returns { url: final URL, hops: every URL visited after the first }; results are cached
+ */
+async function expandUrl(url, maxHops = MAX_REDIRECT_HOPS) {
+  const cached = readCache('redirects', url);
+  if (cached) return JSON.parse(cached);
+  if (cacheConfig.offline) return { url, hops: [] };
+
+  const hops = [];
+  let current = url;
+  while (hops.length < maxHops) {
+    // Landed on a supported post: no need to load it here
+    if (hops.length > 0 && detectPlatform(current) !== 'unknown') break;
+    const next = await fetchRedirectTarget(current);
+    if (!next || next === current || hops.includes(next)) break;
+    hops.push(next);
+    current = next;
   }
 
-  const imagesBase64 = [];
-  for (const imgUrl of images) {
-    const base64 = await imageToBase64(imgUrl);
-    if (base64) imagesBase64.push(base64);
+  const result = { url: current, hops };
+  writeCache('redirects', url, JSON.stringify(result));
+  return result;
+}
+
+/**
+ * Canonical URL to capture, expanding short links and unrecognised URLs first
+ * (an unknown link may redirect to a supported post)
+ */
+async function resolvePostUrl(inputUrl) {
+  const originalUrl = inputUrl.trim();
+  let url = canonicalUrl(originalUrl);
+  let finalUrl = originalUrl;
+
+  let host = '';
+  try {
+    host = new URL(url).hostname.replace(/^www\./, '');
+  } catch (e) {
+    return { url, originalUrl, finalUrl };
   }
 
-  // Strip HTML from content
-  const content = data.content?.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim() || '';
+  if (SHORTENER_HOSTS.includes(host) || detectPlatform(url) === 'unknown') {
+    const expanded = await expandUrl(url);
+    if (expanded.url !== url) {
+      finalUrl = expanded.url;
+      url = canonicalUrl(expanded.url);
+    }
+  }
 
-  return {
-    platform: 'mastodon',
-    instance: instance,
-    author: {
-      name: data.account?.display_name || data.account?.username || 'Unknown',
-      handle: `@${data.account?.username}@${instance}`,
-      avatar: avatarBase64,
-      avatarUrl: avatarUrl,
-    },
-    content: content,
-    images: imagesBase64,
-    originalImageUrls: images, // Original URLs for download
-    timestamp: data.created_at,
-    metrics: {
-      replies: data.replies_count || 0,
-      boosts: data.reblogs_count || 0,
-      favorites: data.favourites_count || 0,
-    },
-    url: url,
-  };
+  return { url, originalUrl, finalUrl };
 }
 
+// ============================================================================
+// PLATFORM REGISTRY
+// ============================================================================
+// Every platform is a plugin:
+//   name                 id used in filenames and metadata
+//   match(url)           true if this plugin handles the URL (first match wins)
+//   scrape(url, ctx)     card data; ctx = { options, helpers }
+//   render(data, opts)   standard card HTML
+//   renderBento(data, opts)   bento card HTML (optional, falls back to render)
+//   platforms            `data.platform` values it renders (optional, default [name])
+//   metadata(data, assetFiles)   extra fields for the saved metadata JSON (optional)
+//   restore(payload, localImage)   template fields rebuilt from those, images read with localImage(file) (optional)
+// Built-ins are the modules in platforms/ (see BUILT-IN PLATFORMS); more can be loaded with loadPlugins.
+
+const platformRegistry = [];
+
 /**
- * Threads Scraper
+ * Add a platform plugin; one with the same name replaces the existing one
+ * Plugins loaded later are matched first, so they can take over URLs from built-ins
  */
-async function scrapeThreads(url) {
-  // Threads doesn't have a public API, so we'll scrape the page
-  const html = await fetchHTML(url);
-  const $ = cheerio.load(html);
+function registerPlatform(plugin, { prepend = false } = {}) {
+  if (!plugin || typeof plugin.name !== 'string' || !plugin.name) {
+    throw new Error('Platform plugin needs a name');
+  }
+  ['match', 'scrape', 'render'].forEach(method => {
+    if (typeof plugin[method] !== 'function') {
+      throw new Error(`Platform plugin "${plugin.name}" needs a ${method}() function`);
+    }
+  });
 
-  // Try to extract data from meta tags and page content
-  const title = $('meta[property="og:title"]').attr('content') || '';
-  const description = $('meta[property="og:description"]').attr('content') || '';
-  const image = $('meta[property="og:image"]').attr('content') || '';
+  const existing = platformRegistry.findIndex(entry => entry.name === plugin.name);
+  if (existing !== -1) platformRegistry.splice(existing, 1);
+  if (prepend) {
+    platformRegistry.unshift(plugin);
+  } else {
+    platformRegistry.push(plugin);
+  }
+  return plugin;
+}
 
-  // Parse author from title (usually "Author on Threads")
-  const authorMatch = title.match(/^(.+?)\s+on\s+Threads/i);
-  const authorName = authorMatch ? authorMatch[1] : 'Unknown';
+function findPlatform(name) {
+  return platformRegistry.find(plugin => plugin.name === name) || null;
+}
 
-  const avatarBase64 = await imageToBase64(image);
+/**
+ * Plugin that renders cards for a given `data.platform`
+ */
+function findRenderer(dataPlatform) {
+  return platformRegistry.find(plugin => (plugin.platforms || [plugin.name]).includes(dataPlatform)) || null;
+}
 
+/**
+ * Shared building blocks handed to plugins (ctx.helpers, or the factory argument)
+ */
+function pluginHelpers() {
   return {
-    platform: 'threads',
-    author: {
-      name: authorName,
-      handle: authorName.toLowerCase().replace(/\s/g, ''),
-      avatar: avatarBase64,
-      avatarUrl: image,
-    },
-    content: description,
-    images: [],
-    originalImageUrls: [], // No images available from meta tags
-    timestamp: null,
-    metrics: {},
-    url: url,
+    cheerio,
+    getBrowser,
+    fetchHTML,
+    fetchJSON,
+    postJSON,
+    imageToBase64,
+    fetchNodeInfoSoftware,
+    forumSoftwareFor,
+    forumAssetUrl,
+    extractYouTubeId,
+    buildLinkCard,
+    cardImageWidth,
+    richTextFromHtml,
+    richTextFromPlain,
+    richTextToPlain,
+    renderRichText,
+    excerptOptions,
+    contextExcerptOptions,
+    excerptRange,
+    passageRanges,
+    highlightText,
+    excerptCss,
+    renderQuotedHtml,
+    renderLinkCardHtml,
+    linkCardCss,
+    quotedCardCss,
+    escapeHtml,
+    formatNumber,
+    formatRelativeTime,
+    themeTokens,
+    themeCss,
+    cardWidth,
+    fonts: { standard: FONT_STANDARD, video: FONT_VIDEO, bento: FONT_BENTO },
+    forumQuoteDepth: { standard: FORUM_QUOTE_DEPTH, max: FORUM_MAX_QUOTE_DEPTH },
   };
 }
 
 /**
- * Article/Newsletter Scraper
+ * Register what a plugin module exports: a plugin, an array of plugins, or a function(helpers) returning either
  */
-async function scrapeArticle(url) {
-  const html = await fetchHTML(url);
-  const $ = cheerio.load(html);
+function loadPluginModule(file, { prepend = false } = {}) {
+  let exported = require(file);
+  if (typeof exported === 'function') exported = exported(pluginHelpers());
+  return [].concat(exported).map(plugin => registerPlatform(plugin, { prepend }).name);
+}
 
-  const title = $('meta[property="og:title"]').attr('content') ||
-                $('title').text() || 'Article';
-  const description = $('meta[property="og:description"]').attr('content') ||
-                      $('meta[name="description"]').attr('content') || '';
-  const image = $('meta[property="og:image"]').attr('content') || '';
-  const siteName = $('meta[property="og:site_name"]').attr('content') ||
-                   new URL(url).hostname;
-  const favicon = $('link[rel="icon"]').attr('href') ||
-                  $('link[rel="shortcut icon"]').attr('href') || '';
+/**
+ * Load extra platform plugins: a directory of .js files, a single file, or an npm package name
+ */
+function loadPlugins(refs = [], baseDir = process.cwd()) {
+  const loaded = [];
+
+  for (const ref of refs) {
+    const local = path.resolve(baseDir, ref);
+    let files;
+    if (fs.existsSync(local) && fs.statSync(local).isDirectory()) {
+      files = fs.readdirSync(local).filter(name => name.endsWith('.js')).sort().map(name => path.join(local, name));
+    } else if (fs.existsSync(local)) {
+      files = [local];
+    } else {
+      // npm package, installed next to the config or next to this tool
+      files = [require.resolve(ref, { paths: [baseDir, __dirname] })];
+    }
 
-  const imageBase64 = await imageToBase64(image);
-  let faviconBase64 = null;
-  let faviconUrl = '';
-  if (favicon) {
-    faviconUrl = favicon.startsWith('http') ? favicon : new URL(favicon, url).href;
-    faviconBase64 = await imageToBase64(faviconUrl);
+    for (const file of files) {
+      loaded.push(...loadPluginModule(file, { prepend: true }));
+    }
   }
 
-  return {
-    platform: 'article',
-    siteName: siteName,
-    title: title,
-    description: description.slice(0, 300),
-    image: imageBase64,
-    imageUrl: image,
-    originalImageUrls: image ? [image] : [], // Original image URL for download
-    favicon: faviconBase64,
-    faviconUrl: faviconUrl,
-    url: url,
-  };
+  return loaded;
 }
 
 /**
- * YouTube Scraper (oEmbed + meta tag fallback)
+ * Read social-screenshot.config.json ({ "plugins": ["./plugins", "some-npm-plugin"] })
+ * Missing file = empty config; relative plugin paths are relative to the config file
  */
-async function scrapeYouTube(url) {
-  const videoId = extractYouTubeId(url);
-  let oembed = null;
+function loadConfig(configPath = path.resolve(DEFAULT_CONFIG_FILE)) {
+  if (!fs.existsSync(configPath)) return { plugins: [], baseDir: process.cwd() };
+
   try {
-    const oembedUrl = `https://www.youtube.com/oembed?url=${encodeURIComponent(url)}&format=json`;
-    oembed = await fetchJSON(oembedUrl);
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    return { ...config, plugins: config.plugins || [], baseDir: path.dirname(configPath) };
   } catch (e) {
-    oembed = null;
+    throw new Error(`Invalid config file: ${configPath}`);
   }
+}
 
-  let title = oembed?.title || '';
-  let authorName = oembed?.author_name || '';
-  let authorUrl = oembed?.author_url || '';
-  let thumbnailUrl = oembed?.thumbnail_url || '';
-  let description = '';
+// Forum hosts in use: FORUM_HOSTS plus the config file's `forums`
+const forumHosts = { xenforo: [...FORUM_HOSTS.xenforo], discourse: [...FORUM_HOSTS.discourse] };
 
-  if (!title || !thumbnailUrl || !description) {
-    try {
-      const html = await fetchHTML(url);
-      const $ = cheerio.load(html);
-      if (!title) {
-        title = $('meta[property="og:title"]').attr('content') || $('title').text() || 'YouTube';
-      }
-      if (!description) {
-        description = $('meta[name="description"]').attr('content') ||
-                      $('meta[property="og:description"]').attr('content') || '';
-      }
-      if (!thumbnailUrl) {
-        thumbnailUrl = $('meta[property="og:image"]').attr('content') || '';
-      }
-    } catch (e) {
-      // ignore
-    }
-  }
+/**
+ * Add forum hosts from the config file: { "xenforo": ["forums.example.com"], "discourse": [...] }
+ */
+function configureForums(forums = {}) {
+  Object.keys(forumHosts).forEach(software => {
+    (forums[software] || []).forEach(entry => {
+      const host = entry.toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/+$/, '');
+      if (!forumHosts[software].includes(host)) forumHosts[software].push(host);
+    });
+  });
+}
+
+// Host -> forum software recognised from page markup (see fetchForumSoftware), or null
+const detectedForums = new Map();
 
-  if (!thumbnailUrl && videoId) {
-    thumbnailUrl = `https://img.youtube.com/vi/${videoId}/maxresdefault.jpg`;
+/**
+ * Forum software a URL belongs to ('xenforo', 'discourse' or null): configured hosts first,
+ * then hosts whose markup gave them away, this run or an earlier one (the probe cache)
+ */
+function forumSoftwareFor(url) {
+  let host;
+  let target;
+  try {
+    const parsed = new URL(url);
+    host = parsed.hostname;
+    target = `${host.replace(/^www\./, '')}${parsed.pathname}`.toLowerCase();
+  } catch (e) {
+    return null;
   }
+  const configured = Object.keys(forumHosts).find(software => forumHosts[software]
+    .some(entry => target === entry || target.startsWith(`${entry}/`)));
+  if (configured) return configured;
 
-  const thumbnailBase64 = await imageToBase64(thumbnailUrl);
+  if (!detectedForums.has(host)) detectedForums.set(host, readProbeCache('forums', host) || null);
+  return detectedForums.get(host);
+}
 
-  return {
-    platform: 'youtube',
-    author: {
-      name: authorName || 'YouTube',
-      handle: authorUrl ? authorUrl.replace(/^https?:\/\//, '') : '',
-      avatar: null,
-      avatarUrl: '',
-    },
-    title: title || 'YouTube Video',
-    description: description.slice(0, 300),
-    thumbnail: thumbnailBase64,
-    thumbnailUrl: thumbnailUrl,
-    originalImageUrls: thumbnailUrl ? [thumbnailUrl] : [],
-    video: {
-      id: videoId,
-      url: url,
-      authorUrl: authorUrl,
-    },
-    url: url,
-  };
+/**
+ * Platform name for a URL ('unknown' if no plugin matches)
+ */
+function detectPlatform(url) {
+  const plugin = platformRegistry.find(entry => entry.match(url));
+  return plugin ? plugin.name : 'unknown';
 }
 
+// Host -> nodeinfo software name (or null), shared by parallel workers
+const nodeInfoRequests = new Map();
+
 /**
- * TikTok Scraper (oEmbed + meta tag fallback)
+ * Software name from a cached host probe, or undefined to probe again
+ * A miss (null) is only trusted for PROBE_MISS_TTL_HOURS, so a host that was down gets another try
  */
-async function scrapeTikTok(url) {
-  let oembed = null;
+function readProbeCache(kind, host) {
   try {
-    const oembedUrl = `https://www.tiktok.com/oembed?url=${encodeURIComponent(url)}`;
-    oembed = await fetchJSON(oembedUrl);
+    const entry = JSON.parse(readCache(kind, host));
+    if (entry.software) return entry.software;
+    const ageHours = (Date.now() - (entry.checkedAt || 0)) / 3600000;
+    return ageHours <= PROBE_MISS_TTL_HOURS || cacheConfig.offline ? null : undefined;
   } catch (e) {
-    oembed = null;
+    return undefined;
   }
+}
 
-  let title = oembed?.title || '';
-  let authorName = oembed?.author_name || '';
-  let authorUrl = oembed?.author_url || '';
-  let thumbnailUrl = oembed?.thumbnail_url || '';
-  let description = '';
+function writeProbeCache(kind, host, software) {
+  writeCache(kind, host, JSON.stringify({ software, checkedAt: Date.now() }));
+  return software;
+}
 
-  if (!title || !thumbnailUrl || !description) {
-    try {
-      const html = await fetchHTML(url);
-      const $ = cheerio.load(html);
-      if (!title) {
-        title = $('meta[property="og:title"]').attr('content') || $('title').text() || 'TikTok';
-      }
-      if (!description) {
-        description = $('meta[property="og:description"]').attr('content') ||
-                      $('meta[name="description"]').attr('content') || '';
+/**
+ * Server software of a fediverse host via /.well-known/nodeinfo, e.g. 'mastodon', 'akkoma', 'misskey'
+ * Resolves null for hosts that aren't fediverse servers; answers are cached per host
+ */
+function fetchNodeInfoSoftware(host) {
+  if (!nodeInfoRequests.has(host)) {
+    nodeInfoRequests.set(host, (async () => {
+      const cached = readProbeCache('nodeinfo', host);
+      if (cached !== undefined) return cached;
+      if (cacheConfig.offline) return null;
+
+      try {
+        const index = await fetchJSON(`https://${host}/.well-known/nodeinfo`);
+        // Prefer the newest schema the server offers
+        const link = (index.links || [])
+          .filter(entry => /nodeinfo/.test(entry.rel || '') && entry.href)
+          .sort((a, b) => b.rel.localeCompare(a.rel))[0];
+        if (!link) return writeProbeCache('nodeinfo', host, null);
+
+        const nodeInfo = await fetchJSON(link.href);
+        return writeProbeCache('nodeinfo', host, (nodeInfo.software?.name || '').toLowerCase() || null);
+      } catch (e) {
+        return writeProbeCache('nodeinfo', host, null);
       }
-      if (!thumbnailUrl) {
-        thumbnailUrl = $('meta[property="og:image"]').attr('content') || '';
+    })());
+  }
+  return nodeInfoRequests.get(host);
+}
+
+// Host -> forum software found in its page markup (or null), shared by parallel workers
+const forumMarkupRequests = new Map();
+
+/**
+ * Forum software of a page from its markup: XenForo tags <html id="XF">, Discourse
+ * sets <meta name="generator" content="Discourse ...">; answers are cached per host
+ */
+function fetchForumSoftware(url) {
+  const host = new URL(url).hostname;
+  if (!forumMarkupRequests.has(host)) {
+    forumMarkupRequests.set(host, (async () => {
+      const cached = readProbeCache('forums', host);
+      if (cached !== undefined) return cached;
+      if (cacheConfig.offline) return null;
+
+      try {
+        const $ = cheerio.load(await fetchHTML(url));
+        const generator = $('meta[name="generator"]').attr('content') || '';
+        let software = null;
+        if (/^(XF|XenForo)$/.test($('html').attr('id') || '') || $('html').attr('data-xf')) {
+          software = 'xenforo';
+        } else if (/^Discourse/i.test(generator)) {
+          software = 'discourse';
+        }
+        detectedForums.set(host, software); // canonicalUrl treats it as a forum from now on
+        return writeProbeCache('forums', host, software);
+      } catch (e) {
+        return writeProbeCache('forums', host, null);
       }
-    } catch (e) {
-      // ignore
-    }
+    })());
   }
+  return forumMarkupRequests.get(host);
+}
+
+/**
+ * detectPlatform, plus nodeinfo and forum-markup probes for hosts it doesn't know
+ * Pleroma, Akkoma, GoToSocial, ... speak the Mastodon API; Misskey forks get their own scraper
+ */
+async function resolvePlatform(url) {
+  const platform = detectPlatform(url);
+  if (platform !== 'unknown') return platform;
 
-  const thumbnailBase64 = await imageToBase64(thumbnailUrl);
-  const handle = authorName ? (authorName.startsWith('@') ? authorName : `@${authorName}`) : '';
+  let host;
+  try {
+    host = new URL(url).hostname;
+  } catch (e) {
+    return platform;
+  }
 
-  return {
-    platform: 'tiktok',
-    author: {
-      name: authorName || 'TikTok',
-      handle: handle,
-      avatar: null,
-      avatarUrl: '',
-    },
-    title: title || 'TikTok Video',
-    description: description.slice(0, 300),
-    thumbnail: thumbnailBase64,
-    thumbnailUrl: thumbnailUrl,
-    originalImageUrls: thumbnailUrl ? [thumbnailUrl] : [],
-    video: {
-      url: url,
-      authorUrl: authorUrl,
-    },
-    url: url,
-  };
+  const software = await fetchNodeInfoSoftware(host);
+  if (MASTODON_API_SOFTWARE.includes(software)) return 'mastodon';
+  if (MISSKEY_SOFTWARE.includes(software)) return 'misskey';
+  return (await fetchForumSoftware(url)) || platform;
 }
 
 // ============================================================================
-// HTML TEMPLATES
+// SCRAPER HELPERS
 // ============================================================================
+// Shared by the platform modules in platforms/ (handed over by pluginHelpers)
 
 /**
- * Twitter/X Card Template (Dark mode style)
+ * Link preview shared by all platforms (kept separate from the media grid)
  */
-function renderTwitterCard(data) {
-  const imagesHtml = data.images.length > 0 ? `
-    <div class="images ${data.images.length > 1 ? 'grid' : ''}">
-      ${data.images.map(img => `<img src="${img}" alt="Tweet image">`).join('')}
-    </div>
-  ` : '';
-
-  const verifiedBadge = data.author.verified ? `
-    <svg class="verified" viewBox="0 0 22 22" width="18" height="18">
-      <path fill="#1D9BF0" d="M20.396 11c-.018-.646-.215-1.275-.57-1.816-.354-.54-.852-.972-1.438-1.246.223-.607.27-1.264.14-1.897-.131-.634-.437-1.218-.882-1.687-.47-.445-1.053-.75-1.687-.882-.633-.13-1.29-.083-1.897.14-.273-.587-.704-1.086-1.245-1.44S11.647 1.62 11 1.604c-.646.017-1.273.213-1.813.568s-.969.854-1.24 1.44c-.608-.223-1.267-.272-1.902-.14-.635.13-1.22.436-1.69.882-.445.47-.749 1.055-.878 1.688-.13.633-.08 1.29.144 1.896-.587.274-1.087.705-1.443 1.245-.356.54-.555 1.17-.574 1.817.02.647.218 1.276.574 1.817.356.54.856.972 1.443 1.245-.224.606-.274 1.263-.144 1.896.13.634.433 1.218.877 1.688.47.443 1.054.747 1.687.878.633.132 1.29.084 1.897-.136.274.586.705 1.084 1.246 1.439.54.354 1.17.551 1.816.569.647-.016 1.276-.213 1.817-.567s.972-.854 1.245-1.44c.604.239 1.266.296 1.903.164.636-.132 1.22-.447 1.68-.907.46-.46.776-1.044.908-1.681.132-.637.075-1.299-.165-1.903.586-.274 1.084-.705 1.439-1.246.354-.54.551-1.17.569-1.816zM9.662 14.85l-3.429-3.428 1.293-1.302 2.072 2.072 4.4-4.794 1.347 1.246z"/>
-    </svg>
-  ` : '';
+async function buildLinkCard({ url, title, description, domain, thumbnailUrl }) {
+  if (!url && !title) return null;
 
-  return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="UTF-8">
-      <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body {
-          font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
-          background: #000;
-          padding: 20px;
-        }
-        .card {
-          background: #16181c;
-          border-radius: 16px;
-          padding: 16px;
-          max-width: ${CARD_WIDTH}px;
-          border: 1px solid #2f3336;
-        }
-        .header {
-          display: flex;
-          align-items: flex-start;
-          margin-bottom: 12px;
-        }
-        .avatar {
-          width: 48px;
-          height: 48px;
-          border-radius: 50%;
-          margin-right: 12px;
-          object-fit: cover;
-        }
-        .author-info {
-          flex: 1;
-        }
-        .author-name {
-          display: flex;
-          align-items: center;
-          gap: 4px;
-        }
-        .name {
-          color: #e7e9ea;
-          font-weight: 700;
-          font-size: 15px;
-        }
-        .verified {
-          flex-shrink: 0;
-        }
-        .handle {
-          color: #71767b;
-          font-size: 15px;
-        }
-        .time {
-          color: #71767b;
-          font-size: 15px;
-        }
-        .content {
-          color: #e7e9ea;
-          font-size: 15px;
-          line-height: 1.4;
-          margin-bottom: 12px;
-          white-space: pre-wrap;
-          word-wrap: break-word;
-        }
-        .images {
-          border-radius: 16px;
-          overflow: hidden;
-          margin-bottom: 12px;
-        }
-        .images.grid {
-          display: grid;
-          grid-template-columns: repeat(2, 1fr);
-          gap: 2px;
-        }
-        .images img {
-          width: 100%;
-          display: block;
-          max-height: 300px;
-          object-fit: cover;
-        }
-        .metrics {
-          display: flex;
-          justify-content: space-between;
-          color: #71767b;
-          font-size: 13px;
-          padding-top: 12px;
-          border-top: 1px solid #2f3336;
-        }
-        .metric {
-          display: flex;
-          align-items: center;
-          gap: 6px;
-        }
-        .metric svg {
-          width: 18px;
-          height: 18px;
-          fill: #71767b;
-        }
-      </style>
-    </head>
-    <body>
-      <div class="card">
-        <div class="header">
-          ${data.author.avatar ? `<img class="avatar" src="${data.author.avatar}" alt="Avatar">` : '<div class="avatar" style="background:#2f3336;"></div>'}
-          <div class="author-info">
-            <div class="author-name">
-              <span class="name">${escapeHtml(data.author.name)}</span>
-              ${verifiedBadge}
-            </div>
-            <div class="handle">@${escapeHtml(data.author.handle)} · ${formatRelativeTime(data.timestamp)}</div>
-          </div>
-        </div>
-        <div class="content">${escapeHtml(data.content)}</div>
-        ${imagesHtml}
-        <div class="metrics">
-          <div class="metric">
-            <svg viewBox="0 0 24 24"><path d="M1.751 10c0-4.42 3.584-8 8.005-8h4.366c4.49 0 8.129 3.64 8.129 8.13 0 2.96-1.607 5.68-4.196 7.11l-8.054 4.46v-3.69h-.067c-4.49.1-8.183-3.51-8.183-8.01zm8.005-6c-3.317 0-6.005 2.69-6.005 6 0 3.37 2.77 6.08 6.138 6.01l.351-.01h1.761v2.3l5.087-2.81c1.951-1.08 3.163-3.13 3.163-5.36 0-3.39-2.744-6.13-6.129-6.13H9.756z"/></svg>
-            <span>${formatNumber(data.metrics.replies)}</span>
-          </div>
-          <div class="metric">
-            <svg viewBox="0 0 24 24"><path d="M4.5 3.88l4.432 4.14-1.364 1.46L5.5 7.55V16c0 1.1.896 2 2 2H13v2H7.5c-2.209 0-4-1.79-4-4V7.55L1.432 9.48.068 8.02 4.5 3.88zM16.5 6H11V4h5.5c2.209 0 4 1.79 4 4v8.45l2.068-1.93 1.364 1.46-4.432 4.14-4.432-4.14 1.364-1.46 2.068 1.93V8c0-1.1-.896-2-2-2z"/></svg>
-            <span>${formatNumber(data.metrics.retweets)}</span>
-          </div>
-          <div class="metric">
-            <svg viewBox="0 0 24 24"><path d="M16.697 5.5c-1.222-.06-2.679.51-3.89 2.16l-.805 1.09-.806-1.09C9.984 6.01 8.526 5.44 7.304 5.5c-1.243.07-2.349.78-2.91 1.91-.552 1.12-.633 2.78.479 4.82 1.074 1.97 3.257 4.27 7.129 6.61 3.87-2.34 6.052-4.64 7.126-6.61 1.111-2.04 1.03-3.7.477-4.82-.561-1.13-1.666-1.84-2.908-1.91zm4.187 7.69c-1.351 2.48-4.001 5.12-8.379 7.67l-.503.3-.504-.3c-4.379-2.55-7.029-5.19-8.382-7.67-1.36-2.5-1.41-4.86-.514-6.67.887-1.79 2.647-2.91 4.601-3.01 1.651-.09 3.368.56 4.798 2.01 1.429-1.45 3.146-2.1 4.796-2.01 1.954.1 3.714 1.22 4.601 3.01.896 1.81.846 4.17-.514 6.67z"/></svg>
-            <span>${formatNumber(data.metrics.likes)}</span>
-          </div>
-          ${data.metrics.views ? `
-            <div class="metric">
-              <svg viewBox="0 0 24 24"><path d="M8.75 21V3h2v18h-2zM18 21V8.5h2V21h-2zM4 21l.004-10h2L6 21H4zm9.248 0v-7h2v7h-2z"/></svg>
-              <span>${formatNumber(data.metrics.views)}</span>
-            </div>
-          ` : ''}
-        </div>
-      </div>
-    </body>
-    </html>
-  `;
-}
-
-/**
- * Twitter Thread Card Template - Combined view of multiple tweets
- */
-function renderTwitterThreadCard(threadData) {
-  const tweetsHtml = threadData.tweets.map((tweet, index) => {
-    const imagesHtml = tweet.images.length > 0 ? `
-      <div class="tweet-images ${tweet.images.length > 1 ? 'grid' : ''}">
-        ${tweet.images.map(img => `<img src="${img}" alt="Tweet image">`).join('')}
-      </div>
-    ` : '';
-
-    const isLast = index === threadData.tweets.length - 1;
-
-    return `
-      <div class="tweet ${tweet.isMainTweet ? 'main-tweet' : ''}">
-        <div class="tweet-connector">
-          <div class="avatar-wrapper">
-            ${tweet.author.avatar ? `<img class="avatar" src="${tweet.author.avatar}" alt="Avatar">` : '<div class="avatar placeholder"></div>'}
-          </div>
-          ${!isLast ? '<div class="connector-line"></div>' : ''}
-        </div>
-        <div class="tweet-content">
-          <div class="tweet-header">
-            <span class="name">${escapeHtml(tweet.author.name)}</span>
-            <span class="handle">@${escapeHtml(tweet.author.handle)}</span>
-            <span class="time">· ${formatRelativeTime(tweet.timestamp)}</span>
-          </div>
-          <div class="tweet-text">${escapeHtml(tweet.content)}</div>
-          ${imagesHtml}
-        </div>
-      </div>
-    `;
-  }).join('');
-
-  return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="UTF-8">
-      <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body {
-          font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
-          background: #000;
-          padding: 20px;
-        }
-        .card {
-          background: #16181c;
-          border-radius: 16px;
-          padding: 16px;
-          max-width: ${CARD_WIDTH}px;
-          border: 1px solid #2f3336;
-        }
-        .tweet {
-          display: flex;
-          gap: 12px;
-          margin-bottom: 0;
-        }
-        .tweet.main-tweet .tweet-text {
-          font-size: 16px;
-        }
-        .tweet-connector {
-          display: flex;
-          flex-direction: column;
-          align-items: center;
-          width: 40px;
-          flex-shrink: 0;
-        }
-        .avatar-wrapper {
-          flex-shrink: 0;
-        }
-        .avatar {
-          width: 40px;
-          height: 40px;
-          border-radius: 50%;
-          object-fit: cover;
-        }
-        .avatar.placeholder {
-          background: #2f3336;
-        }
-        .connector-line {
-          width: 2px;
-          flex-grow: 1;
-          background: #2f3336;
-          min-height: 20px;
-          margin: 4px 0;
-        }
-        .tweet-content {
-          flex: 1;
-          padding-bottom: 16px;
-        }
-        .tweet:last-child .tweet-content {
-          padding-bottom: 0;
-        }
-        .tweet-header {
-          display: flex;
-          align-items: center;
-          gap: 4px;
-          margin-bottom: 4px;
-          flex-wrap: wrap;
-        }
-        .name {
-          color: #e7e9ea;
-          font-weight: 700;
-          font-size: 14px;
-        }
-        .handle {
-          color: #71767b;
-          font-size: 14px;
-        }
-        .time {
-          color: #71767b;
-          font-size: 14px;
-        }
-        .tweet-text {
-          color: #e7e9ea;
-          font-size: 14px;
-          line-height: 1.4;
-          white-space: pre-wrap;
-          word-wrap: break-word;
-        }
-        .tweet-images {
-          border-radius: 12px;
-          overflow: hidden;
-          margin-top: 12px;
-        }
-        .tweet-images.grid {
-          display: grid;
-          grid-template-columns: repeat(2, 1fr);
-          gap: 2px;
-        }
-        .tweet-images img {
-          width: 100%;
-          display: block;
-          max-height: 200px;
-          object-fit: cover;
-        }
-      </style>
-    </head>
-    <body>
-      <div class="card">
-        ${tweetsHtml}
-      </div>
-    </body>
-    </html>
-  `;
-}
-
-/**
- * MacRumors Card Template
- */
-function renderMacrumorsCard(data) {
-  const imagesHtml = data.images.length > 0 ? `
-    <div class="images">
-      ${data.images.map(img => `<img src="${img}" alt="Post image">`).join('')}
-    </div>
-  ` : '';
-
-  return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="UTF-8">
-      <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body {
-          font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
-          background: #000;
-          padding: 20px;
-        }
-        .card {
-          background: #fff;
-          border-radius: 12px;
-          overflow: hidden;
-          max-width: ${CARD_WIDTH}px;
-          display: flex;
-        }
-        .sidebar {
-          background: #f8f9fa;
-          padding: 16px;
-          text-align: center;
-          min-width: 100px;
-          border-right: 1px solid #e9ecef;
-        }
-        .avatar {
-          width: 64px;
-          height: 64px;
-          border-radius: 50%;
-          margin-bottom: 8px;
-          object-fit: cover;
-        }
-        .author-name {
-          color: #0066cc;
-          font-weight: 600;
-          font-size: 14px;
-          margin-bottom: 4px;
-        }
-        .author-title {
-          color: #6c757d;
-          font-size: 12px;
-        }
-        .main {
-          flex: 1;
-          padding: 16px;
-        }
-        .post-header {
-          display: flex;
-          justify-content: space-between;
-          align-items: center;
-          margin-bottom: 12px;
-          padding-bottom: 8px;
-          border-bottom: 1px solid #e9ecef;
-        }
-        .timestamp {
-          color: #6c757d;
-          font-size: 12px;
-        }
-        .post-number {
-          background: #0066cc;
-          color: white;
-          padding: 2px 8px;
-          border-radius: 4px;
-          font-size: 12px;
-          font-weight: 600;
-        }
-        .content {
-          color: #212529;
-          font-size: 14px;
-          line-height: 1.5;
-        }
-        .images {
-          margin-top: 12px;
-        }
-        .images img {
-          max-width: 100%;
-          border-radius: 8px;
-          margin-bottom: 8px;
-        }
-        .reactions {
-          margin-top: 12px;
-          color: #6c757d;
-          font-size: 12px;
-        }
-        .arrow-btn {
-          position: absolute;
-          right: 16px;
-          bottom: 16px;
-          width: 32px;
-          height: 32px;
-          background: #0066cc;
-          border-radius: 50%;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-        }
-        .arrow-btn svg {
-          fill: white;
-          width: 16px;
-          height: 16px;
-        }
-      </style>
-    </head>
-    <body>
-      <div class="card">
-        <div class="sidebar">
-          ${data.author.avatar ? `<img class="avatar" src="${data.author.avatar}" alt="Avatar">` : '<div class="avatar" style="background:#e9ecef;"></div>'}
-          <div class="author-name">${escapeHtml(data.author.name)}</div>
-          <div class="author-title">${escapeHtml(data.author.title || 'member')}</div>
-        </div>
-        <div class="main">
-          <div class="post-header">
-            <span class="timestamp">${formatRelativeTime(data.timestamp)}</span>
-            ${data.postNumber ? `<span class="post-number">#${data.postNumber}</span>` : ''}
-          </div>
-          <div class="content">${escapeHtml(data.content)}</div>
-          ${imagesHtml}
-          ${data.reactions ? `<div class="reactions">${escapeHtml(data.reactions)}</div>` : ''}
-        </div>
-      </div>
-    </body>
-    </html>
-  `;
-}
-
-/**
- * Bluesky Card Template
- */
-function renderBlueskyCard(data) {
-  const imagesHtml = data.images.length > 0 ? `
-    <div class="images ${data.images.length > 1 ? 'grid' : ''}">
-      ${data.images.map(img => `<img src="${img}" alt="Post image">`).join('')}
-    </div>
-  ` : '';
-
-  return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="UTF-8">
-      <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body {
-          font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
-          background: #000;
-          padding: 20px;
-        }
-        .card {
-          background: #161e27;
-          border-radius: 12px;
-          padding: 16px;
-          max-width: ${CARD_WIDTH}px;
-          border: 1px solid #2a3f54;
-        }
-        .header {
-          display: flex;
-          align-items: center;
-          margin-bottom: 12px;
-        }
-        .avatar {
-          width: 44px;
-          height: 44px;
-          border-radius: 50%;
-          margin-right: 12px;
-          object-fit: cover;
-        }
-        .author-info { flex: 1; }
-        .name {
-          color: #fff;
-          font-weight: 600;
-          font-size: 15px;
-        }
-        .handle {
-          color: #7b8d9d;
-          font-size: 14px;
-        }
-        .content {
-          color: #fff;
-          font-size: 15px;
-          line-height: 1.4;
-          margin-bottom: 12px;
-          white-space: pre-wrap;
-        }
-        .images {
-          border-radius: 12px;
-          overflow: hidden;
-          margin-bottom: 12px;
-        }
-        .images.grid {
-          display: grid;
-          grid-template-columns: repeat(2, 1fr);
-          gap: 2px;
-        }
-        .images img {
-          width: 100%;
-          display: block;
-          max-height: 280px;
-          object-fit: cover;
-        }
-        .metrics {
-          display: flex;
-          gap: 24px;
-          color: #7b8d9d;
-          font-size: 13px;
-        }
-        .metric {
-          display: flex;
-          align-items: center;
-          gap: 6px;
-        }
-        .timestamp {
-          color: #7b8d9d;
-          font-size: 13px;
-          margin-top: 8px;
-        }
-      </style>
-    </head>
-    <body>
-      <div class="card">
-        <div class="header">
-          ${data.author.avatar ? `<img class="avatar" src="${data.author.avatar}" alt="Avatar">` : '<div class="avatar" style="background:#2a3f54;"></div>'}
-          <div class="author-info">
-            <div class="name">${escapeHtml(data.author.name)}</div>
-            <div class="handle">@${escapeHtml(data.author.handle)}</div>
-          </div>
-        </div>
-        <div class="content">${escapeHtml(data.content)}</div>
-        ${imagesHtml}
-        <div class="metrics">
-          <span class="metric">💬 ${formatNumber(data.metrics.replies)}</span>
-          <span class="metric">🔄 ${formatNumber(data.metrics.reposts)}</span>
-          <span class="metric">❤️ ${formatNumber(data.metrics.likes)}</span>
-        </div>
-        <div class="timestamp">${formatRelativeTime(data.timestamp)}</div>
-      </div>
-    </body>
-    </html>
-  `;
-}
-
-/**
- * Mastodon Card Template
- */
-function renderMastodonCard(data) {
-  const imagesHtml = data.images.length > 0 ? `
-    <div class="images ${data.images.length > 1 ? 'grid' : ''}">
-      ${data.images.map(img => `<img src="${img}" alt="Post image">`).join('')}
-    </div>
-  ` : '';
-
-  return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="UTF-8">
-      <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body {
-          font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
-          background: #000;
-          padding: 20px;
-        }
-        .card {
-          background: #282c37;
-          border-radius: 8px;
-          padding: 16px;
-          max-width: ${CARD_WIDTH}px;
-        }
-        .header {
-          display: flex;
-          align-items: center;
-          margin-bottom: 12px;
-        }
-        .avatar {
-          width: 46px;
-          height: 46px;
-          border-radius: 8px;
-          margin-right: 12px;
-          object-fit: cover;
-        }
-        .author-info { flex: 1; }
-        .name {
-          color: #fff;
-          font-weight: 600;
-          font-size: 15px;
-        }
-        .handle {
-          color: #9baec8;
-          font-size: 14px;
-        }
-        .content {
-          color: #fff;
-          font-size: 15px;
-          line-height: 1.5;
-          margin-bottom: 12px;
-        }
-        .images {
-          border-radius: 8px;
-          overflow: hidden;
-          margin-bottom: 12px;
-        }
-        .images.grid {
-          display: grid;
-          grid-template-columns: repeat(2, 1fr);
-          gap: 2px;
-        }
-        .images img {
-          width: 100%;
-          display: block;
-          max-height: 280px;
-          object-fit: cover;
-        }
-        .metrics {
-          display: flex;
-          gap: 20px;
-          color: #9baec8;
-          font-size: 14px;
-          padding-top: 12px;
-          border-top: 1px solid #393f4f;
-        }
-        .metric {
-          display: flex;
-          align-items: center;
-          gap: 6px;
-        }
-      </style>
-    </head>
-    <body>
-      <div class="card">
-        <div class="header">
-          ${data.author.avatar ? `<img class="avatar" src="${data.author.avatar}" alt="Avatar">` : '<div class="avatar" style="background:#393f4f;"></div>'}
-          <div class="author-info">
-            <div class="name">${escapeHtml(data.author.name)}</div>
-            <div class="handle">${escapeHtml(data.author.handle)}</div>
-          </div>
-        </div>
-        <div class="content">${escapeHtml(data.content)}</div>
-        ${imagesHtml}
-        <div class="metrics">
-          <span class="metric">💬 ${formatNumber(data.metrics.replies)}</span>
-          <span class="metric">🔁 ${formatNumber(data.metrics.boosts)}</span>
-          <span class="metric">⭐ ${formatNumber(data.metrics.favorites)}</span>
-        </div>
-      </div>
-    </body>
-    </html>
-  `;
-}
-
-/**
- * Article Card Template
- */
-function renderArticleCard(data) {
-  return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="UTF-8">
-      <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body {
-          font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
-          background: #000;
-          padding: 20px;
-        }
-        .card {
-          background: #fff;
-          border-radius: 12px;
-          overflow: hidden;
-          max-width: ${CARD_WIDTH}px;
-        }
-        .image {
-          width: 100%;
-          height: 200px;
-          object-fit: cover;
-        }
-        .content {
-          padding: 16px;
-        }
-        .site {
-          display: flex;
-          align-items: center;
-          gap: 8px;
-          margin-bottom: 8px;
-        }
-        .favicon {
-          width: 20px;
-          height: 20px;
-          border-radius: 4px;
-        }
-        .site-name {
-          color: #6c757d;
-          font-size: 13px;
-        }
-        .title {
-          color: #212529;
-          font-size: 18px;
-          font-weight: 600;
-          line-height: 1.3;
-          margin-bottom: 8px;
-        }
-        .description {
-          color: #6c757d;
-          font-size: 14px;
-          line-height: 1.4;
-        }
-      </style>
-    </head>
-    <body>
-      <div class="card">
-        ${data.image ? `<img class="image" src="${data.image}" alt="Article image">` : ''}
-        <div class="content">
-          <div class="site">
-            ${data.favicon ? `<img class="favicon" src="${data.favicon}" alt="">` : ''}
-            <span class="site-name">${escapeHtml(data.siteName)}</span>
-          </div>
-          <div class="title">${escapeHtml(data.title)}</div>
-          <div class="description">${escapeHtml(data.description)}</div>
-        </div>
-      </div>
-    </body>
-    </html>
-  `;
-}
-
-/**
- * YouTube Card Template
- */
-function renderYouTubeCard(data) {
-  return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="UTF-8">
-      <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body {
-          font-family: -apple-system, BlinkMacSystemFont, "SF Pro Text", "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
-          background: #000;
-          padding: 20px;
-        }
-        .card {
-          background: #0f0f0f;
-          border-radius: 16px;
-          overflow: hidden;
-          border: 1px solid #272727;
-          max-width: ${CARD_WIDTH}px;
-        }
-        .thumbnail {
-          position: relative;
-          width: 100%;
-          height: 310px;
-          background: #1a1a1a;
-        }
-        .thumbnail img {
-          width: 100%;
-          height: 100%;
-          object-fit: cover;
-          display: block;
-        }
-        .play {
-          position: absolute;
-          left: 50%;
-          top: 50%;
-          transform: translate(-50%, -50%);
-          width: 56px;
-          height: 56px;
-          border-radius: 50%;
-          background: rgba(0, 0, 0, 0.65);
-          display: flex;
-          align-items: center;
-          justify-content: center;
-        }
-        .play svg {
-          width: 20px;
-          height: 20px;
-          fill: #fff;
-          margin-left: 4px;
-        }
-        .content {
-          padding: 16px 18px 18px;
-        }
-        .platform {
-          color: #ff0000;
-          font-size: 12px;
-          font-weight: 600;
-          letter-spacing: 0.06em;
-          text-transform: uppercase;
-          margin-bottom: 8px;
-        }
-        .title {
-          color: #fff;
-          font-size: 18px;
-          font-weight: 600;
-          line-height: 1.35;
-          margin-bottom: 8px;
-        }
-        .author {
-          color: #9a9a9a;
-          font-size: 13px;
-        }
-      </style>
-    </head>
-    <body>
-      <div class="card">
-        <div class="thumbnail">
-          ${data.thumbnail ? `<img src="${data.thumbnail}" alt="Video thumbnail">` : ''}
-          <div class="play">
-            <svg viewBox="0 0 24 24"><path d="M8 5v14l11-7z"/></svg>
-          </div>
-        </div>
-        <div class="content">
-          <div class="platform">YouTube</div>
-          <div class="title">${escapeHtml(data.title)}</div>
-          <div class="author">${escapeHtml(data.author.name)}</div>
-        </div>
-      </div>
-    </body>
-    </html>
-  `;
-}
-
-/**
- * TikTok Card Template
- */
-function renderTikTokCard(data) {
-  return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="UTF-8">
-      <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body {
-          font-family: -apple-system, BlinkMacSystemFont, "SF Pro Text", "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
-          background: #000;
-          padding: 20px;
-        }
-        .card {
-          background: #0b0b0f;
-          border-radius: 16px;
-          overflow: hidden;
-          border: 1px solid #23232f;
-          max-width: ${CARD_WIDTH}px;
-        }
-        .thumbnail {
-          position: relative;
-          width: 100%;
-          height: 310px;
-          background: #1a1a1a;
-        }
-        .thumbnail img {
-          width: 100%;
-          height: 100%;
-          object-fit: cover;
-          display: block;
-        }
-        .play {
-          position: absolute;
-          left: 50%;
-          top: 50%;
-          transform: translate(-50%, -50%);
-          width: 56px;
-          height: 56px;
-          border-radius: 16px;
-          background: rgba(0, 0, 0, 0.6);
-          display: flex;
-          align-items: center;
-          justify-content: center;
-        }
-        .play svg {
-          width: 18px;
-          height: 18px;
-          fill: #fff;
-          margin-left: 4px;
-        }
-        .content {
-          padding: 16px 18px 18px;
-        }
-        .platform {
-          color: #25f4ee;
-          font-size: 12px;
-          font-weight: 600;
-          letter-spacing: 0.06em;
-          text-transform: uppercase;
-          margin-bottom: 8px;
-        }
-        .title {
-          color: #fff;
-          font-size: 17px;
-          font-weight: 600;
-          line-height: 1.35;
-          margin-bottom: 8px;
-        }
-        .author {
-          color: #9a9a9a;
-          font-size: 13px;
-        }
-      </style>
-    </head>
-    <body>
-      <div class="card">
-        <div class="thumbnail">
-          ${data.thumbnail ? `<img src="${data.thumbnail}" alt="Video thumbnail">` : ''}
-          <div class="play">
-            <svg viewBox="0 0 24 24"><path d="M8 5v14l11-7z"/></svg>
-          </div>
-        </div>
-        <div class="content">
-          <div class="platform">TikTok</div>
-          <div class="title">${escapeHtml(data.title)}</div>
-          <div class="author">${escapeHtml(data.author.handle || data.author.name)}</div>
-        </div>
-      </div>
-    </body>
-    </html>
-  `;
-}
-
-// ============================================================================
-// BENTO STYLE TEMPLATES (Apple Keynote style)
-// ============================================================================
-
-/**
- * Bento Twitter/X Card Template
- */
-function renderBentoTwitterCard(data) {
-  const imagesHtml = data.images.length > 0 ? `
-    <div class="images ${data.images.length > 1 ? 'grid' : ''}">
-      ${data.images.map(img => `<img src="${img}" alt="Tweet image">`).join('')}
-    </div>
-  ` : '';
-
-  return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="UTF-8">
-      <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body {
-          font-family: -apple-system, BlinkMacSystemFont, "SF Pro Display", "SF Pro Text", Helvetica, Arial, sans-serif;
-          background: transparent;
-          padding: 0;
-        }
-        .card {
-          background: #1c1c1e;
-          border-radius: 24px;
-          padding: 24px;
-          max-width: ${CARD_WIDTH}px;
-        }
-        .header {
-          display: flex;
-          align-items: center;
-          margin-bottom: 16px;
-        }
-        .avatar {
-          width: 44px;
-          height: 44px;
-          border-radius: 50%;
-          margin-right: 12px;
-          object-fit: cover;
-        }
-        .author-info { flex: 1; }
-        .name {
-          color: #fff;
-          font-weight: 600;
-          font-size: 16px;
-          letter-spacing: -0.01em;
-        }
-        .handle {
-          color: rgba(255,255,255,0.55);
-          font-size: 14px;
-        }
-        .content {
-          color: #fff;
-          font-size: 17px;
-          line-height: 1.45;
-          margin-bottom: 16px;
-          white-space: pre-wrap;
-          word-wrap: break-word;
-          letter-spacing: -0.01em;
-        }
-        .images {
-          border-radius: 16px;
-          overflow: hidden;
-          margin-bottom: 16px;
-        }
-        .images.grid {
-          display: grid;
-          grid-template-columns: repeat(2, 1fr);
-          gap: 2px;
-        }
-        .images img {
-          width: 100%;
-          display: block;
-          max-height: 300px;
-          object-fit: cover;
-        }
-        .metrics {
-          display: flex;
-          gap: 24px;
-          color: rgba(255,255,255,0.55);
-          font-size: 14px;
-        }
-        .metric {
-          display: flex;
-          align-items: center;
-          gap: 6px;
-        }
-      </style>
-    </head>
-    <body>
-      <div class="card">
-        <div class="header">
-          ${data.author.avatar ? `<img class="avatar" src="${data.author.avatar}" alt="Avatar">` : '<div class="avatar" style="background:#2c2c2e;"></div>'}
-          <div class="author-info">
-            <div class="name">${escapeHtml(data.author.name)}</div>
-            <div class="handle">@${escapeHtml(data.author.handle)}</div>
-          </div>
-        </div>
-        <div class="content">${escapeHtml(data.content)}</div>
-        ${imagesHtml}
-        <div class="metrics">
-          <span class="metric">${formatNumber(data.metrics.replies)} replies</span>
-          <span class="metric">${formatNumber(data.metrics.retweets)} reposts</span>
-          <span class="metric">${formatNumber(data.metrics.likes)} likes</span>
-        </div>
-      </div>
-    </body>
-    </html>
-  `;
-}
-
-/**
- * Bento Twitter Thread Card Template
- */
-function renderBentoTwitterThreadCard(threadData) {
-  const tweetsHtml = threadData.tweets.map((tweet, index) => {
-    const imagesHtml = tweet.images.length > 0 ? `
-      <div class="tweet-images ${tweet.images.length > 1 ? 'grid' : ''}">
-        ${tweet.images.map(img => `<img src="${img}" alt="Tweet image">`).join('')}
-      </div>
-    ` : '';
-
-    const isLast = index === threadData.tweets.length - 1;
-
-    return `
-      <div class="tweet">
-        <div class="tweet-connector">
-          <div class="avatar-wrapper">
-            ${tweet.author.avatar ? `<img class="avatar" src="${tweet.author.avatar}" alt="Avatar">` : '<div class="avatar placeholder"></div>'}
-          </div>
-          ${!isLast ? '<div class="connector-line"></div>' : ''}
-        </div>
-        <div class="tweet-content">
-          <div class="tweet-header">
-            <span class="name">${escapeHtml(tweet.author.name)}</span>
-            <span class="handle">@${escapeHtml(tweet.author.handle)}</span>
-          </div>
-          <div class="tweet-text">${escapeHtml(tweet.content)}</div>
-          ${imagesHtml}
-        </div>
-      </div>
-    `;
-  }).join('');
-
-  return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="UTF-8">
-      <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body {
-          font-family: -apple-system, BlinkMacSystemFont, "SF Pro Display", "SF Pro Text", Helvetica, Arial, sans-serif;
-          background: transparent;
-          padding: 0;
-        }
-        .card {
-          background: #1c1c1e;
-          border-radius: 24px;
-          padding: 24px;
-          max-width: ${CARD_WIDTH}px;
-        }
-        .tweet {
-          display: flex;
-          gap: 12px;
-        }
-        .tweet-connector {
-          display: flex;
-          flex-direction: column;
-          align-items: center;
-          width: 40px;
-          flex-shrink: 0;
-        }
-        .avatar {
-          width: 40px;
-          height: 40px;
-          border-radius: 50%;
-          object-fit: cover;
-        }
-        .avatar.placeholder {
-          background: #2c2c2e;
-        }
-        .connector-line {
-          width: 2px;
-          flex-grow: 1;
-          background: #3a3a3c;
-          min-height: 20px;
-          margin: 4px 0;
-        }
-        .tweet-content {
-          flex: 1;
-          padding-bottom: 20px;
-        }
-        .tweet:last-child .tweet-content {
-          padding-bottom: 0;
-        }
-        .tweet-header {
-          display: flex;
-          align-items: center;
-          gap: 6px;
-          margin-bottom: 4px;
-        }
-        .name {
-          color: #fff;
-          font-weight: 600;
-          font-size: 15px;
-          letter-spacing: -0.01em;
-        }
-        .handle {
-          color: rgba(255,255,255,0.55);
-          font-size: 14px;
-        }
-        .tweet-text {
-          color: #fff;
-          font-size: 16px;
-          line-height: 1.45;
-          white-space: pre-wrap;
-          word-wrap: break-word;
-          letter-spacing: -0.01em;
-        }
-        .tweet-images {
-          border-radius: 12px;
-          overflow: hidden;
-          margin-top: 12px;
-        }
-        .tweet-images.grid {
-          display: grid;
-          grid-template-columns: repeat(2, 1fr);
-          gap: 2px;
-        }
-        .tweet-images img {
-          width: 100%;
-          display: block;
-          max-height: 200px;
-          object-fit: cover;
-        }
-      </style>
-    </head>
-    <body>
-      <div class="card">
-        ${tweetsHtml}
-      </div>
-    </body>
-    </html>
-  `;
+  let host = domain || '';
+  if (!host && url) {
+    try {
+      host = new URL(url).hostname.replace(/^www\./, '');
+    } catch (e) {
+      host = '';
+    }
+  }
+
+  return {
+    url: url || '',
+    title: title || '',
+    description: description || '',
+    domain: host,
+    thumbnail: await imageToBase64(thumbnailUrl),
+    thumbnailUrl: thumbnailUrl || '',
+  };
 }
 
 /**
- * Bento Bluesky Card Template
+ * Pixel width an embedded image needs to stay sharp at the chosen width and scale
  */
-function renderBentoBlueskyCard(data) {
-  const imagesHtml = data.images.length > 0 ? `
-    <div class="images ${data.images.length > 1 ? 'grid' : ''}">
-      ${data.images.map(img => `<img src="${img}" alt="Post image">`).join('')}
-    </div>
-  ` : '';
+function cardImageWidth(options = {}) {
+  return cardWidth(options) * (options.scale || 1);
+}
+
+/**
+ * Absolute URL for a forum asset ('//cdn...', '/data/...' or already absolute)
+ */
+function forumAssetUrl(src, pageUrl) {
+  if (!src) return '';
+  try {
+    return new URL(src, pageUrl).toString();
+  } catch (e) {
+    return '';
+  }
+}
+
+// ============================================================================
+// HTML TEMPLATES
+// ============================================================================
+// Each platform's standard and bento templates live in its platforms/ module;
+// these are the tokens, fonts and pieces they all build on
+
+// Font stacks used as the default `font` token
+const FONT_STANDARD = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif';
+const FONT_VIDEO = '-apple-system, BlinkMacSystemFont, "SF Pro Text", "Segoe UI", Roboto, Helvetica, Arial, sans-serif';
+const FONT_BENTO = '-apple-system, BlinkMacSystemFont, "SF Pro Display", "SF Pro Text", Helvetica, Arial, sans-serif';
+
+/**
+ * Card width in CSS pixels (--width), defaulting to CARD_WIDTH
+ */
+function cardWidth(options = {}) {
+  return options.width || CARD_WIDTH;
+}
+
+/**
+ * Design tokens for a template: shared `base` tokens (font, radius, padding)
+ * plus its light or dark palette. `auto` keeps the platform's native look.
+ * Templates read every token as a CSS variable, e.g. var(--card)
+ */
+function themeTokens(options, nativeTheme, palettes) {
+  const mode = options.theme === 'light' || options.theme === 'dark' ? options.theme : nativeTheme;
+  return { ...palettes.base, ...palettes[mode] };
+}
+
+/**
+ * :root block declaring the tokens, with theme-file overrides applied on top
+ */
+function themeCss(tokens, options = {}) {
+  const merged = { ...tokens, ...(options.themeTokens || {}) };
+  const declarations = Object.entries(merged)
+    .map(([key, value]) => `--${key}: ${value};`)
+    .join('\n          ');
 
   return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="UTF-8">
-      <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body {
-          font-family: -apple-system, BlinkMacSystemFont, "SF Pro Display", "SF Pro Text", Helvetica, Arial, sans-serif;
-          background: transparent;
-          padding: 0;
-        }
-        .card {
-          background: #1c1c1e;
-          border-radius: 24px;
-          padding: 24px;
-          max-width: ${CARD_WIDTH}px;
-        }
-        .header {
-          display: flex;
-          align-items: center;
-          margin-bottom: 16px;
-        }
-        .avatar {
-          width: 44px;
-          height: 44px;
-          border-radius: 50%;
-          margin-right: 12px;
-          object-fit: cover;
-        }
-        .author-info { flex: 1; }
-        .name {
-          color: #fff;
-          font-weight: 600;
-          font-size: 16px;
-          letter-spacing: -0.01em;
-        }
-        .handle {
-          color: rgba(255,255,255,0.55);
-          font-size: 14px;
-        }
-        .content {
-          color: #fff;
-          font-size: 17px;
-          line-height: 1.45;
-          margin-bottom: 16px;
-          white-space: pre-wrap;
-          letter-spacing: -0.01em;
-        }
-        .images {
-          border-radius: 16px;
-          overflow: hidden;
-          margin-bottom: 16px;
-        }
-        .images.grid {
-          display: grid;
-          grid-template-columns: repeat(2, 1fr);
-          gap: 2px;
-        }
-        .images img {
-          width: 100%;
-          display: block;
-          max-height: 280px;
-          object-fit: cover;
-        }
-        .metrics {
-          display: flex;
-          gap: 24px;
-          color: rgba(255,255,255,0.55);
-          font-size: 14px;
+        :root {
+          ${declarations}
         }
-      </style>
-    </head>
-    <body>
-      <div class="card">
-        <div class="header">
-          ${data.author.avatar ? `<img class="avatar" src="${data.author.avatar}" alt="Avatar">` : '<div class="avatar" style="background:#2c2c2e;"></div>'}
-          <div class="author-info">
-            <div class="name">${escapeHtml(data.author.name)}</div>
-            <div class="handle">@${escapeHtml(data.author.handle)}</div>
-          </div>
-        </div>
-        <div class="content">${escapeHtml(data.content)}</div>
-        ${imagesHtml}
-        <div class="metrics">
-          <span class="metric">${formatNumber(data.metrics.replies)} replies</span>
-          <span class="metric">${formatNumber(data.metrics.reposts)} reposts</span>
-          <span class="metric">${formatNumber(data.metrics.likes)} likes</span>
-        </div>
-      </div>
-    </body>
-    </html>
+        ${options.themeCss || ''}
   `;
 }
 
 /**
- * Bento Mastodon Card Template
+ * Quoted post inset, shared by every post template
  */
-function renderBentoMastodonCard(data) {
-  const imagesHtml = data.images.length > 0 ? `
-    <div class="images ${data.images.length > 1 ? 'grid' : ''}">
-      ${data.images.map(img => `<img src="${img}" alt="Post image">`).join('')}
-    </div>
-  ` : '';
+function renderQuotedHtml(quoted) {
+  if (!quoted) return '';
+
+  if (quoted.unavailable || !quoted.author) {
+    return `<div class="quoted unavailable">${escapeHtml(quoted.content || 'Quoted post unavailable')}</div>`;
+  }
+
+  const handle = quoted.author.handle || '';
+  const time = formatRelativeTime(quoted.timestamp);
+  const images = quoted.images || [];
 
   return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="UTF-8">
-      <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body {
-          font-family: -apple-system, BlinkMacSystemFont, "SF Pro Display", "SF Pro Text", Helvetica, Arial, sans-serif;
-          background: transparent;
-          padding: 0;
-        }
-        .card {
-          background: #1c1c1e;
-          border-radius: 24px;
-          padding: 24px;
-          max-width: ${CARD_WIDTH}px;
-        }
-        .header {
-          display: flex;
-          align-items: center;
-          margin-bottom: 16px;
-        }
-        .avatar {
-          width: 44px;
-          height: 44px;
-          border-radius: 10px;
-          margin-right: 12px;
-          object-fit: cover;
-        }
-        .author-info { flex: 1; }
-        .name {
-          color: #fff;
-          font-weight: 600;
-          font-size: 16px;
-          letter-spacing: -0.01em;
-        }
-        .handle {
-          color: rgba(255,255,255,0.55);
-          font-size: 13px;
-        }
-        .content {
-          color: #fff;
-          font-size: 17px;
-          line-height: 1.45;
-          margin-bottom: 16px;
-          letter-spacing: -0.01em;
-        }
-        .images {
-          border-radius: 16px;
-          overflow: hidden;
-          margin-bottom: 16px;
-        }
-        .images.grid {
-          display: grid;
-          grid-template-columns: repeat(2, 1fr);
-          gap: 2px;
-        }
-        .images img {
-          width: 100%;
-          display: block;
-          max-height: 280px;
-          object-fit: cover;
-        }
-        .metrics {
-          display: flex;
-          gap: 24px;
-          color: rgba(255,255,255,0.55);
-          font-size: 14px;
-        }
-      </style>
-    </head>
-    <body>
-      <div class="card">
-        <div class="header">
-          ${data.author.avatar ? `<img class="avatar" src="${data.author.avatar}" alt="Avatar">` : '<div class="avatar" style="background:#2c2c2e;"></div>'}
-          <div class="author-info">
-            <div class="name">${escapeHtml(data.author.name)}</div>
-            <div class="handle">${escapeHtml(data.author.handle)}</div>
-          </div>
-        </div>
-        <div class="content">${escapeHtml(data.content)}</div>
-        ${imagesHtml}
-        <div class="metrics">
-          <span class="metric">${formatNumber(data.metrics.replies)} replies</span>
-          <span class="metric">${formatNumber(data.metrics.boosts)} boosts</span>
-          <span class="metric">${formatNumber(data.metrics.favorites)} favorites</span>
-        </div>
+    <div class="quoted">
+      <div class="quoted-header">
+        ${quoted.author.avatar ? `<img class="quoted-avatar" src="${quoted.author.avatar}" alt="Avatar">` : '<div class="quoted-avatar placeholder"></div>'}
+        <span class="quoted-name">${escapeHtml(quoted.author.name)}</span>
+        <span class="quoted-handle">${handle ? escapeHtml(handle.startsWith('@') ? handle : `@${handle}`) : ''}${time ? ` · ${time}` : ''}</span>
       </div>
-    </body>
-    </html>
+      ${quoted.content ? `<div class="quoted-content">${escapeHtml(quoted.content)}</div>` : ''}
+      ${images.length > 0 ? `
+        <div class="quoted-images ${images.length > 1 ? 'grid' : ''}">
+          ${images.map(img => `<img src="${img}" alt="Quoted image">`).join('')}
+        </div>
+      ` : ''}
+    </div>
   `;
 }
 
 /**
- * Bento MacRumors Card Template
+ * Link preview block: thumbnail, domain, title and description
  */
-function renderBentoMacrumorsCard(data) {
-  const imagesHtml = data.images.length > 0 ? `
-    <div class="images">
-      ${data.images.map(img => `<img src="${img}" alt="Post image">`).join('')}
-    </div>
-  ` : '';
+function renderLinkCardHtml(linkCard) {
+  if (!linkCard) return '';
 
   return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="UTF-8">
-      <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body {
-          font-family: -apple-system, BlinkMacSystemFont, "SF Pro Display", "SF Pro Text", Helvetica, Arial, sans-serif;
-          background: transparent;
-          padding: 0;
-        }
-        .card {
-          background: #1c1c1e;
-          border-radius: 24px;
-          padding: 24px;
-          max-width: ${CARD_WIDTH}px;
-        }
-        .header {
-          display: flex;
-          align-items: center;
-          margin-bottom: 16px;
-        }
-        .avatar {
-          width: 48px;
-          height: 48px;
-          border-radius: 50%;
-          margin-right: 14px;
-          object-fit: cover;
-        }
-        .author-info { flex: 1; }
-        .name {
-          color: #0a84ff;
-          font-weight: 600;
-          font-size: 16px;
-          letter-spacing: -0.01em;
-        }
-        .title {
-          color: rgba(255,255,255,0.55);
-          font-size: 13px;
-        }
-        .post-number {
-          background: #0a84ff;
-          color: white;
-          padding: 4px 10px;
-          border-radius: 8px;
-          font-size: 13px;
-          font-weight: 600;
-        }
-        .content {
-          color: #fff;
-          font-size: 16px;
-          line-height: 1.5;
-          letter-spacing: -0.01em;
-        }
-        .images {
-          margin-top: 16px;
-        }
-        .images img {
-          max-width: 100%;
-          border-radius: 12px;
-          margin-bottom: 8px;
-        }
-        .reactions {
-          margin-top: 16px;
-          color: rgba(255,255,255,0.55);
-          font-size: 14px;
-        }
-      </style>
-    </head>
-    <body>
-      <div class="card">
-        <div class="header">
-          ${data.author.avatar ? `<img class="avatar" src="${data.author.avatar}" alt="Avatar">` : '<div class="avatar" style="background:#2c2c2e;"></div>'}
-          <div class="author-info">
-            <div class="name">${escapeHtml(data.author.name)}</div>
-            <div class="title">${escapeHtml(data.author.title || 'member')}</div>
-          </div>
-          ${data.postNumber ? `<span class="post-number">#${data.postNumber}</span>` : ''}
-        </div>
-        <div class="content">${escapeHtml(data.content)}</div>
-        ${imagesHtml}
-        ${data.reactions ? `<div class="reactions">${escapeHtml(data.reactions)}</div>` : ''}
+    <div class="link-card">
+      ${linkCard.thumbnail ? `<img class="link-thumb" src="${linkCard.thumbnail}" alt="Link preview">` : ''}
+      <div class="link-body">
+        ${linkCard.domain ? `<div class="link-domain">${escapeHtml(linkCard.domain)}</div>` : ''}
+        ${linkCard.title ? `<div class="link-title">${escapeHtml(linkCard.title)}</div>` : ''}
+        ${linkCard.description ? `<div class="link-description">${escapeHtml(linkCard.description)}</div>` : ''}
       </div>
-    </body>
-    </html>
+    </div>
   `;
 }
 
 /**
- * Bento Article Card Template
+ * Link preview styles; each template passes its own palette
  */
-function renderBentoArticleCard(data) {
+function linkCardCss({ border, title, muted, radius = 12, margin = '0 0 12px' }) {
   return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="UTF-8">
-      <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body {
-          font-family: -apple-system, BlinkMacSystemFont, "SF Pro Display", "SF Pro Text", Helvetica, Arial, sans-serif;
-          background: transparent;
-          padding: 0;
-        }
-        .card {
-          background: #1c1c1e;
-          border-radius: 24px;
+        .link-card {
+          border: 1px solid ${border};
+          border-radius: ${radius}px;
           overflow: hidden;
-          max-width: ${CARD_WIDTH}px;
+          margin: ${margin};
         }
-        .image {
+        .link-thumb {
           width: 100%;
-          height: 200px;
+          display: block;
+          aspect-ratio: 1.91 / 1;
           object-fit: cover;
+          border-bottom: 1px solid ${border};
         }
-        .content {
-          padding: 24px;
+        .link-body {
+          padding: 10px 12px;
         }
-        .site {
-          display: flex;
-          align-items: center;
-          gap: 8px;
-          margin-bottom: 12px;
-        }
-        .favicon {
-          width: 20px;
-          height: 20px;
-          border-radius: 4px;
-        }
-        .site-name {
-          color: rgba(255,255,255,0.55);
+        .link-domain {
+          color: ${muted};
           font-size: 13px;
+          margin-bottom: 2px;
         }
-        .title {
-          color: #fff;
-          font-size: 20px;
+        .link-title {
+          color: ${title};
+          font-size: 15px;
           font-weight: 600;
           line-height: 1.3;
-          margin-bottom: 8px;
-          letter-spacing: -0.02em;
         }
-        .description {
-          color: rgba(255,255,255,0.7);
-          font-size: 15px;
-          line-height: 1.45;
-          letter-spacing: -0.01em;
+        .link-description {
+          color: ${muted};
+          font-size: 14px;
+          line-height: 1.35;
+          margin-top: 2px;
+          display: -webkit-box;
+          -webkit-line-clamp: 2;
+          -webkit-box-orient: vertical;
+          overflow: hidden;
         }
-      </style>
-    </head>
-    <body>
-      <div class="card">
-        ${data.image ? `<img class="image" src="${data.image}" alt="Article image">` : ''}
-        <div class="content">
-          <div class="site">
-            ${data.favicon ? `<img class="favicon" src="${data.favicon}" alt="">` : ''}
-            <span class="site-name">${escapeHtml(data.siteName)}</span>
-          </div>
-          <div class="title">${escapeHtml(data.title)}</div>
-          <div class="description">${escapeHtml(data.description)}</div>
-        </div>
-      </div>
-    </body>
-    </html>
   `;
 }
 
 /**
- * Bento YouTube Card Template
+ * Quoted post inset styles; each template passes its own palette
  */
-function renderBentoYouTubeCard(data) {
+function quotedCardCss({ border, name, muted, text, placeholder, radius = 12, margin = '0 0 12px' }) {
   return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="UTF-8">
-      <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body {
-          font-family: -apple-system, BlinkMacSystemFont, "SF Pro Display", "SF Pro Text", Helvetica, Arial, sans-serif;
-          background: transparent;
-          padding: 0;
-        }
-        .card {
-          background: #1c1c1e;
-          border-radius: 24px;
+        .quoted {
+          border: 1px solid ${border};
+          border-radius: ${radius}px;
+          padding: 12px;
+          margin: ${margin};
           overflow: hidden;
-          max-width: ${CARD_WIDTH}px;
         }
-        .thumbnail {
-          position: relative;
-          width: 100%;
-          height: 220px;
-          background: #2c2c2e;
-        }
-        .thumbnail img {
-          width: 100%;
-          height: 100%;
-          object-fit: cover;
-          display: block;
+        .quoted.unavailable {
+          color: ${muted};
+          font-size: 14px;
         }
-        .play {
-          position: absolute;
-          left: 50%;
-          top: 50%;
-          transform: translate(-50%, -50%);
-          width: 52px;
-          height: 52px;
-          border-radius: 50%;
-          background: rgba(0, 0, 0, 0.6);
+        .quoted-header {
           display: flex;
           align-items: center;
-          justify-content: center;
+          gap: 6px;
+          margin-bottom: 4px;
+          white-space: nowrap;
+          overflow: hidden;
         }
-        .play svg {
-          width: 18px;
-          height: 18px;
-          fill: #fff;
-          margin-left: 3px;
+        .quoted-avatar {
+          width: 20px;
+          height: 20px;
+          border-radius: 50%;
+          object-fit: cover;
+          flex-shrink: 0;
         }
-        .content {
-          padding: 22px 24px 24px;
+        .quoted-avatar.placeholder {
+          background: ${placeholder};
         }
-        .platform {
-          color: #ff453a;
-          font-size: 12px;
-          font-weight: 600;
-          letter-spacing: 0.06em;
-          text-transform: uppercase;
-          margin-bottom: 10px;
+        .quoted-name {
+          color: ${name};
+          font-weight: 700;
+          font-size: 14px;
         }
-        .title {
-          color: #fff;
-          font-size: 18px;
-          font-weight: 600;
-          line-height: 1.3;
-          letter-spacing: -0.02em;
-          margin-bottom: 8px;
+        .quoted-handle {
+          color: ${muted};
+          font-size: 14px;
+          overflow: hidden;
+          text-overflow: ellipsis;
         }
-        .author {
-          color: rgba(255,255,255,0.55);
+        .quoted-content {
+          color: ${text};
           font-size: 14px;
+          line-height: 1.4;
+          white-space: pre-wrap;
+          word-wrap: break-word;
+        }
+        .quoted-images {
+          border-radius: ${Math.max(radius - 4, 4)}px;
+          overflow: hidden;
+          margin-top: 8px;
+        }
+        .quoted-images.grid {
+          display: grid;
+          grid-template-columns: repeat(2, 1fr);
+          gap: 2px;
+        }
+        .quoted-images img {
+          width: 100%;
+          display: block;
+          max-height: 180px;
+          object-fit: cover;
         }
-      </style>
-    </head>
-    <body>
-      <div class="card">
-        <div class="thumbnail">
-          ${data.thumbnail ? `<img src="${data.thumbnail}" alt="Video thumbnail">` : ''}
-          <div class="play">
-            <svg viewBox="0 0 24 24"><path d="M8 5v14l11-7z"/></svg>
-          </div>
-        </div>
-        <div class="content">
-          <div class="platform">YouTube</div>
-          <div class="title">${escapeHtml(data.title)}</div>
-          <div class="author">${escapeHtml(data.author.name)}</div>
-        </div>
-      </div>
-    </body>
-    </html>
   `;
 }
 
 /**
- * Bento TikTok Card Template
+ * Escape HTML special characters
+ */
+function escapeHtml(text) {
+  if (!text) return '';
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+// ============================================================================
+// CARD RENDERING
+// ============================================================================
+
+/**
+ * Pick the card template for scraped (or reloaded) post data
+ */
+function renderCardHtml(data, options = {}) {
+  const plugin = findRenderer(data.platform);
+  if (!plugin) throw new Error('Platform not implemented');
+  const html = options.bento && plugin.renderBento ? plugin.renderBento(data, options) : plugin.render(data, options);
+  const css = redactCss(options.redact);
+  return css ? html.replace('</head>', `<style>${css}</style>\n</head>`) : html;
+}
+
+/**
+ * Lay several rendered cards out in one page (row, column, grid or collage)
+ * Each card keeps its own template CSS inside an iframe; the wrapper is the `.card` that gets captured
  */
-function renderBentoTikTokCard(data) {
+function renderComposeHtml(cardHtmls, layout, options = {}) {
+  const gap = 32;
+  const columns = Math.ceil(Math.sqrt(cardHtmls.length));
+  const layoutCss = {
+    row: `display: flex; flex-direction: row; align-items: flex-start; gap: ${gap}px;`,
+    column: `display: flex; flex-direction: column; gap: ${gap}px;`,
+    grid: `display: grid; grid-template-columns: repeat(${columns}, auto); align-items: start; gap: ${gap}px;`,
+    collage: 'display: flex; flex-direction: row; align-items: flex-start; padding: 24px 24px 48px;',
+  }[layout] || '';
+
+  const frames = cardHtmls
+    .map(html => `<iframe class="compose-item" scrolling="no" srcdoc="${escapeHtml(html)}"></iframe>`)
+    .join('\n      ');
+
   return `
     <!DOCTYPE html>
     <html>
@@ -2766,113 +2347,217 @@ function renderBentoTikTokCard(data) {
       <style>
         * { margin: 0; padding: 0; box-sizing: border-box; }
         body {
-          font-family: -apple-system, BlinkMacSystemFont, "SF Pro Display", "SF Pro Text", Helvetica, Arial, sans-serif;
           background: transparent;
-          padding: 0;
+          padding: 20px;
         }
         .card {
-          background: #1c1c1e;
-          border-radius: 24px;
-          overflow: hidden;
-          max-width: ${CARD_WIDTH}px;
-        }
-        .thumbnail {
-          position: relative;
-          width: 100%;
-          height: 220px;
-          background: #2c2c2e;
+          width: max-content;
+          ${layoutCss}
         }
-        .thumbnail img {
-          width: 100%;
-          height: 100%;
-          object-fit: cover;
+        .compose-item {
           display: block;
+          border: 0;
+          width: ${cardWidth(options)}px;
+          height: 200px;
+          background: transparent;
         }
-        .play {
-          position: absolute;
-          left: 50%;
-          top: 50%;
-          transform: translate(-50%, -50%);
-          width: 52px;
-          height: 52px;
-          border-radius: 16px;
-          background: rgba(0, 0, 0, 0.6);
-          display: flex;
-          align-items: center;
-          justify-content: center;
-        }
-        .play svg {
-          width: 18px;
-          height: 18px;
-          fill: #fff;
-          margin-left: 3px;
-        }
-        .content {
-          padding: 22px 24px 24px;
-        }
-        .platform {
-          color: #25f4ee;
-          font-size: 12px;
-          font-weight: 600;
-          letter-spacing: 0.06em;
-          text-transform: uppercase;
-          margin-bottom: 10px;
-        }
-        .title {
-          color: #fff;
-          font-size: 18px;
-          font-weight: 600;
-          line-height: 1.3;
-          letter-spacing: -0.02em;
-          margin-bottom: 8px;
-        }
-        .author {
-          color: rgba(255,255,255,0.55);
-          font-size: 14px;
-        }
+        /* Staggered, slightly overlapping cards */
+        .collage .compose-item:not(:first-child) { margin-left: -${Math.round(cardWidth(options) * 0.12)}px; }
+        .collage .compose-item:nth-child(odd) { transform: rotate(-2deg); }
+        .collage .compose-item:nth-child(even) { transform: rotate(2deg); margin-top: 72px; }
       </style>
     </head>
     <body>
-      <div class="card">
-        <div class="thumbnail">
-          ${data.thumbnail ? `<img src="${data.thumbnail}" alt="Video thumbnail">` : ''}
-          <div class="play">
-            <svg viewBox="0 0 24 24"><path d="M8 5v14l11-7z"/></svg>
-          </div>
-        </div>
-        <div class="content">
-          <div class="platform">TikTok</div>
-          <div class="title">${escapeHtml(data.title)}</div>
-          <div class="author">${escapeHtml(data.author.handle || data.author.name)}</div>
-        </div>
+      <div class="card ${layout}">
+      ${frames}
       </div>
+      <script>
+        // Size each frame to its card once everything (including images) has loaded
+        window.addEventListener('load', () => {
+          document.querySelectorAll('.compose-item').forEach(frame => {
+            const doc = frame.contentDocument;
+            doc.documentElement.style.background = 'transparent';
+            doc.body.style.background = 'transparent';
+            doc.body.style.padding = '0';
+            const card = doc.querySelector('.card');
+            if (!card) return;
+            const rect = card.getBoundingClientRect();
+            frame.style.width = Math.ceil(rect.width) + 'px';
+            frame.style.height = Math.ceil(rect.height) + 'px';
+          });
+        });
+      </script>
     </body>
     </html>
   `;
 }
 
 /**
- * Escape HTML special characters
+ * Rebuild template data from a saved metadata JSON file and its local images
+ * No network access: avatars, favicons and media come from the files next to it
  */
-function escapeHtml(text) {
-  if (!text) return '';
-  return text
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#039;');
+function loadMetadataCard(metadataPath) {
+  const payload = JSON.parse(fs.readFileSync(metadataPath, 'utf-8'));
+  const dir = path.dirname(metadataPath);
+  const localImage = file => (file ? fileToBase64(path.join(dir, file)) : null);
+  const withAvatar = author => (author ? { ...author, avatar: localImage(author.avatarFile) } : undefined);
+  const withQuoted = quoted => (quoted ? {
+    ...quoted,
+    author: withAvatar(quoted.author),
+    images: (quoted.imageFiles || []).map(localImage).filter(Boolean),
+  } : null);
+  const withLinkCard = linkCard => (linkCard ? { ...linkCard, thumbnail: localImage(linkCard.thumbnailFile) } : null);
+
+  if (payload.platform === 'twitter-thread') {
+    return {
+      platform: 'twitter-thread',
+      url: payload.url,
+      annotation: payload.annotation,
+      redacted: payload.redacted,
+      tweets: (payload.tweets || []).map(tweet => ({
+        ...tweet,
+        platform: 'twitter',
+        author: withAvatar(tweet.author) || { name: 'Unknown', handle: 'unknown' },
+        images: (tweet.imageFiles || []).map(localImage).filter(Boolean),
+        quoted: withQuoted(tweet.quoted),
+        linkCard: withLinkCard(tweet.linkCard),
+      })),
+    };
+  }
+
+  const images = (payload.media?.downloaded || []).map(localImage).filter(Boolean);
+
+  return {
+    ...payload,
+    author: withAvatar(payload.author),
+    quoted: withQuoted(payload.quoted),
+    linkCard: withLinkCard(payload.linkCard),
+    images,
+    originalImageUrls: payload.media?.originalUrls || [],
+    metrics: payload.metrics || {},
+    image: images[0] || null, // Article hero image
+    thumbnail: images[0] || null, // YouTube/TikTok thumbnail
+    favicon: localImage(payload.faviconFile),
+    ...findRenderer(payload.platform)?.restore?.(payload, localImage),
+  };
+}
+
+/**
+ * Expand metadata paths: folders become every *-metadata.json inside them
+ */
+function collectMetadataFiles(paths) {
+  const files = [];
+  for (const target of paths) {
+    if (!fs.existsSync(target)) {
+      console.log(`  ⚠️  Not found, skipping: ${target}`);
+      continue;
+    }
+    if (fs.statSync(target).isDirectory()) {
+      fs.readdirSync(target)
+        .filter(name => name.endsWith('-metadata.json'))
+        .sort()
+        .forEach(name => files.push(path.join(target, name)));
+    } else {
+      files.push(target);
+    }
+  }
+  return files;
 }
 
+// ============================================================================
+// BUILT-IN PLATFORMS
+// ============================================================================
+// One module each in platforms/, loaded through the same interface as extra plugins.
+// Registration order is match order: specific hosts before the generic patterns
+
+const BUILT_IN_PLATFORMS = [
+  'twitter', 'xenforo', 'discourse', 'threads', 'bluesky', 'mastodon', 'misskey',
+  'youtube', 'tiktok', 'reddit', 'hackernews', 'github', 'article',
+];
+
+BUILT_IN_PLATFORMS.forEach(name => loadPluginModule(path.join(PLATFORMS_DIR, `${name}.js`)));
+
 // ============================================================================
 // SCREENSHOT GENERATOR
 // ============================================================================
 
-async function generateScreenshot(html, filename) {
+/**
+ * Runs inside the card page (passed to page.evaluate)
+ * Centres the card on a fixed-size canvas, scaled to fit inside the safe margins
+ */
+function applyCanvasLayout({ width, height, margin, background, mode }) {
+  const card = document.querySelector('.card');
+  const rect = card.getBoundingClientRect();
+
+  // Fit inside the safe area; small cards grow up to 2x so they stay readable on a slide
+  const availableWidth = width * (1 - margin * 2);
+  const availableHeight = height * (1 - margin * 2);
+  const fit = Math.min(availableWidth / rect.width, availableHeight / rect.height, 2);
+
+  // Blur the largest image in the card (post media beats avatars); no media falls back to the gradient
+  const media = Array.from(card.querySelectorAll('img'))
+    .filter(img => img.naturalWidth > 0)
+    .sort((a, b) => (b.naturalWidth * b.naturalHeight) - (a.naturalWidth * a.naturalHeight))[0];
+
+  const style = document.createElement('style');
+  style.textContent = `
+    html, body {
+      width: ${width}px;
+      height: ${height}px;
+      margin: 0 !important;
+      padding: 0 !important;
+      overflow: hidden;
+      background: ${background} !important;
+    }
+    .card {
+      position: fixed !important;
+      left: 50%;
+      top: 50%;
+      width: ${rect.width}px;
+      max-width: none !important;
+      margin: 0 !important;
+      transform: translate(-50%, -50%) scale(${fit});
+      transform-origin: center;
+      box-shadow: 0 24px 64px rgba(0, 0, 0, 0.35);
+    }
+    .canvas-media {
+      position: fixed;
+      inset: -60px;
+      background-size: cover;
+      background-position: center;
+      filter: blur(40px) brightness(0.7);
+      z-index: -1;
+    }
+  `;
+  document.head.appendChild(style);
+
+  if (mode === 'blur' && media) {
+    const backdrop = document.createElement('div');
+    backdrop.className = 'canvas-media';
+    backdrop.style.backgroundImage = `url("${media.src}")`;
+    document.body.prepend(backdrop);
+  }
+}
+
+/**
+ * Render the card once and write it in every requested format
+ * `basePath` has no extension; returns the written files (first = primary card)
+ */
+async function generateScreenshot(html, basePath, options = {}) {
+  const formats = options.formats && options.formats.length > 0 ? options.formats : ['png'];
   const browser = await getBrowser();
-  const page = await browser.newPage();
+  // Wide cards need a wider viewport; scale renders every CSS pixel at 1-3 device pixels
+  const page = await browser.newPage({
+    viewport: { width: Math.max(1280, cardWidth(options) + 100), height: 720 },
+    deviceScaleFactor: options.scale || 1,
+  });
   await page.setContent(html, { waitUntil: 'networkidle' });
 
+  // Solid background instead of the template's own page colour / transparency
+  if (options.background && !options.canvas) {
+    await page.addStyleTag({ content: `html, body { background: ${options.background} !important; }` });
+  }
+
   // Wait for images to load
   await page.evaluate(() => {
     return Promise.all(
@@ -2892,141 +2577,223 @@ async function generateScreenshot(html, filename) {
 
   // Screenshot with some padding
   const padding = 20;
-  await page.screenshot({
-    path: filename,
-    clip: {
-      x: boundingBox.x - padding,
-      y: boundingBox.y - padding,
-      width: boundingBox.width + (padding * 2),
-      height: boundingBox.height + (padding * 2),
-    },
-    omitBackground: true // Transparent background
-  });
+  let clip = {
+    x: boundingBox.x - padding,
+    y: boundingBox.y - padding,
+    width: boundingBox.width + (padding * 2),
+    height: boundingBox.height + (padding * 2),
+  };
+
+  // Slide canvas: the whole viewport becomes the image, card centred on it
+  const canvas = CANVAS_PRESETS[options.canvas];
+  if (canvas) {
+    const mode = options.canvasBackground || 'gradient';
+    await page.setViewportSize(canvas);
+    await page.evaluate(applyCanvasLayout, {
+      ...canvas,
+      margin: CANVAS_SAFE_MARGIN,
+      mode,
+      background: options.background || (mode === 'solid' ? '#000' : DEFAULT_CANVAS_GRADIENT),
+    });
+    clip = { x: 0, y: 0, ...canvas };
+  }
+
+  const files = [];
+  for (const format of formats.filter(f => f !== 'pdf')) {
+    const filename = `${basePath}.${format === 'jpeg' ? 'jpg' : format}`;
+
+    if (format === 'png') {
+      await page.screenshot({ path: filename, clip, omitBackground: !options.background && !canvas });
+    } else if (format === 'jpeg') {
+      await page.screenshot({ path: filename, clip, type: 'jpeg', quality: IMAGE_QUALITY });
+    } else if (format === 'webp') {
+      // Playwright only encodes PNG/JPEG; Chromium's canvas encodes WebP with alpha
+      const png = await page.screenshot({ clip, omitBackground: !options.background && !canvas });
+      const dataUri = await page.evaluate(async ({ src, quality }) => {
+        const img = new Image();
+        img.src = src;
+        await img.decode();
+        const canvas = document.createElement('canvas');
+        canvas.width = img.naturalWidth;
+        canvas.height = img.naturalHeight;
+        canvas.getContext('2d').drawImage(img, 0, 0);
+        return canvas.toDataURL('image/webp', quality);
+      }, { src: `data:image/png;base64,${png.toString('base64')}`, quality: IMAGE_QUALITY / 100 });
+      fs.writeFileSync(filename, Buffer.from(dataUri.split(',')[1], 'base64'));
+    } else if (format === 'svg') {
+      // The rendered card as an embedded <image>, sized in CSS pixels: opens the same in
+      // browsers and design tools (which mostly ignore <foreignObject> HTML)
+      const png = await page.screenshot({ clip, omitBackground: !options.background && !canvas });
+      const width = Math.round(clip.width);
+      const height = Math.round(clip.height);
+      fs.writeFileSync(filename, [
+        `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+        `<image width="${width}" height="${height}" xlink:href="data:image/png;base64,${png.toString('base64')}"/>`,
+        '</svg>',
+      ].join('\n'));
+    }
+    files.push(filename);
+  }
+
+  if (formats.includes('pdf')) {
+    // Vector PDF sized to the card: lay the card out at the page origin, then print one page
+    const filename = `${basePath}.pdf`;
+    if (!canvas) {
+      await page.addStyleTag({ content: `body { margin: 0 !important; padding: ${padding}px !important; }` });
+    }
+    await page.emulateMedia({ media: 'screen' });
+    await page.pdf({
+      path: filename,
+      width: `${Math.ceil(clip.width)}px`,
+      height: `${Math.ceil(clip.height)}px`,
+      margin: { top: '0', right: '0', bottom: '0', left: '0' },
+      printBackground: true,
+      pageRanges: '1',
+    });
+    files.push(filename);
+  }
 
   await page.close();
-  return filename;
+  return files;
 }
 
 // ============================================================================
 // PROCESS SINGLE URL
 // ============================================================================
 
-async function processUrl(url, index, total, outputDir, options = {}) {
-  const prefix = total > 1 ? `[${index + 1}/${total}] ` : '';
-  console.log(`${prefix}Processing: ${url}`);
+/**
+ * Scrape a post with its platform's scraper
+ * `data` drives filenames and downloads; `metadataSource` is what the card renders (a thread in thread mode)
+ */
+async function scrapePost(url, platform, options = {}) {
+  // Thread mode and image resolution change what gets scraped, so they're part of the key
+  const cacheKey = JSON.stringify({ url: canonicalUrl(url), thread: Boolean(options.thread), imageWidth: cardImageWidth(options) });
+  const cached = readCache('posts', cacheKey);
+  if (cached) {
+    return { ...JSON.parse(cached), cached: true };
+  }
+  assertOnline(url);
 
-  // Detect platform
-  const platform = detectPlatform(url);
+  const plugin = findPlatform(platform);
+  if (!plugin) throw new Error('Platform not implemented');
+  const metadataSource = await plugin.scrape(url, { options, helpers: pluginHelpers() });
 
-  if (platform === 'unknown') {
-    console.log(`${prefix}  ⚠️  Unknown platform, skipping`);
-    return { success: false, url, error: 'Unknown platform' };
-  }
+  // Threads keep their posts in `tweets`; the first author and every image stand for the card
+  const data = metadataSource.tweets ? {
+    author: metadataSource.tweets[0]?.author || { name: 'Unknown' },
+    originalImageUrls: metadataSource.tweets.flatMap(t => t.originalImageUrls || []),
+  } : metadataSource;
+
+  const result = { data, metadataSource };
+  writeCache('posts', cacheKey, JSON.stringify(result));
+  return result;
+}
 
+async function processUrl(inputUrl, index, total, outputDir, options = {}) {
+  const prefix = total > 1 ? `[${index + 1}/${total}] ` : '';
+  const annotation = options.annotations?.[canonicalUrl(inputUrl)];
+  options = urlOptions(options, inputUrl);
+  console.log(`${prefix}Processing: ${inputUrl.trim()}`);
+
+  let url = inputUrl.trim();
   try {
-    // Scrape data based on platform
-    let data;
-    let html;
-    let metadataSource;
-
-    switch (platform) {
-      case 'twitter':
-        if (options.thread) {
-          // Thread mode: fetch conversation and create combined card
-          const threadData = await scrapeTwitterThread(url);
-          html = options.bento ? renderBentoTwitterThreadCard(threadData) : renderTwitterThreadCard(threadData);
-          // Collect all original images from all tweets
-          data = {
-            author: threadData.tweets[0]?.author || { name: 'Unknown' },
-            originalImageUrls: threadData.tweets.flatMap(t => t.originalImageUrls || []),
-          };
-          metadataSource = threadData;
-        } else {
-          data = await scrapeTwitter(url);
-          html = options.bento ? renderBentoTwitterCard(data) : renderTwitterCard(data);
-          metadataSource = data;
-        }
-        break;
-      case 'macrumors':
-        data = await scrapeMacrumors(url);
-        html = options.bento ? renderBentoMacrumorsCard(data) : renderMacrumorsCard(data);
-        metadataSource = data;
-        break;
-      case 'bluesky':
-        data = await scrapeBluesky(url);
-        html = options.bento ? renderBentoBlueskyCard(data) : renderBlueskyCard(data);
-        metadataSource = data;
-        break;
-      case 'mastodon':
-        data = await scrapeMastodon(url);
-        html = options.bento ? renderBentoMastodonCard(data) : renderMastodonCard(data);
-        metadataSource = data;
-        break;
-      case 'threads':
-        data = await scrapeThreads(url);
-        html = options.bento ? renderBentoTwitterCard(data) : renderTwitterCard(data);
-        metadataSource = data;
-        break;
-      case 'youtube':
-        data = await scrapeYouTube(url);
-        html = options.bento ? renderBentoYouTubeCard(data) : renderYouTubeCard(data);
-        metadataSource = data;
-        break;
-      case 'tiktok':
-        data = await scrapeTikTok(url);
-        html = options.bento ? renderBentoTikTokCard(data) : renderTikTokCard(data);
-        metadataSource = data;
-        break;
-      case 'article':
-        data = await scrapeArticle(url);
-        html = options.bento ? renderBentoArticleCard(data) : renderArticleCard(data);
-        metadataSource = data;
-        break;
-      default:
-        throw new Error('Platform not implemented');
+    // Short links are expanded before the platform is known
+    const resolved = await resolvePostUrl(inputUrl);
+    const { originalUrl, finalUrl } = resolved;
+    url = resolved.url;
+    if (finalUrl !== originalUrl) {
+      console.log(`${prefix}  ↪️  ${finalUrl}`);
     }
 
+    // Detect platform (probing unknown hosts for fediverse servers)
+    const platform = await resolvePlatform(url);
+
+    if (platform === 'unknown') {
+      console.log(`${prefix}  ⚠️  Unknown platform, skipping`);
+      return { success: false, url, error: 'Unknown platform' };
+    }
+
+    const scraped = await scrapePost(url, platform, options);
+    if (scraped.cached) console.log(`${prefix}  💾 From cache`);
+
+    // Redacted before anything is drawn or saved; the cache keeps the original
+    const redact = options.redact || [];
+    const data = redactPost(scraped.data, redact);
+    const metadataSource = redactPost(scraped.metadataSource, redact);
+    const html = renderCardHtml(metadataSource, options);
+
     const author = data.author?.name || data.siteName || 'Unknown';
 
     // Generate base filename (without extension)
-    const baseFilename = generateFilename(url, platform).replace('.png', '');
+    const baseFilename = generateFilename(url, platform, redact.length > 0).replace('.png', '');
 
-    // Generate card screenshot
-    const cardFilename = path.join(outputDir, `${baseFilename}-card.png`);
-    await generateScreenshot(html, cardFilename);
+    // Generate card screenshot (one file per --format)
+    const cardFilenames = await generateScreenshot(html, path.join(outputDir, `${baseFilename}-card`), options);
+    const cardFilename = cardFilenames[0];
 
     // Download original images
     const downloadedImages = [];
+    const assetFiles = {}; // Remote URL -> local filename, used by `render` mode
     if (data.originalImageUrls && data.originalImageUrls.length > 0) {
       for (let i = 0; i < data.originalImageUrls.length; i++) {
         const imgUrl = data.originalImageUrls[i];
         const ext = getImageExtension(imgUrl);
         const imgFilename = path.join(outputDir, `${baseFilename}-image-${i + 1}.${ext}`);
         const result = await downloadImage(imgUrl, imgFilename);
+        if (result && redact.length > 0) stripImageMetadata(imgFilename);
         if (result) {
           downloadedImages.push(path.basename(imgFilename));
+          assetFiles[imgUrl] = path.basename(imgFilename);
+        }
+      }
+    }
+
+    // Quoted posts keep their own media, separate from the post's images
+    const quotedImages = [];
+    const quotedPosts = (metadataSource.tweets || [metadataSource]).map(post => post.quoted).filter(Boolean);
+    for (const quoted of quotedPosts) {
+      for (const imgUrl of quoted.originalImageUrls || []) {
+        const ext = getImageExtension(imgUrl);
+        const imgFilename = path.join(outputDir, `${baseFilename}-quoted-image-${quotedImages.length + 1}.${ext}`);
+        const result = await downloadImage(imgUrl, imgFilename);
+        if (result && redact.length > 0) stripImageMetadata(imgFilename);
+        if (result) {
+          quotedImages.push(path.basename(imgFilename));
+          assetFiles[imgUrl] = path.basename(imgFilename);
         }
       }
     }
 
+    // Keep avatars, link thumbnails and favicons on disk so the card can be re-rendered offline
+    saveCardAssets(metadataSource, outputDir, baseFilename, assetFiles);
+
     const metadataFilename = path.join(outputDir, `${baseFilename}-metadata.json`);
-    const metadataPayload = buildMetadataPayload(metadataSource || data, url, cardFilename, downloadedImages);
+    let metadataPayload = buildMetadataPayload(metadataSource, url, cardFilenames, downloadedImages, assetFiles);
+    metadataPayload.originalUrl = originalUrl;
+    metadataPayload.finalUrl = finalUrl;
+    if (annotation) metadataPayload.annotation = annotation; // So `render` keeps this URL's highlights
+    metadataPayload = redactMetadata(metadataPayload, redact);
     fs.writeFileSync(metadataFilename, JSON.stringify(metadataPayload, null, 2));
 
     // Log results
     console.log(`${prefix}  ✅ ${author}`);
-    console.log(`${prefix}     Card: ${path.basename(cardFilename)}`);
+    cardFilenames.forEach(file => console.log(`${prefix}     Card: ${path.basename(file)}`));
     if (downloadedImages.length > 0) {
       downloadedImages.forEach(img => console.log(`${prefix}     Image: ${img}`));
     }
+    quotedImages.forEach(img => console.log(`${prefix}     Quoted image: ${img}`));
     console.log(`${prefix}     Metadata: ${path.basename(metadataFilename)}`);
 
+    const imageFilenames = [...downloadedImages, ...quotedImages];
     return {
       success: true,
-      url,
+      url: redact.length > 0 ? metadataPayload.url : url,
+      originalUrl: redact.length > 0 ? metadataPayload.originalUrl : originalUrl,
       cardFilename: path.basename(cardFilename),
-      imageFilenames: downloadedImages,
+      cardFilenames: cardFilenames.map(file => path.basename(file)),
+      imageFilenames,
       metadataFilename: path.basename(metadataFilename),
+      files: [...cardFilenames.map(file => path.basename(file)), ...imageFilenames, path.basename(metadataFilename)],
       author
     };
 
@@ -3036,6 +2803,477 @@ async function processUrl(url, index, total, outputDir, options = {}) {
   }
 }
 
+// ============================================================================
+// COMPOSE MULTIPLE POSTS INTO ONE IMAGE
+// ============================================================================
+
+async function processGroup(group, index, total, outputDir, options = {}) {
+  const prefix = total > 1 ? `[${index + 1}/${total}] ` : '';
+  console.log(`${prefix}Composing ${group.layout}: ${group.urls.length} posts`);
+
+  try {
+    // One bad post shouldn't sink the whole image; skip it and compose the rest
+    const redact = options.redact || [];
+    const posts = [];
+    for (const groupUrl of group.urls) {
+      let url = groupUrl.trim();
+      try {
+        const resolved = await resolvePostUrl(groupUrl);
+        url = resolved.url;
+        if (resolved.finalUrl !== groupUrl.trim()) {
+          console.log(`${prefix}  ↪️  ${groupUrl.trim()} → ${resolved.finalUrl}`);
+        }
+        const platform = await resolvePlatform(url);
+        if (platform === 'unknown') {
+          console.log(`${prefix}  ⚠️  Unknown platform, skipping ${url}`);
+          continue;
+        }
+        const { data, metadataSource } = await scrapePost(url, platform, options);
+        posts.push({
+          url,
+          data: redactPost(data, redact),
+          metadataSource: redactPost(metadataSource, redact),
+          options: urlOptions(options, groupUrl),
+        });
+      } catch (error) {
+        console.log(`${prefix}  ⚠️  ${url}: ${error.message}`);
+      }
+    }
+
+    if (posts.length === 0) {
+      throw new Error('No posts in group could be captured');
+    }
+
+    const html = renderComposeHtml(posts.map(post => renderCardHtml(post.metadataSource, post.options)), group.layout, options);
+    const author = posts.map(post => post.data.author?.name || post.data.siteName || 'Unknown').join(', ');
+
+    const baseFilename = `compose-${group.layout}-${Date.now()}`;
+    const cardFilenames = await generateScreenshot(html, path.join(outputDir, `${baseFilename}-card`), options);
+
+    // Named -compose.json (not -metadata.json) so `render` doesn't mistake it for a single card
+    const composeFilename = path.join(outputDir, `${baseFilename}-compose.json`);
+    const urls = redact.includes('name') || redact.includes('handle')
+      ? group.urls.map(groupUrl => `sha256:${redactHash(groupUrl).slice(0, 16)}`)
+      : group.urls;
+    fs.writeFileSync(composeFilename, JSON.stringify({
+      layout: group.layout,
+      urls,
+      cards: cardFilenames.map(file => path.basename(file)),
+      posts: posts.map(post => redactMetadata(buildMetadataPayload(post.metadataSource, post.url, cardFilenames, []), redact)),
+    }, null, 2));
+
+    console.log(`${prefix}  ✅ ${author}`);
+    cardFilenames.forEach(file => console.log(`${prefix}     Card: ${path.basename(file)}`));
+    console.log(`${prefix}     Metadata: ${path.basename(composeFilename)}`);
+
+    return {
+      success: true,
+      url: urls.join(' + '),
+      urls,
+      layout: group.layout,
+      cardFilename: path.basename(cardFilenames[0]),
+      cardFilenames: cardFilenames.map(file => path.basename(file)),
+      imageFilenames: [],
+      metadataFilename: path.basename(composeFilename),
+      files: [...cardFilenames.map(file => path.basename(file)), path.basename(composeFilename)],
+      author
+    };
+
+  } catch (error) {
+    console.log(`${prefix}  ❌ Error: ${error.message}`);
+    return { success: false, url: group.urls.join(' + '), error: error.message };
+  }
+}
+
+/**
+ * Worker for parseUrlList entries: plain URLs get their own card, groups are composed
+ */
+function processEntry(entry, index, total, outputDir, options = {}) {
+  return typeof entry === 'string'
+    ? processUrl(entry, index, total, outputDir, options)
+    : processGroup(entry, index, total, outputDir, options);
+}
+
+// ============================================================================
+// POWERPOINT DECK EXPORT
+// ============================================================================
+
+/**
+ * Pixel size of a PNG, read from its IHDR chunk
+ */
+function readPngSize(filename) {
+  const header = Buffer.alloc(24);
+  const fd = fs.openSync(filename, 'r');
+  fs.readSync(fd, header, 0, 24, 0);
+  fs.closeSync(fd);
+  return { width: header.readUInt32BE(16), height: header.readUInt32BE(20) };
+}
+
+/**
+ * Build a .pptx with one card per slide, in the same order as the results
+ * Slide size follows --canvas (16:9 by default); notes hold the author and source URL
+ */
+async function writeDeck(results, outputDir, deckPath, options = {}) {
+  const ratio = DECK_LAYOUTS[options.canvas] ? options.canvas : '16:9';
+  const slideSize = DECK_LAYOUTS[ratio];
+  // Canvas cards already carry their own margins and background
+  const margin = options.canvas ? 0 : 0.5;
+  const slideBackground = /^#[0-9a-f]{6}$/i.test(options.background || '') ? options.background.slice(1) : null;
+
+  const pptx = new PptxGenJS();
+  pptx.defineLayout({ name: `CARDS_${ratio}`, width: slideSize.width, height: slideSize.height });
+  pptx.layout = `CARDS_${ratio}`;
+
+  let slides = 0;
+  for (const result of results) {
+    const cardFile = (result.cardFilenames || []).find(file => file.endsWith('.png'));
+    if (!result.success || !cardFile) continue;
+
+    const imagePath = path.join(outputDir, cardFile);
+    const size = readPngSize(imagePath);
+
+    // Fit the card inside the margins without distorting it, then centre it
+    const maxWidth = slideSize.width - margin * 2;
+    const maxHeight = slideSize.height - margin * 2;
+    const fit = Math.min(maxWidth / size.width, maxHeight / size.height);
+    const w = size.width * fit;
+    const h = size.height * fit;
+
+    const slide = pptx.addSlide();
+    if (slideBackground) slide.background = { color: slideBackground };
+    slide.addImage({
+      path: imagePath,
+      x: (slideSize.width - w) / 2,
+      y: (slideSize.height - h) / 2,
+      w,
+      h,
+      altText: result.author || cardFile,
+    });
+    slide.addNotes([result.author, ...(result.urls || [result.url])].filter(Boolean).join('\n'));
+    slides++;
+  }
+
+  if (slides === 0) {
+    throw new Error('No PNG cards to put in the deck');
+  }
+
+  await pptx.writeFile({ fileName: deckPath });
+  return { deckPath, slides };
+}
+
+// ============================================================================
+// HTML GALLERY EXPORT
+// ============================================================================
+
+/**
+ * Caption details for a gallery entry, read from the card's metadata file
+ * Compose images list every post; threads use the first tweet's author
+ */
+function galleryEntryDetails(result, outputDir) {
+  let metadata = {};
+  try {
+    metadata = JSON.parse(fs.readFileSync(path.join(outputDir, result.metadataFilename), 'utf-8'));
+  } catch (e) {
+    // Missing metadata just means a thinner caption
+  }
+
+  const posts = metadata.posts || [metadata];
+  const first = posts[0] || {};
+  const author = first.author || first.tweets?.[0]?.author || {};
+
+  return {
+    author: result.author || author.name || first.siteName || 'Unknown',
+    platform: metadata.layout ? `${metadata.layout} · ${posts.map(post => post.platform).join(', ')}` : (first.platform || ''),
+    timestamp: first.timestamp || first.tweets?.[0]?.timestamp || '',
+    urls: result.urls || [first.url || result.url].filter(Boolean),
+  };
+}
+
+/**
+ * Write index.html into the output folder: a contact sheet of every card from this run
+ * plus a fullscreen slideshow (click a card or press Enter; arrows navigate, F = fullscreen, Esc closes)
+ * CSS and JS are inline; cards are referenced by relative path so the folder can be shared as is
+ */
+function writeGallery(results, outputDir) {
+  const entries = results
+    .filter(result => result.success && result.metadataFilename)
+    .map(result => ({
+      ...galleryEntryDetails(result, outputDir),
+      card: (result.cardFilenames || [result.cardFilename]).find(file => /\.(png|jpe?g|webp|svg)$/.test(file)),
+    }))
+    .filter(entry => entry.card);
+
+  const formatDate = value => {
+    const date = new Date(value);
+    return isNaN(date) ? value : date.toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+  };
+  const sourceLinks = urls => urls
+    .filter(url => /^https?:\/\//.test(url))
+    .map(url => `<a href="${escapeHtml(url)}" target="_blank" rel="noopener">${escapeHtml(url.replace(/^https?:\/\/(www\.)?/, '').slice(0, 60))}</a>`)
+    .join('');
+
+  const figures = entries.map((entry, index) => `
+      <figure class="entry" data-index="${index}">
+        <button class="thumb" type="button" aria-label="Open slideshow at card ${index + 1}">
+          <img src="${escapeHtml(entry.card)}" alt="${escapeHtml(entry.author)}" loading="lazy">
+        </button>
+        <figcaption>
+          <strong>${escapeHtml(entry.author)}</strong>
+          <span class="meta">${escapeHtml(entry.platform)}${entry.timestamp ? ` · ${escapeHtml(formatDate(entry.timestamp))}` : ''}</span>
+          <span class="links">${sourceLinks(entry.urls)}</span>
+        </figcaption>
+      </figure>`).join('');
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Cards · ${entries.length}</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+      background: #111114;
+      color: #e7e7ea;
+      padding: 32px;
+    }
+    header {
+      display: flex;
+      align-items: baseline;
+      justify-content: space-between;
+      margin-bottom: 24px;
+    }
+    h1 { font-size: 22px; font-weight: 600; }
+    header button, .slideshow button {
+      background: #2b2b33;
+      color: inherit;
+      border: 1px solid #3a3a44;
+      border-radius: 8px;
+      padding: 8px 14px;
+      font: inherit;
+      cursor: pointer;
+    }
+    .sheet {
+      display: grid;
+      grid-template-columns: repeat(auto-fill, minmax(280px, 1fr));
+      gap: 24px;
+    }
+    .entry {
+      background: #1a1a20;
+      border: 1px solid #26262e;
+      border-radius: 12px;
+      overflow: hidden;
+    }
+    .thumb {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      width: 100%;
+      height: 260px;
+      background: #0b0b0d;
+      border: 0;
+      cursor: zoom-in;
+    }
+    .thumb img { max-width: 100%; max-height: 100%; object-fit: contain; }
+    figcaption {
+      display: flex;
+      flex-direction: column;
+      gap: 4px;
+      padding: 12px 14px 14px;
+      font-size: 13px;
+    }
+    .meta { color: #8d8d99; }
+    .links a {
+      display: block;
+      color: #7fb3ff;
+      text-decoration: none;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+    .slideshow {
+      position: fixed;
+      inset: 0;
+      display: none;
+      flex-direction: column;
+      align-items: center;
+      justify-content: center;
+      gap: 16px;
+      background: #000;
+      padding: 32px;
+    }
+    .slideshow.open { display: flex; }
+    .slideshow img { max-width: 100%; max-height: calc(100vh - 140px); object-fit: contain; }
+    .slideshow figcaption { align-items: center; text-align: center; }
+    .slideshow .controls { display: flex; gap: 8px; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${entries.length} card${entries.length === 1 ? '' : 's'}</h1>
+    <button type="button" id="start">Slideshow ▶</button>
+  </header>
+  <main class="sheet">${figures}
+  </main>
+  <div class="slideshow" id="slideshow" role="dialog" aria-label="Slideshow">
+    <img id="slide-image" alt="">
+    <figcaption id="slide-caption"></figcaption>
+    <div class="controls">
+      <button type="button" id="prev">← Prev</button>
+      <button type="button" id="fullscreen">Fullscreen</button>
+      <button type="button" id="next">Next →</button>
+      <button type="button" id="close">Close</button>
+    </div>
+  </div>
+  <script>
+    const entries = Array.from(document.querySelectorAll('.entry'));
+    const slideshow = document.getElementById('slideshow');
+    let current = 0;
+
+    function show(index) {
+      if (entries.length === 0) return;
+      current = (index + entries.length) % entries.length;
+      const entry = entries[current];
+      document.getElementById('slide-image').src = entry.querySelector('img').src;
+      document.getElementById('slide-caption').innerHTML = entry.querySelector('figcaption').innerHTML;
+      slideshow.classList.add('open');
+    }
+
+    function close() {
+      slideshow.classList.remove('open');
+      if (document.fullscreenElement) document.exitFullscreen();
+    }
+
+    function toggleFullscreen() {
+      if (document.fullscreenElement) document.exitFullscreen();
+      else slideshow.requestFullscreen();
+    }
+
+    entries.forEach((entry, index) => entry.querySelector('.thumb').addEventListener('click', () => show(index)));
+    document.getElementById('start').addEventListener('click', () => show(0));
+    document.getElementById('prev').addEventListener('click', () => show(current - 1));
+    document.getElementById('next').addEventListener('click', () => show(current + 1));
+    document.getElementById('close').addEventListener('click', close);
+    document.getElementById('fullscreen').addEventListener('click', toggleFullscreen);
+
+    document.addEventListener('keydown', event => {
+      if (!slideshow.classList.contains('open')) {
+        if (event.key === 'Enter' && document.activeElement === document.body) show(0);
+        return;
+      }
+      if (event.key === 'ArrowRight' || event.key === ' ') show(current + 1);
+      else if (event.key === 'ArrowLeft') show(current - 1);
+      else if (event.key === 'Escape') close();
+      else if (event.key === 'f') toggleFullscreen();
+      else return;
+      event.preventDefault();
+    });
+  </script>
+</body>
+</html>
+`;
+
+  const galleryPath = path.join(outputDir, 'index.html');
+  fs.writeFileSync(galleryPath, html);
+  return { galleryPath, cards: entries.length };
+}
+
+// ============================================================================
+// RE-RENDER FROM SAVED METADATA
+// ============================================================================
+
+async function renderFromMetadata(metadataPath, index, total, outputDir, options = {}) {
+  const prefix = total > 1 ? `[${index + 1}/${total}] ` : '';
+  console.log(`${prefix}Rendering: ${path.basename(metadataPath)}`);
+
+  try {
+    const data = redactPost(loadMetadataCard(metadataPath), options.redact || []);
+    const html = renderCardHtml(data, data.annotation ? { ...options, ...data.annotation } : options);
+    const author = data.author?.name || data.tweets?.[0]?.author?.name || data.siteName || 'Unknown';
+
+    // Reuse the original base filename so the new card replaces the old one
+    const baseFilename = path.basename(metadataPath).replace(/-metadata\.json$/, '');
+    const cardFilenames = await generateScreenshot(html, path.join(outputDir || path.dirname(metadataPath), `${baseFilename}-card`), options);
+
+    console.log(`${prefix}  ✅ ${author}`);
+    cardFilenames.forEach(file => console.log(`${prefix}     Card: ${path.basename(file)}`));
+
+    return {
+      success: true,
+      url: data.url,
+      cardFilename: path.basename(cardFilenames[0]),
+      cardFilenames: cardFilenames.map(file => path.basename(file)),
+      imageFilenames: [],
+      metadataFilename: path.basename(metadataPath),
+      files: cardFilenames.map(file => path.basename(file)),
+      author
+    };
+
+  } catch (error) {
+    console.log(`${prefix}  ❌ Error: ${error.message}`);
+    return { success: false, url: metadataPath, error: error.message };
+  }
+}
+
+async function renderMain(config) {
+  const files = collectMetadataFiles(config.metadata.length > 0 ? config.metadata : [config.output]);
+
+  if (files.length === 0) {
+    console.error('❌ No *-metadata.json files found to render');
+    process.exit(1);
+  }
+
+  // Without --output, each card is written next to its metadata file
+  const outputDir = config.metadata.length === 0 || config.output !== DEFAULT_SCREENSHOTS_DIR
+    ? config.output
+    : null;
+  if (outputDir && !fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  console.log(`\n📸 Social Screenshot Tool`);
+  console.log(`Re-rendering ${files.length} card${files.length === 1 ? '' : 's'} from metadata (offline)\n`);
+
+  const startTime = Date.now();
+  const options = applyTheme({
+    bento: config.bento,
+    theme: config.theme,
+    scale: config.scale,
+    width: config.width,
+    quoteDepth: config.quoteDepth,
+    excerptChars: config.excerptChars,
+    excerptLines: config.excerptLines,
+    fullText: config.fullText,
+    readMore: config.readMore,
+    passage: config.passage,
+    highlightStyle: config.highlightStyle,
+    dim: config.dim,
+    redact: config.redact,
+    formats: config.formats,
+    background: config.background,
+    canvas: config.canvas,
+    canvasBackground: config.canvasBackground,
+  }, config.themeFile);
+  const results = await processInParallel(files, outputDir, config.parallel, options, renderFromMetadata);
+  const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+
+  await closeBrowser();
+
+  const successful = results.filter(r => r.success);
+  const failed = results.filter(r => !r.success);
+
+  console.log(`\n${'═'.repeat(50)}`);
+  console.log(`SUMMARY (${elapsed}s)`);
+  console.log(`${'═'.repeat(50)}`);
+  console.log(`📷 Cards rendered: ${successful.length}`);
+  if (failed.length > 0) {
+    console.log(`❌ Failed: ${failed.length}`);
+    failed.forEach(r => console.log(`   • ${path.basename(r.url)}: ${r.error}`));
+  }
+  console.log(`\n📁 Output: ${outputDir || 'next to each metadata file'}\n`);
+}
+
 // ============================================================================
 // MAIN FUNCTION
 // ============================================================================
@@ -3043,21 +3281,49 @@ async function processUrl(url, index, total, outputDir, options = {}) {
 async function main() {
   const args = process.argv.slice(2);
   const config = parseArgs(args);
+  configureCache({ dir: config.cacheDir, ttlHours: config.cacheTtl, refresh: config.refresh, offline: config.offline });
+
+  // Extra platform plugins and forum hosts named in the config file
+  const fileConfig = loadConfig(config.config || undefined);
+  configureForums(fileConfig.forums);
+  const plugins = loadPlugins(fileConfig.plugins, fileConfig.baseDir);
+  if (plugins.length > 0) {
+    console.log(`🔌 Plugins: ${plugins.join(', ')}`);
+  }
+
+  if (config.mode === 'render') {
+    await renderMain(config);
+    return;
+  }
 
   // If --file flag is set, read URLs from file
   if (config.file) {
     try {
       const content = fs.readFileSync(config.file, 'utf-8');
-      config.urls = content
-        .split('\n')
-        .map(line => line.trim())
-        .filter(line => line && !line.startsWith('#') && line.startsWith('http'));
+      config.urls = parseUrlList(content, config.annotations);
     } catch (e) {
       console.error(`❌ Could not read file: ${config.file}`);
       process.exit(1);
     }
   }
 
+  // Same post twice (tracking params, twitter.com vs x.com, ...) is only captured once
+  const { entries, merged } = normalizeUrls(config.urls);
+  config.urls = entries;
+
+  // Slides are built from PNG cards, whatever else --format asks for
+  if (config.deck && !config.formats.includes('png')) {
+    config.formats = ['png', ...config.formats];
+  }
+
+  // --compose puts every URL (grouped or not) into a single image
+  if (config.compose && config.urls.length > 0) {
+    config.urls = [{
+      layout: config.compose,
+      urls: config.urls.flatMap(entry => (typeof entry === 'string' ? [entry] : entry.urls)),
+    }];
+  }
+
   if (config.urls.length === 0) {
     console.log(`
 ╔═══════════════════════════════════════════════════════════════╗
@@ -3076,23 +3342,58 @@ async function main() {
 ║  From file (one URL per line):                                ║
 ║    node screenshot.js --file urls.txt                         ║
 ║                                                               ║
+║  Several posts in one image (row, column, grid, collage):     ║
+║    node screenshot.js --compose row <url1> <url2>             ║
+║                                                               ║
+║  Re-render saved cards offline (files or folders):            ║
+║    node screenshot.js render <metadata.json|folder>           ║
+║                                                               ║
 ║  OPTIONS:                                                     ║
 ║    --output <folder>   Save screenshots to custom folder      ║
 ║    --parallel <n>      Process n URLs at once (default: 3)    ║
 ║    --thread            Capture threads/replies as one card    ║
 ║    --bento             Apple bento style for Keynote slides   ║
+║    --theme <mode>      light, dark or auto (default: auto)    ║
+║    --theme-file <f>    Theme JSON/CSS file or built-in name   ║
+║    --scale <1|2|3>     Device scale factor (default: 1)       ║
+║    --width <px>        Card width in pixels (default: 550)    ║
+║    --quote-depth <n>   Nested forum quotes shown (default: 1) ║
+║    --excerpt <chars>   Cut post text at a sentence or word    ║
+║    --excerpt-lines <n> Cut post text to about n lines         ║
+║    --full-text         Never cut post text                    ║
+║    --read-more         Add "Read more" after cut text         ║
+║    --passage "<text>"  Highlight a passage, keep it in view   ║
+║    --highlight-style   marker, underline or bold              ║
+║    --dim               Dim the text around highlights         ║
+║    --redact [levels]   Hide avatar,name,handle,metrics,       ║
+║                        mentions (default: all)                ║
+║    --format <list>     png,pdf,webp,jpeg,svg (default: png)   ║
+║    --background <c>    Background colour behind the card      ║
+║    --canvas <ratio>    16:9, 4:3, 1:1 or 9:16 slide canvas    ║
+║    --canvas-bg <type>  solid, gradient or blur background     ║
+║    --deck <file.pptx>  Also build a slide deck, one card each ║
+║    --refresh           Ignore cached posts and images         ║
+║    --offline           Use only cached posts (no network)     ║
+║    --cache-ttl <h>     Cache lifetime in hours (default: 24)  ║
+║    --config <file>     Config with extra platform plugins     ║
 ║                                                               ║
 ║  EXAMPLES:                                                    ║
 ║    node screenshot.js --file urls.txt --output ./slides       ║
 ║    node screenshot.js --file urls.txt --parallel 5            ║
 ║    node screenshot.js --thread <twitter-url>                  ║
 ║    node screenshot.js --bento <url>                           ║
+║    node screenshot.js render ./slides --bento                 ║
+║    node screenshot.js --theme light <url>                     ║
+║    node screenshot.js --theme-file high-contrast <url>        ║
+║    node screenshot.js --scale 2 --width 640 <url>             ║
+║    node screenshot.js --format png,pdf,webp <url>             ║
 ║                                                               ║
 ╠═══════════════════════════════════════════════════════════════╣
 ║  SUPPORTED PLATFORMS:                                         ║
 ║  • Twitter/X        • Bluesky         • Threads               ║
-║  • MacRumors Forums • Mastodon        • Articles              ║
-║  • YouTube          • TikTok                                  ║
+║  • XenForo forums   • Discourse       • Mastodon/fedi         ║
+║  • Reddit           • Hacker News     • GitHub                ║
+║  • YouTube          • TikTok          • Articles              ║
 ╚═══════════════════════════════════════════════════════════════╝
     `);
     process.exit(1);
@@ -3114,15 +3415,35 @@ async function main() {
   // Process URLs
   const startTime = Date.now();
   let results;
-  const options = { thread: config.thread, bento: config.bento };
+  const options = applyTheme({
+    thread: config.thread,
+    bento: config.bento,
+    theme: config.theme,
+    scale: config.scale,
+    width: config.width,
+    quoteDepth: config.quoteDepth,
+    excerptChars: config.excerptChars,
+    excerptLines: config.excerptLines,
+    fullText: config.fullText,
+    readMore: config.readMore,
+    passage: config.passage,
+    highlightStyle: config.highlightStyle,
+    dim: config.dim,
+    redact: config.redact,
+    annotations: config.annotations,
+    formats: config.formats,
+    background: config.background,
+    canvas: config.canvas,
+    canvasBackground: config.canvasBackground,
+  }, config.themeFile);
 
   if (config.urls.length === 1) {
     // Single URL - process directly
-    const result = await processUrl(config.urls[0], 0, 1, config.output, options);
+    const result = await processEntry(config.urls[0], 0, 1, config.output, options);
     results = [result];
   } else {
     // Multiple URLs - process in parallel
-    results = await processInParallel(config.urls, config.output, config.parallel, options);
+    results = await processInParallel(config.urls, config.output, config.parallel, options, processEntry);
   }
 
   const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
@@ -3140,7 +3461,7 @@ async function main() {
     console.log(`SUMMARY (${elapsed}s)`);
     console.log(`${'═'.repeat(50)}`);
     console.log(`✅ Posts processed: ${successful.length}`);
-    console.log(`📷 Cards saved: ${successful.length}`);
+    console.log(`📷 Cards saved: ${successful.reduce((sum, r) => sum + (r.cardFilenames?.length || 0), 0)}`);
     console.log(`🖼️  Images saved: ${totalImages}`);
     if (failed.length > 0) {
       console.log(`❌ Failed: ${failed.length}`);
@@ -3149,6 +3470,25 @@ async function main() {
     console.log(`\n📁 Output: ${config.output}`);
   }
 
+  if (merged.length > 0) {
+    console.log(`\n🔗 Merged ${merged.length} duplicate URL${merged.length === 1 ? '' : 's'}:`);
+    merged.forEach(m => console.log(`   • ${m.url}${m.url !== m.canonical ? ` → ${m.canonical}` : ''}`));
+  }
+
+  if (results.some(r => r.success)) {
+    const gallery = writeGallery(results, config.output);
+    console.log(`\n🗂️  Gallery: ${gallery.galleryPath}`);
+  }
+
+  if (config.deck) {
+    try {
+      const deck = await writeDeck(results, config.output, config.deck, options);
+      console.log(`\n🖥️  Deck: ${deck.deckPath} (${deck.slides} slide${deck.slides === 1 ? '' : 's'})`);
+    } catch (e) {
+      console.error(`\n❌ Could not write deck: ${e.message}`);
+    }
+  }
+
   console.log('');
 }
 
@@ -3160,9 +3500,45 @@ if (require.main === module) {
 } else {
   module.exports = {
     DEFAULT_SCREENSHOTS_DIR,
+    CARD_WIDTH,
+    FORUM_QUOTE_DEPTH,
+    FORUM_MAX_QUOTE_DEPTH,
+    HIGHLIGHT_STYLES,
+    REDACT_LEVELS,
+    SCALES,
+    CANVAS_PRESETS,
+    CANVAS_BACKGROUNDS,
+    COMPOSE_LAYOUTS,
+    THEMES,
+    parseFormats,
+    parseWidth,
+    parseBackground,
+    listThemes,
+    applyTheme,
     processInParallel,
     processUrl,
+    processGroup,
+    processEntry,
+    writeDeck,
+    writeGallery,
+    configureCache,
+    parseUrlList,
+    parseRedact,
+    redactPost,
+    redactMetadata,
+    buildMetadataPayload,
+    canonicalUrl,
+    normalizeUrls,
+    expandUrl,
+    renderFromMetadata,
+    collectMetadataFiles,
     closeBrowser,
     detectPlatform,
+    resolvePlatform,
+    registerPlatform,
+    loadPlugins,
+    loadConfig,
+    configureForums,
+    pluginHelpers,
   };
 }
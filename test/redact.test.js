@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { redactPost, redactMetadata, buildMetadataPayload } = require('../screenshot');
+
+const DID = 'did:plc:z72i7hdynmk6r22z27h6tvur';
+const cdn = (kind, cid) => `https://cdn.bsky.app/img/${kind}/plain/${DID}/${cid}@jpeg`;
+
+const blueskyPost = () => ({
+  platform: 'bluesky',
+  url: `https://bsky.app/profile/${DID}/post/3kabc`,
+  author: { name: 'Alice', handle: 'alice.bsky.social', avatarUrl: cdn('avatar', 'bafyavatar') },
+  content: 'Hello',
+  timestamp: '2026-01-01T00:00:00.000Z',
+  originalImageUrls: [cdn('feed_fullsize', 'bafyimage')],
+  quoted: {
+    author: { name: 'Bob', handle: 'bob.bsky.social', avatarUrl: cdn('avatar', 'bafybob') },
+    content: 'Quoted',
+    url: `https://bsky.app/profile/${DID}/post/3kdef`,
+    originalImageUrls: [cdn('feed_fullsize', 'bafyquoted')],
+  },
+});
+
+const metadataFor = (data, levels) => redactMetadata(
+  buildMetadataPayload(redactPost(data, levels), data.url, ['card.png'], []),
+  levels,
+);
+
+test('redacted metadata keeps no DID-bearing Bluesky URL', () => {
+  for (const levels of [['name'], ['handle'], ['avatar']]) {
+    const json = JSON.stringify(metadataFor(blueskyPost(), levels));
+    assert.ok(!json.includes(DID), `${levels} leaked the DID: ${json}`);
+    assert.ok(!json.includes('cdn.bsky.app'), `${levels} leaked a CDN URL: ${json}`);
+  }
+});
+
+test('source URLs are hashed in place, nested quotes and thread entries included', () => {
+  const payload = metadataFor(blueskyPost(), ['name']);
+  assert.match(payload.media.originalUrls[0], /^sha256:[0-9a-f]{16}$/);
+  assert.match(payload.quoted.originalImageUrls[0], /^sha256:[0-9a-f]{16}$/);
+  assert.match(payload.quoted.author.avatarUrl, /^sha256:[0-9a-f]{16}$/);
+
+  const thread = {
+    platform: 'twitter-thread',
+    url: 'https://x.com/alice/status/1',
+    tweets: [{ ...blueskyPost(), platform: 'twitter', isMainTweet: true }],
+  };
+  const json = JSON.stringify(metadataFor(thread, ['handle']));
+  assert.ok(!json.includes(DID), json);
+});
+
+test('metrics-only redaction leaves URLs alone', () => {
+  const payload = metadataFor(blueskyPost(), ['metrics']);
+  assert.strictEqual(payload.media.originalUrls[0], cdn('feed_fullsize', 'bafyimage'));
+});
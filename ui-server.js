@@ -5,9 +5,33 @@ const fs = require('fs');
 const path = require('path');
 const {
   DEFAULT_SCREENSHOTS_DIR,
+  FORUM_QUOTE_DEPTH,
+  FORUM_MAX_QUOTE_DEPTH,
+  HIGHLIGHT_STYLES,
+  SCALES,
+  CANVAS_PRESETS,
+  CANVAS_BACKGROUNDS,
+  COMPOSE_LAYOUTS,
+  THEMES,
+  parseFormats,
+  parseWidth,
+  parseBackground,
+  listThemes,
+  applyTheme,
   processInParallel,
-  processUrl,
+  processEntry,
+  parseUrlList,
+  parseRedact,
+  normalizeUrls,
+  writeDeck,
+  writeGallery,
+  renderFromMetadata,
+  collectMetadataFiles,
   closeBrowser,
+  configureCache,
+  loadConfig,
+  loadPlugins,
+  configureForums,
 } = require('./screenshot');
 
 const PORT = process.env.PORT || 3000;
@@ -18,6 +42,58 @@ function sendJson(res, statusCode, payload) {
   res.end(JSON.stringify(payload, null, 2));
 }
 
+function resolveTheme(theme) {
+  return THEMES.includes(theme) ? theme : 'auto';
+}
+
+function resolveScale(scale) {
+  return SCALES.includes(Number(scale)) ? Number(scale) : 1;
+}
+
+function resolveQuoteDepth(depth) {
+  const value = parseInt(depth);
+  return Number.isNaN(value) ? FORUM_QUOTE_DEPTH : Math.min(Math.max(value, 0), FORUM_MAX_QUOTE_DEPTH);
+}
+
+function resolveHighlightStyle(style) {
+  return HIGHLIGHT_STYLES.includes(style) ? style : 'marker';
+}
+
+function resolveCanvas(canvas) {
+  return CANVAS_PRESETS[canvas] ? canvas : null;
+}
+
+function resolveCanvasBackground(background) {
+  return CANVAS_BACKGROUNDS.includes(background) ? background : 'gradient';
+}
+
+// Cache picker: 'refresh' (like --refresh), 'offline' (like --offline), anything else uses the cache
+function resolveCacheMode(mode) {
+  return { refresh: mode === 'refresh', offline: mode === 'offline' };
+}
+
+// Only built-in themes can be picked from the UI, never arbitrary paths
+function resolveThemeFile(themeFile) {
+  return listThemes().some(theme => theme.id === themeFile) ? themeFile : null;
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body || '{}'));
+      } catch (error) {
+        reject(new Error('Invalid JSON payload.'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
 function serveStatic(req, res) {
   const urlPath = req.url === '/' ? '/index.html' : req.url;
   const filePath = path.normalize(path.join(publicDir, urlPath));
@@ -47,72 +123,201 @@ function serveStatic(req, res) {
   });
 }
 
-const server = http.createServer(async (req, res) => {
-  if (req.method === 'GET') {
-    serveStatic(req, res);
+// The cache settings are shared by the whole process, so capture jobs take turns:
+// one job's refresh/offline choice never leaks into another job still fetching
+let captureQueue = Promise.resolve();
+
+function handleCapture(payload, res) {
+  const job = captureQueue.then(() => runCapture(payload, res));
+  captureQueue = job.catch(() => {});
+  return job;
+}
+
+async function runCapture(payload, res) {
+  // Same syntax as urls.txt, so [row] ... [/row] groups and `| highlight="..."` work in the textarea too
+  const annotations = {};
+  const { entries, merged } = normalizeUrls(Array.isArray(payload.urls) ? parseUrlList(payload.urls.join('\n'), annotations) : []);
+  let urls = entries;
+  if (COMPOSE_LAYOUTS.includes(payload.compose) && urls.length > 0) {
+    urls = [{
+      layout: payload.compose,
+      urls: urls.flatMap(entry => (typeof entry === 'string' ? [entry] : entry.urls)),
+    }];
+  }
+
+  if (urls.length === 0) {
+    sendJson(res, 400, { error: 'Please provide at least one URL.' });
     return;
   }
 
-  if (req.method === 'POST' && req.url === '/api/capture') {
-    let body = '';
-    req.on('data', chunk => {
-      body += chunk;
+  const outputDir = payload.outputDir
+    ? path.resolve(payload.outputDir)
+    : DEFAULT_SCREENSHOTS_DIR;
+  const parallel = Number(payload.parallel) || 3;
+  const options = applyTheme({
+    thread: Boolean(payload.thread),
+    bento: Boolean(payload.bento),
+    theme: resolveTheme(payload.theme),
+    scale: resolveScale(payload.scale),
+    width: parseWidth(payload.width),
+    quoteDepth: resolveQuoteDepth(payload.quoteDepth),
+    excerptChars: parseInt(payload.excerptChars) || null,
+    excerptLines: parseInt(payload.excerptLines) || null,
+    fullText: Boolean(payload.fullText),
+    readMore: Boolean(payload.readMore),
+    passage: typeof payload.passage === 'string' && payload.passage.trim() ? payload.passage.trim() : null,
+    highlightStyle: resolveHighlightStyle(payload.highlightStyle),
+    dim: Boolean(payload.dim),
+    redact: parseRedact(payload.redact),
+    formats: parseFormats(payload.formats),
+    background: parseBackground(payload.background),
+    canvas: resolveCanvas(payload.canvas),
+    canvasBackground: resolveCanvasBackground(payload.canvasBackground),
+    annotations,
+  }, resolveThemeFile(payload.themeFile));
+
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  // Slides are built from PNG cards
+  if (payload.deck && !options.formats.includes('png')) {
+    options.formats = ['png', ...options.formats];
+  }
+
+  const startTime = Date.now();
+  configureCache(resolveCacheMode(payload.cache));
+  try {
+    const results = urls.length === 1
+      ? [await processEntry(urls[0], 0, 1, outputDir, options)]
+      : await processInParallel(urls, outputDir, parallel, options, processEntry);
+
+    const gallery = results.some(result => result.success)
+      ? path.basename(writeGallery(results, outputDir).galleryPath)
+      : null;
+
+    let deck = null;
+    if (payload.deck && results.some(result => result.success)) {
+      const written = await writeDeck(results, outputDir, path.join(outputDir, `cards-${Date.now()}.pptx`), options);
+      deck = path.basename(written.deckPath);
+    }
+
+    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+    const successful = results.filter(result => result.success);
+    const failed = results.filter(result => !result.success);
+
+    sendJson(res, 200, {
+      outputDir,
+      merged,
+      gallery,
+      deck,
+      elapsedSeconds: Number(elapsed),
+      totals: {
+        urls: urls.length,
+        successful: successful.length,
+        failed: failed.length,
+      },
+      results,
     });
-    req.on('end', async () => {
-      let payload;
-      try {
-        payload = JSON.parse(body || '{}');
-      } catch (error) {
-        sendJson(res, 400, { error: 'Invalid JSON payload.' });
-        return;
-      }
+  } catch (error) {
+    sendJson(res, 500, { error: error.message });
+  } finally {
+    configureCache(resolveCacheMode());
+  }
+}
 
-      const urls = Array.isArray(payload.urls)
-        ? payload.urls.map(url => url.trim()).filter(Boolean)
-        : [];
+// Re-render cards from saved metadata in the output folder (no scraping)
+async function handleRender(payload, res) {
+  const outputDir = payload.outputDir
+    ? path.resolve(payload.outputDir)
+    : DEFAULT_SCREENSHOTS_DIR;
+  const targets = Array.isArray(payload.metadata) && payload.metadata.length > 0
+    ? payload.metadata.map(file => path.resolve(outputDir, file.trim()))
+    : [outputDir];
+  const files = collectMetadataFiles(targets);
 
-      if (urls.length === 0) {
-        sendJson(res, 400, { error: 'Please provide at least one URL.' });
-        return;
-      }
+  if (files.length === 0) {
+    sendJson(res, 400, { error: `No *-metadata.json files found in ${outputDir}.` });
+    return;
+  }
 
-      const outputDir = payload.outputDir
-        ? path.resolve(payload.outputDir)
-        : DEFAULT_SCREENSHOTS_DIR;
-      const parallel = Number(payload.parallel) || 3;
-      const options = {
-        thread: Boolean(payload.thread),
-        bento: Boolean(payload.bento),
-      };
-
-      if (!fs.existsSync(outputDir)) {
-        fs.mkdirSync(outputDir, { recursive: true });
-      }
+  const parallel = Number(payload.parallel) || 3;
+  const options = applyTheme({
+    bento: Boolean(payload.bento),
+    theme: resolveTheme(payload.theme),
+    scale: resolveScale(payload.scale),
+    width: parseWidth(payload.width),
+    quoteDepth: resolveQuoteDepth(payload.quoteDepth),
+    excerptChars: parseInt(payload.excerptChars) || null,
+    excerptLines: parseInt(payload.excerptLines) || null,
+    fullText: Boolean(payload.fullText),
+    readMore: Boolean(payload.readMore),
+    passage: typeof payload.passage === 'string' && payload.passage.trim() ? payload.passage.trim() : null,
+    highlightStyle: resolveHighlightStyle(payload.highlightStyle),
+    dim: Boolean(payload.dim),
+    redact: parseRedact(payload.redact),
+    formats: parseFormats(payload.formats),
+    background: parseBackground(payload.background),
+    canvas: resolveCanvas(payload.canvas),
+    canvasBackground: resolveCanvasBackground(payload.canvasBackground),
+  }, resolveThemeFile(payload.themeFile));
 
-      const startTime = Date.now();
-      try {
-        const results = urls.length === 1
-          ? [await processUrl(urls[0], 0, 1, outputDir, options)]
-          : await processInParallel(urls, outputDir, parallel, options);
-
-        const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-        const successful = results.filter(result => result.success);
-        const failed = results.filter(result => !result.success);
-
-        sendJson(res, 200, {
-          outputDir,
-          elapsedSeconds: Number(elapsed),
-          totals: {
-            urls: urls.length,
-            successful: successful.length,
-            failed: failed.length,
-          },
-          results,
-        });
-      } catch (error) {
-        sendJson(res, 500, { error: error.message });
-      }
+  const startTime = Date.now();
+  try {
+    const results = await processInParallel(files, outputDir, parallel, options, renderFromMetadata);
+
+    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+    const successful = results.filter(result => result.success);
+    const failed = results.filter(result => !result.success);
+
+    sendJson(res, 200, {
+      outputDir,
+      elapsedSeconds: Number(elapsed),
+      totals: {
+        urls: files.length,
+        successful: successful.length,
+        failed: failed.length,
+      },
+      results,
     });
+  } catch (error) {
+    sendJson(res, 500, { error: error.message });
+  }
+}
+
+// Extra platform plugins and forum hosts from ./social-screenshot.config.json, same as the CLI
+const fileConfig = loadConfig();
+configureForums(fileConfig.forums);
+const plugins = loadPlugins(fileConfig.plugins, fileConfig.baseDir);
+if (plugins.length > 0) {
+  console.log(`🔌 Plugins: ${plugins.join(', ')}`);
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === 'GET' && req.url === '/api/themes') {
+    sendJson(res, 200, { themes: listThemes() });
+    return;
+  }
+
+  if (req.method === 'GET') {
+    serveStatic(req, res);
+    return;
+  }
+
+  if (req.method === 'POST' && (req.url === '/api/capture' || req.url === '/api/render')) {
+    let payload;
+    try {
+      payload = await readJsonBody(req);
+    } catch (error) {
+      sendJson(res, 400, { error: error.message });
+      return;
+    }
+
+    if (req.url === '/api/render') {
+      await handleRender(payload, res);
+    } else {
+      await handleCapture(payload, res);
+    }
     return;
   }
 